@@ -0,0 +1,1348 @@
+// Type definitions for utopia-deno
+
+// #region Common
+
+export type Lane = 'high' | 'normal' | 'low';
+
+/** Amounts are sent as strings, up to 9 decimal places */
+export type Amount = string | number | Crypton;
+
+/** Amounts in responses: numbers as sent by the API, `Crypton`s with the `amounts: 'crypton'` option */
+export type ReturnedAmount = number | Crypton;
+
+/** Fixed-point amount of Cryptons with 9 decimal places, backed by a bigint count of 1e-9 CRP */
+export class Crypton {
+    /** @param nanos Amount in 1e-9 CRP, see `Crypton.from` for decimals */
+    constructor(nanos: bigint);
+    /** Parses an amount, numbers are rounded to 9 decimal places, strings with more of them are rejected */
+    static from(value: Crypton | string | number): Crypton;
+    static fromNanos(nanos: bigint | number | string): Crypton;
+    /** Like `from`, but returns undefined for values that aren't amounts */
+    static tryFrom(value: unknown): Crypton | undefined;
+    static sum(values: Iterable<Crypton | string | number>): Crypton;
+    /** Amount in 1e-9 CRP */
+    readonly nanos: bigint;
+    add(other: Crypton | string | number): Crypton;
+    sub(other: Crypton | string | number): Crypton;
+    /** Digits below 1e-9 are truncated */
+    mul(factor: Crypton | string | number | bigint): Crypton;
+    /** Digits below 1e-9 are truncated */
+    div(divisor: Crypton | string | number | bigint): Crypton;
+    neg(): Crypton;
+    abs(): Crypton;
+    cmp(other: Crypton | string | number): -1 | 0 | 1;
+    eq(other: Crypton | string | number): boolean;
+    lt(other: Crypton | string | number): boolean;
+    lte(other: Crypton | string | number): boolean;
+    gt(other: Crypton | string | number): boolean;
+    gte(other: Crypton | string | number): boolean;
+    isZero(): boolean;
+    isNegative(): boolean;
+    /** Decimal string without trailing zeros */
+    toString(): string;
+    /** Decimal string with exactly `digits` (0-9) decimal places, rounded half away from zero */
+    toFixed(digits?: number): string;
+    toNumber(): number;
+    toJSON(): string;
+    /** Throws, arithmetic operators would fall back to floats */
+    valueOf(): never;
+}
+
+export type Coder = 'BASE64' | 'HEX';
+export type ImageFormat = 'PNG' | 'JPG';
+export type ProfileStatus = 'Available' | 'Away' | 'DoNotDisturb' | 'Invisible' | 'Offline';
+
+/** 1 - Inbox, 2 - Drafts, 4 - Sent, 8 - Outbox, 16 - Trash */
+export type EmailFolder = '1' | '2' | '4' | '8' | '16' | 1 | 2 | 4 | 8 | 16;
+
+export type FinanceFilter =
+    | 'ALL_CARDS' | 'INCOMING_CARDS' | 'OUTGOING_CARDS' | 'CREATED_CARDS' | 'DELETED_CARDS'
+    | 'ALL_TRANSFERS' | 'INCOMING_TRANSFERS' | 'OUTGOING_TRANSFERS'
+    | 'ALL_REQUESTS' | 'AWAITING_REQUESTS' | 'AUTHORIZED_REQUESTS' | 'DECLINED_REQUESTS'
+    | 'CANCELED_REQUESTS' | 'EXPIRED_REQUESTS' | 'ALL_APPROVED_REQUESTS'
+    | 'CREATED_VOUCHERS' | 'CREATED_VOUCHERS_BATCH' | 'ACTIVATED_VOUCHERS' | 'DELETED_VOUCHERS' | 'ALL_VOUCHERS'
+    | 'ALL_MINING' | 'ALL_INTEREST' | 'ALL_FEE'
+    | 'ALL_UNS_RECORDS' | 'UNS_UNS_REGISTRATION' | 'UNS_UNS_CHANGED' | 'UNS_UNS_TRANSFERRED' | 'UNS_UNS_DELETED'
+    | 'ALL_TRANSACTIONS';
+
+/** File contents: bytes or base64 string */
+export type FileData = string | Uint8Array | ArrayBuffer | Blob | ReadableStream<Uint8Array>;
+
+export interface ApiResponse<T = unknown> {
+    result: T;
+    resultExtraInfo?: Record<string, unknown>;
+}
+
+// #endregion
+
+// #region Response shapes
+
+export interface SystemInfo {
+    buildAbi: string;
+    buildCpuArchitecture: string;
+    build_number: string;
+    currentCpuArchitecture: string;
+    netCoreRate: number;
+    networkCores: number;
+    networkEnabled: boolean;
+    numberOfConnections: number;
+    packetCacheSize: number;
+    uptime: string;
+    [key: string]: unknown;
+}
+
+export interface Contact {
+    pk: string;
+    nick: string;
+    group: string;
+    status: number;
+    authorizationStatus: number;
+    avatarMd5: string;
+    hashedPk: string;
+    isFriend: boolean;
+    moodMessage: string;
+    [key: string]: unknown;
+}
+
+export interface InstantMessageRecord {
+    id: number;
+    dateTime: string;
+    text: string;
+    messageType: number;
+    isIncoming: boolean;
+    nick: string;
+    pk: string;
+    file?: unknown;
+    [key: string]: unknown;
+}
+
+export interface ChannelMessageRecord {
+    id: number;
+    dateTime: string;
+    text: string;
+    messageType: number;
+    isIncoming: boolean;
+    nick: string;
+    pk: string;
+    hashedPk: string;
+    [key: string]: unknown;
+}
+
+export interface Card {
+    cardid: string;
+    name: string;
+    color: string;
+    balance: ReturnedAmount;
+    created: string;
+    [key: string]: unknown;
+}
+
+export interface FinanceHistoryEntry {
+    id: number;
+    amount: ReturnedAmount;
+    comment: string;
+    created: string;
+    fee: ReturnedAmount;
+    referenceNumber: string;
+    batchId: string;
+    status: number;
+    type: number;
+    direction: number;
+    pk: string;
+    [key: string]: unknown;
+}
+
+export interface FinanceSystemInformation {
+    [key: string]: unknown;
+}
+
+export interface Invoice {
+    id: string;
+    amount: ReturnedAmount;
+    comment: string;
+    cardId: string;
+    created: string;
+    pk: string;
+    referenceNumber: string;
+    status: string;
+    [key: string]: unknown;
+}
+
+export interface Voucher {
+    amount: ReturnedAmount;
+    created: string;
+    id: string;
+    [key: string]: unknown;
+}
+
+export interface Channel {
+    channelid: string;
+    name: string;
+    [key: string]: unknown;
+}
+
+export interface ChannelInfo {
+    HideInCommonList: boolean;
+    description: string;
+    geotag: string;
+    hashtags: string;
+    languages: string;
+    readonly: boolean;
+    title: string;
+    type: string;
+    private: boolean;
+    [key: string]: unknown;
+}
+
+export interface Email {
+    id: number;
+    subject: string;
+    body: string;
+    dateTime: string;
+    folder: number;
+    sender: string;
+    receivers: string[];
+    [key: string]: unknown;
+}
+
+export interface UnsRecord {
+    nick: string;
+    pk: string;
+    valid: string;
+    isPrimary: boolean;
+    channelId: string;
+    [key: string]: unknown;
+}
+
+export interface ProxyMapping {
+    id: string;
+    srcHost: string;
+    srcPort: number;
+    dstHost: string;
+    dstPort: number;
+    enabled: boolean;
+    [key: string]: unknown;
+}
+
+export interface DownloadedFile {
+    path: string;
+    size: number;
+    sha256: string;
+}
+
+// #endregion
+
+// #region Events
+
+export interface InstantMessageEvent {
+    type: 'newInstantMessage' | 'newOutgoingInstantMessage';
+    data: InstantMessageRecord;
+}
+
+export interface ChannelMessageEvent {
+    type: 'newChannelMessage' | 'newOutgoingChannelMessage';
+    data: ChannelMessageRecord & { channel: string; channelid: string };
+}
+
+export interface ChannelJoinChangedEvent {
+    type: 'channelJoinChanged';
+    data: { channelid: string; joined: boolean; [key: string]: unknown };
+}
+
+export interface PaymentTransferEvent {
+    type: 'newPaymentTransfer';
+    data: {
+        amount: number;
+        comment: string;
+        dateTime: string;
+        pk: string;
+        nick: string;
+        cardId: string;
+        referenceNumber: string;
+        batchId: string;
+        [key: string]: unknown;
+    };
+}
+
+export interface EmailEvent {
+    type: 'newEmail';
+    data: { id: number; subject: string; sender: string; dateTime: string; [key: string]: unknown };
+}
+
+/** Any event sent through Utopia WebSocket, as parsed JSON */
+export type RawEvent =
+    | InstantMessageEvent
+    | ChannelMessageEvent
+    | ChannelJoinChangedEvent
+    | PaymentTransferEvent
+    | EmailEvent;
+
+/** Event object handlers get, `type` and `data` are kept as sent by the API */
+export class UtopiaEvent<T extends RawEvent = RawEvent> {
+    constructor(event: T, api: Utopia);
+    type: T['type'];
+    data: T['data'];
+    /** Set by `UtopiaPool` */
+    node?: string;
+    /** Client the event came from */
+    readonly api: Utopia;
+    /** Same event with extra fields */
+    with<F extends object>(fields: F): this & F;
+}
+
+export class InstantMessage extends UtopiaEvent<InstantMessageEvent> {
+    id: number;
+    pk: string;
+    nick: string;
+    text: string;
+    date?: Date;
+    incoming: boolean;
+    reply(text: string): R<unknown>;
+    quote(text: string): R<unknown>;
+}
+
+export class ChannelMessage extends UtopiaEvent<ChannelMessageEvent> {
+    id: number;
+    channelId: string;
+    channel: string;
+    pk: string;
+    hashedPk: string;
+    nick: string;
+    text: string;
+    date?: Date;
+    incoming: boolean;
+    reply(text: string): R<unknown>;
+    /** Sends a personal message to the author */
+    replyPrivately(text: string): R<unknown>;
+}
+
+export class PaymentTransfer extends UtopiaEvent<PaymentTransferEvent> {
+    pk: string;
+    nick: string;
+    /** Decimal string with up to 9 decimal places, `Crypton` with the `amounts: 'crypton'` option */
+    amount: string | Crypton;
+    comment: string;
+    cardId?: string;
+    referenceNumber: string;
+    batchId: string;
+    date?: Date;
+    /** Sends the amount back to the sender */
+    refund(comment?: string): R<unknown>;
+}
+
+export class EmailNotification extends UtopiaEvent<EmailEvent> {
+    id: number;
+    sender: string;
+    subject: string;
+    date?: Date;
+    /** Loads the whole email */
+    fetch(): Promise<Email>;
+    reply(body: string): R<unknown>;
+}
+
+export class ChannelJoinChange extends UtopiaEvent<ChannelJoinChangedEvent> {
+    channelId: string;
+    joined: boolean;
+}
+
+/** Wraps a parsed WebSocket message into its event class */
+export function toEventModel(event: RawEvent, api: Utopia, options?: { amounts?: 'number' | 'crypton' }): UtopiaEvent;
+
+export type AnyMessageEvent = InstantMessage | ChannelMessage;
+
+/** Event of a type without its own class (a plain `UtopiaEvent`), or any event with `eventModels: false` */
+export interface UnknownEvent {
+    type: string;
+    data?: unknown;
+    node?: string;
+}
+
+/** Any event object. Unknown types make `type` a plain string, so narrow with `instanceof` */
+export type AnyEvent = InstantMessage | ChannelMessage | ChannelJoinChange | PaymentTransfer | EmailNotification | UnknownEvent;
+
+export type ConnectionState = 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closed';
+
+export interface ConnectionStateEvent {
+    state: ConnectionState;
+    /** Reconnect attempt number */
+    attempt?: number;
+    /** Milliseconds until the next reconnect attempt */
+    delay?: number;
+    /** Period without connection, set on `open` after a reconnect. Events of that period aren't replayed, backfill them yourself */
+    gap?: { from: Date; to: Date };
+}
+
+export interface EventMap {
+    newOutgoingChannelMessage: ChannelMessage;
+    newChannelMessage: ChannelMessage;
+    newOutgoingInstantMessage: InstantMessage;
+    newInstantMessage: InstantMessage;
+    message: AnyMessageEvent;
+    channelJoinChanged: ChannelJoinChange;
+    newPaymentTransfer: PaymentTransfer;
+    newEmail: EmailNotification;
+    incomingMessage: AnyMessageEvent;
+    outgoingMessage: AnyMessageEvent;
+    any: AnyEvent;
+    connectionState: ConnectionStateEvent;
+}
+
+export type EventFilter<T> = ((event: T) => boolean) | Record<string, unknown>;
+
+export interface BufferOptions<T = unknown> {
+    /** Max events waiting in a subscriber queue, default 1000 */
+    size?: number;
+    /** What to do when the queue is full, default `drop-oldest` */
+    overflow?: 'drop-oldest' | 'drop-newest' | 'error';
+    /** Only queue matching events */
+    filter?: EventFilter<T>;
+}
+
+export interface EventSubscription<T> extends AsyncIterableIterator<T> {
+    /** Unsubscribes, the events still queued are discarded */
+    return(): Promise<IteratorResult<T>>;
+}
+
+export interface EventStream<T> extends AsyncIterable<T> {
+    [Symbol.asyncIterator](): EventSubscription<T>;
+    subscribe(options?: BufferOptions<T>): EventSubscription<T>;
+    readonly subscribers: number;
+    readonly depth: number;
+    readonly dropped: number;
+}
+
+export interface HandlerOptions<T> {
+    filter?: EventFilter<T>;
+}
+
+// #endregion
+
+// #region Options
+
+export interface RetryPolicy {
+    attempts: number;
+    delay(attempt: number): number;
+    shouldRetry(error: Error, method: string): boolean;
+}
+
+export interface RetryConfig {
+    attempts?: number;
+    minDelay?: number;
+    maxDelay?: number;
+    factor?: number;
+    jitter?: number;
+    shouldRetry?: (error: Error, method: string) => boolean;
+}
+
+export interface UtopiaOptions {
+    /** Max API requests in flight at once, default 1 */
+    maxConcurrency?: number;
+    /** Priority lane overrides by API method */
+    priorities?: Record<string, Lane>;
+    /** Default request deadline in milliseconds, 0 to wait forever. Default 30000 */
+    timeout?: number;
+    /** Retry policy, `false` disables retries. Non-idempotent methods are retried only when the connection was refused or the call has a `dedupKey` */
+    retry?: RetryPolicy | RetryConfig | false;
+    /** How long a settled `dedupKey` request is remembered in milliseconds. Default 600000 */
+    dedupTtl?: number;
+    /** WebSocket reconnection backoff, `false` disables reconnection */
+    reconnect?: RetryConfig | false;
+    /** Default queue size and overflow policy of event subscribers */
+    eventBuffer?: BufferOptions;
+    /** Carries requests and WebSocket frames, HTTP to apiHost:apiPort by default */
+    transport?: Transport;
+    /** Gets warnings, connection changes (info) and requests (debug), the token is redacted. Default `createConsoleLogger('warn')` */
+    logger?: Logger;
+    /** OpenTelemetry-compatible tracer, gets a span per request and per WebSocket connection */
+    tracer?: Tracer;
+    /** OpenTelemetry-compatible meter for latency, payload size and WebSocket metrics */
+    meter?: Meter;
+    /** Deliver events as `InstantMessage`, `PaymentTransfer`... objects, `false` for plain parsed JSON. Default true */
+    eventModels?: boolean;
+    /** `crypton` returns balances, history, card, voucher and invoice amounts and `PaymentTransfer.amount` as exact `Crypton`s. Default `number`, as sent by the API */
+    amounts?: 'number' | 'crypton';
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface Logger {
+    debug(message: string, fields?: Record<string, unknown>): void;
+    info(message: string, fields?: Record<string, unknown>): void;
+    warn(message: string, fields?: Record<string, unknown>): void;
+    error(message: string, fields?: Record<string, unknown>): void;
+}
+
+export interface Span {
+    setAttribute(key: string, value: unknown): Span;
+    setStatus(status: { code: number; message?: string }): Span;
+    addEvent(name: string, attributes?: Record<string, unknown>): Span;
+    recordException(exception: { name?: string; message?: string }): void;
+    end(): void;
+}
+
+export interface Tracer {
+    startSpan(name: string, options?: { attributes?: Record<string, unknown> }): Span;
+}
+
+export interface Meter {
+    createCounter(name: string, options?: { unit?: string; description?: string }): { add(value: number, attributes?: Record<string, unknown>): void };
+    createHistogram(name: string, options?: { unit?: string; description?: string }): { record(value: number, attributes?: Record<string, unknown>): void };
+}
+
+/** Logger writing to the console, `level` is the least severe level written (default `warn`) */
+export function createConsoleLogger(level?: LogLevel): Logger;
+
+export interface EventStats {
+    subscribers: number;
+    depth: number;
+    dropped: number;
+}
+
+export interface PrometheusMetrics extends Meter {
+    /** Content-Type of `render()` output */
+    contentType: string;
+    /** Exports event queue depth, subscribers and dropped events of a client, returns a function to stop */
+    observe(api: { eventStats(): Record<string, EventStats> }): () => void;
+    /** Renders all metrics in the Prometheus text format */
+    render(): string;
+}
+
+export function createPrometheusMetrics(options?: { buckets?: Record<string, number[]> }): PrometheusMetrics;
+
+export interface RequestOptions {
+    signal?: AbortSignal;
+    timeout?: number;
+    priority?: Lane;
+    retry?: RetryPolicy | RetryConfig | false;
+    /** Calls with the same key send one request, and non-idempotent methods with a key may be retried */
+    dedupKey?: string;
+    /** Confirmation token from `guard.confirm()` */
+    confirm?: string;
+    /** `false` skips the response cache and refreshes its entry */
+    cache?: boolean;
+}
+
+export interface RequestContext {
+    method: string;
+    params: Record<string, any>;
+    options: RequestOptions;
+    /** Client the request was sent with */
+    api: Utopia;
+    /** Logger of the client */
+    logger: Logger;
+}
+
+export interface SpendingLimit {
+    /** Max amount per rolling hour */
+    hour?: Amount;
+    /** Max amount per rolling 24 hours */
+    day?: Amount;
+}
+
+export interface GuardPolicy {
+    /** Only these methods may be called */
+    allow?: Iterable<string>;
+    /** These methods are always rejected */
+    deny?: Iterable<string>;
+    /** Log methods that change state instead of sending them */
+    dryRun?: boolean;
+    /** Methods that need a token from `guard.confirm()` */
+    confirm?: Iterable<string>;
+    /** Confirmation token lifetime in milliseconds, default 60000 */
+    confirmTtl?: number;
+    /** Spending limits by method: sendPayment, acceptInvoice, sendInvoice. Calls with an unknown amount are rejected, timed out calls keep counting */
+    limits?: Partial<Record<'sendPayment' | 'acceptInvoice' | 'sendInvoice', SpendingLimit>>;
+    /** Gets dry run calls, default the logger of the client */
+    logger?: Logger;
+}
+
+export interface Guard extends Middleware {
+    /** Issues a one-time confirmation token, optionally bound to params */
+    confirm(method: string, params?: Record<string, unknown>): string;
+    /** Amount spent with a method within the period (milliseconds, default 24 hours) */
+    spent(method: string, period?: number): string;
+}
+
+export function createGuard(policy?: GuardPolicy): Guard;
+
+export interface CacheOptions {
+    /** TTL overrides by method in milliseconds, 0 disables caching of a method */
+    ttl?: Record<string, number>;
+    /** Extra mutating methods and the cached methods they invalidate */
+    mutations?: Record<string, string[]>;
+    /** Extra WebSocket events and the cached methods they invalidate */
+    events?: Record<string, string[]>;
+    /** Oldest entries are dropped above this count, default 1000 */
+    maxEntries?: number;
+}
+
+export interface Cache extends Middleware {
+    /** Drops cached responses: all of them, of a method, or of a method with the given API params */
+    invalidate(method?: string, params?: Record<string, unknown>): void;
+    stats(): { entries: number; hits: number; misses: number };
+}
+
+export function createCache(options?: CacheOptions): Cache;
+export const destructiveMethods: Set<string>;
+
+/** Resolves to the API response; not calling `next` short-circuits the request */
+export type RequestMiddleware = (ctx: RequestContext, next: (ctx?: RequestContext) => Promise<ApiResponse<any>>) => unknown;
+
+export interface Middleware {
+    request?: RequestMiddleware;
+    /** Not calling `next` drops the event, passing another event replaces it */
+    event?: (event: RawEvent, next: (event?: RawEvent) => Promise<void>) => unknown;
+}
+
+// #endregion
+
+// #region Commands
+
+export interface ArgSpec {
+    name: string;
+    /** Default `string` */
+    type?: 'string' | 'number' | 'integer' | 'boolean' | 'pk' | 'amount';
+    required?: boolean;
+    /** Allowed values */
+    oneOf?: unknown[];
+    /** Takes the rest of the message, only for the last argument */
+    rest?: boolean;
+    description?: string;
+}
+
+/** Any of them lets the sender run the command */
+export interface CommandPermissions {
+    pks?: string[];
+    /** Contact groups, checked with getContactsByGroup */
+    groups?: string[];
+    /** Channel moderators, checked with getChannelModerators */
+    channelModerators?: boolean;
+}
+
+export interface CommandContext {
+    command: string;
+    args: Record<string, any>;
+    /** Message text after the command */
+    text: string;
+    pk: string;
+    nick: string;
+    /** Undefined in personal chats */
+    channelId?: string;
+    messageId: number;
+    event: InstantMessageEvent | ChannelMessageEvent;
+    api: Utopia;
+    reply(text: string): Promise<unknown>;
+    /** Quotes the command in personal chats, same as `reply` in channels */
+    quote(text: string): Promise<unknown>;
+}
+
+export type CommandHandler = (ctx: CommandContext) => unknown;
+
+export interface CommandDefinition {
+    description?: string;
+    aliases?: string[];
+    args?: ArgSpec[];
+    permissions?: CommandPermissions;
+    /** Default `any` */
+    where?: 'any' | 'instant' | 'channel';
+    /** Returned string is sent as a reply */
+    handler: CommandHandler;
+}
+
+export interface CommandRouterOptions {
+    /** Default `/` */
+    prefix?: string;
+    /** Register `/help`, default true */
+    help?: boolean;
+    /** Reply to unknown commands in personal chats, default true */
+    replyUnknown?: boolean;
+    /** How long group and moderator lists are cached in milliseconds, default 60000 */
+    permissionTtl?: number;
+    logger?: Logger;
+}
+
+export interface CommandRouter {
+    /** Throws `InvalidArgumentError` when the name or an alias is taken by another command or alias */
+    command(name: string, definition: CommandDefinition | CommandHandler): CommandRouter;
+    /** Runs the command in a message event, resolves to whether it was a known command */
+    handle(event: InstantMessageEvent | ChannelMessageEvent): Promise<boolean>;
+    /** Stops listening for messages */
+    stop(): void;
+    /** Forgets cached group and moderator lists */
+    refreshPermissions(): void;
+}
+
+export function createCommandRouter(api: Utopia, options?: CommandRouterOptions): CommandRouter;
+
+// #endregion
+
+// #region Payments
+
+/** JSON values kept across restarts */
+export interface Store {
+    get(key: string): Promise<any>;
+    set(key: string, value: unknown): Promise<void>;
+    delete(key: string): Promise<void>;
+}
+
+export function createMemoryStore(): Store;
+/** Keeps all values in one JSON file, written atomically */
+export function createFileStore(path: string): Store;
+
+export type OrderState = 'pending' | 'paid' | 'declined' | 'expired' | 'cancelled';
+
+export interface Order {
+    orderId: string;
+    state: OrderState;
+    /** Card the invoice was sent to */
+    cardId: string;
+    amount: string;
+    comment: string;
+    /** Returned by sendInvoice, missing while the invoice is being sent */
+    referenceNumber?: string;
+    /** Found with getInvoices, needed to cancel the invoice */
+    invoiceId?: string;
+    /** Milliseconds since epoch, as are the other times */
+    createdAt: number;
+    /** The invoice is cancelled when it is still pending at this time */
+    expiresAt: number;
+    updatedAt: number;
+}
+
+export interface OrderChange {
+    orderId: string;
+    state: OrderState;
+    /** Undefined for new orders */
+    previous?: OrderState;
+    order: Order;
+}
+
+export interface PaymentGatewayOptions {
+    /** Where orders are kept, default in memory */
+    store?: Store;
+    /** Store key of the orders, default `gateway` */
+    key?: string;
+    /** Milliseconds a new order waits for payment before its invoice is cancelled. Default 3600000 */
+    ttl?: number;
+    /** Milliseconds between invoice status checks of pending orders, 0 checks only on payment events and WebSocket reconnects. Default 60000 */
+    pollInterval?: number;
+    logger?: Logger;
+}
+
+export interface PaymentGateway {
+    /** Every state change, including new orders */
+    readonly changes: EventStream<OrderChange>;
+    /** Sends an invoice for an order, `orderId` must be unique */
+    createOrder(orderId: string, invoice: { cardId: string; amount: Amount; comment?: string; ttl?: number }): Promise<Order>;
+    getOrder(orderId: string): Promise<Order | undefined>;
+    listOrders(state?: OrderState): Promise<Order[]>;
+    /** Cancels the invoice of a pending order */
+    cancelOrder(orderId: string): Promise<Order>;
+    /** Forgets finished orders updated before the given time, resolves to the number of removed orders */
+    prune(before: number | Date): Promise<number>;
+    /** Checks invoice status of every pending order and cancels the overdue ones */
+    refresh(): Promise<void>;
+    /** Calls handler on changes to the given state, or on all changes with `change` */
+    on(state: OrderState | 'change', handler: (change: OrderChange) => unknown): () => void;
+    /** Stops tracking orders, pending orders are checked again after a restart */
+    stop(): void;
+}
+
+export function createPaymentGateway(api: Utopia, options?: PaymentGatewayOptions): PaymentGateway;
+
+export type ExpectedStatus = 'open' | 'paid' | 'underpaid' | 'overpaid';
+export type TransferStatus = 'matched' | 'duplicate' | 'unmatched';
+
+export interface ExpectedPayment {
+    id: string;
+    /** Looked for in transfer comments, the ID by default */
+    reference: string;
+    amount: string;
+    /** Only transfers from this sender match */
+    pk?: string;
+    status: ExpectedStatus;
+    /** Sum of matched transfers */
+    received: string;
+    /** Reference numbers of matched transfers */
+    transfers: string[];
+    createdAt: number;
+}
+
+export interface LedgerTransfer {
+    referenceNumber: string;
+    pk: string;
+    amount: string;
+    comment: string;
+    date?: string;
+    status: TransferStatus;
+    /** Expected payment the transfer was matched to */
+    expectedId?: string;
+}
+
+export type LedgerChangeType = 'paid' | 'underpaid' | 'overpaid' | 'duplicate' | 'unmatched';
+
+export interface LedgerChange {
+    type: LedgerChangeType;
+    transfer: LedgerTransfer;
+    expected?: ExpectedPayment;
+}
+
+export interface LedgerOptions {
+    /** Where the ledger is kept, default in memory */
+    store?: Store;
+    /** Store key of the ledger, default `ledger` */
+    key?: string;
+    /** Extracts the reference from a comment with its first group. By default the comment has to contain the reference as a separate word */
+    pattern?: RegExp;
+    /** Backfill after the WebSocket reconnects. Default true */
+    backfillOnReconnect?: boolean;
+    logger?: Logger;
+}
+
+export interface Ledger {
+    /** Every recorded transfer */
+    readonly changes: EventStream<LedgerChange>;
+    /** Reference number of the newest backfilled transfer */
+    readonly cursor: string | undefined;
+    /** Registers a payment to wait for */
+    expect(id: string, payment: { amount: Amount; pk?: string; reference?: string }): Promise<ExpectedPayment>;
+    getExpected(id: string): Promise<ExpectedPayment | undefined>;
+    listExpected(status?: ExpectedStatus): Promise<ExpectedPayment[]>;
+    listTransfers(status?: TransferStatus): Promise<LedgerTransfer[]>;
+    /** Stops waiting for a payment, its transfers stay in the ledger */
+    forget(id: string): Promise<boolean>;
+    /** Records a newPaymentTransfer event payload or finance history entry, known transfers are ignored */
+    record(data: Record<string, unknown>): Promise<LedgerChange | undefined>;
+    /** Records INCOMING_TRANSFERS newer than the cursor, resolves to the number of new transfers. `fromDate` only applies while there is no cursor */
+    backfill(options?: { fromDate?: string }): Promise<number>;
+    on(type: LedgerChangeType | 'change', handler: (change: LedgerChange) => unknown): () => void;
+    /** Stops recording events */
+    stop(): void;
+}
+
+export function createLedger(api: Utopia, options?: LedgerOptions): Ledger;
+
+// #endregion
+
+// #region Transports
+
+export interface TransportRequest {
+    method: string;
+    params: Record<string, any>;
+    token: string;
+}
+
+export interface TransportResponse {
+    status: number;
+    /** Raw response body */
+    body: string;
+}
+
+export type SocketFrame = string | Uint8Array | { code: number; reason?: string };
+
+export interface TransportSocket extends AsyncIterable<SocketFrame> {
+    close(code?: number, reason?: string): Promise<void>;
+}
+
+export interface Transport {
+    request(request: TransportRequest, options: { signal?: AbortSignal }): Promise<TransportResponse>;
+    connect(options: { port: string | number; token: string }): Promise<TransportSocket>;
+}
+
+export interface Cassette {
+    version: number;
+    interactions: { method: string; params: Record<string, any>; status: number; body: string }[];
+    sockets: { at: number; data: string | { code: number; reason?: string } }[][];
+}
+
+export interface RecordingTransport extends Transport {
+    cassette: Cassette;
+    save(path: string): Promise<void>;
+}
+
+export interface ReplayOptions {
+    /** Throw on unrecorded or exhausted calls instead of repeating the last response */
+    strict?: boolean;
+    /** WebSocket frames playback speed, 1 keeps recorded timing, 0 delivers them at once. Default 0 */
+    speed?: number;
+}
+
+export interface HttpTransportOptions {
+    host: string;
+    port: string | number;
+    /** Use HTTPS and WSS. Default false */
+    secure?: boolean;
+    /** Prepended to `/api/1.0` and `/UtopiaWSS` */
+    pathPrefix?: string;
+    /** WebSocket port, overrides the one passed to the client */
+    wsPort?: string | number;
+    /** Extra headers sent with requests and the WebSocket handshake */
+    headers?: Record<string, string>;
+    fetch?: typeof fetch;
+}
+
+export interface UnixSocketTransportOptions {
+    /** Socket file */
+    path: string;
+    pathPrefix?: string;
+    /** `Host` header, default `localhost` */
+    host?: string;
+}
+
+export interface MemoryTransport extends Transport {
+    /** Sends a WebSocket event to every connected client */
+    emit(data: { type: string; data: any }): void;
+    /** Closes every connection as if the client went down */
+    close(): void;
+}
+
+export function createHttpTransport(options: HttpTransportOptions): Transport;
+export function createUnixSocketTransport(options: UnixSocketTransportOptions): Transport;
+export function createMemoryTransport(handle: (method: string, params: Record<string, any>) => any): MemoryTransport;
+export function createRecordingTransport(transport: Transport): RecordingTransport;
+export function createReplayTransport(cassette: Cassette, options?: ReplayOptions): Transport;
+export function loadCassette(path: string): Promise<Cassette>;
+
+// #endregion
+
+// #region Errors
+
+export class UtopiaError extends Error {
+    method?: string;
+    params?: Record<string, unknown>;
+    resultExtraInfo?: Record<string, unknown>;
+    cause?: unknown;
+    constructor(message: string, details?: { method?: string; params?: object; resultExtraInfo?: object; cause?: unknown });
+}
+export class TransportError extends UtopiaError {}
+export class HttpStatusError extends UtopiaError {
+    status: number;
+}
+export class ApiError extends UtopiaError {
+    error: unknown;
+}
+export class InvalidTokenError extends UtopiaError {}
+export class WebSocketClosedError extends UtopiaError {
+    code?: number;
+    reason?: string;
+}
+export class InvalidArgumentError extends UtopiaError {}
+export class ChecksumError extends UtopiaError {
+    expected: string;
+    actual: string;
+}
+export class TimeoutError extends UtopiaError {
+    timeout: number;
+}
+export class GuardError extends UtopiaError {
+    reason: 'denied' | 'confirmation' | 'limit';
+}
+export class EventOverflowError extends UtopiaError {
+    event: string;
+    size: number;
+}
+
+export function isRetryableError(error: unknown): boolean;
+/** Whether the connection was refused, so the request never reached Utopia client */
+export function isConnectionRefused(error: unknown): boolean;
+export function createRetryPolicy(config?: RetryConfig): RetryPolicy;
+/** Event stream names of the client */
+export const eventTypes: (keyof EventMap)[];
+
+// #endregion
+
+type R<T = unknown> = Promise<ApiResponse<T>>;
+
+export interface PageIterator<T> extends AsyncIterableIterator<T> {
+    /** Identifies the last item returned, pass it back to resume after that item */
+    readonly cursor: string | undefined;
+}
+
+export default class Utopia {
+    constructor(
+        token: string,
+        websocketenabled?: boolean,
+        apiHost?: string,
+        apiPort?: string | number,
+        wsPort?: string | number,
+        options?: UtopiaOptions,
+    );
+
+    newOutgoingChannelMessage: EventStream<ChannelMessage>;
+    newChannelMessage: EventStream<ChannelMessage>;
+    newOutgoingInstantMessage: EventStream<InstantMessage>;
+    newInstantMessage: EventStream<InstantMessage>;
+    message: EventStream<AnyMessageEvent>;
+    channelJoinChanged: EventStream<ChannelJoinChange>;
+    newPaymentTransfer: EventStream<PaymentTransfer>;
+    newEmail: EventStream<EmailNotification>;
+    incomingMessage: EventStream<AnyMessageEvent>;
+    outgoingMessage: EventStream<AnyMessageEvent>;
+    any: EventStream<AnyEvent>;
+    connectionState: EventStream<ConnectionStateEvent>;
+
+    /** Current WebSocket connection state */
+    readonly connection: ConnectionState;
+    /** Subscribers, queued and dropped events of every event stream */
+    eventStats(): Record<keyof EventMap, EventStats>;
+
+    /** Closes the WebSocket, stops reconnecting and ends the event streams */
+    close(): Promise<void>;
+    sendRequest<T = unknown>(method?: string, params?: Record<string, unknown>, options?: RequestOptions): R<T>;
+    /** View whose requests use the given options; `stateMembers` are forwarded to this instance */
+    withOptions(options: RequestOptions): this;
+    /** Members that views from `withOptions` forward to the instance */
+    static readonly stateMembers: readonly string[];
+    /** Adds a middleware for requests and WebSocket events, returns a function removing it */
+    use(middleware: Middleware | RequestMiddleware): () => void;
+
+    on<K extends keyof EventMap>(event: K, handler: (event: EventMap[K]) => unknown, options?: HandlerOptions<EventMap[K]>): () => void;
+    once<K extends keyof EventMap>(event: K, handler: (event: EventMap[K]) => unknown, options?: HandlerOptions<EventMap[K]>): () => void;
+    once<K extends keyof EventMap>(event: K, options?: HandlerOptions<EventMap[K]>): Promise<EventMap[K]>;
+    off<K extends keyof EventMap>(event: K, handler?: (event: EventMap[K]) => unknown): void;
+
+    // System
+    getSystemInfo(): R<SystemInfo>;
+    storageWipe(): R<boolean>;
+    clearTrayNotifications(): R<boolean>;
+    getNetworkConnections(): R<Record<string, unknown>[]>;
+    lowTrafficMode(): R<boolean>;
+    setLowTrafficMode(options: RequestOptions & { enabled: string | boolean }): R<boolean>;
+    setLowTrafficMode(enabled: string | boolean): R<boolean>;
+    getWebSocketState(): R<number>;
+    setWebSocketState(options: RequestOptions & { enabled: string | boolean; port?: string | number }): R<boolean>;
+    setWebSocketState(enabled: string | boolean, port?: string | number): R<boolean>;
+    ucodeEncode(options: RequestOptions & { hexCode: string; sizeImage?: string; coder?: Coder; format?: ImageFormat }): R<string>;
+    ucodeEncode(hexCode: string, sizeImage?: string, coder?: Coder, format?: ImageFormat): R<string>;
+    ucodeDecode(options: RequestOptions & { base64Image: string }): R<string>;
+    ucodeDecode(base64Image: string): R<string>;
+
+    // Self
+    getProfileStatus(): R<{ status: ProfileStatus; mood: string }>;
+    setProfileStatus(options: RequestOptions & { status: ProfileStatus; mood?: string }): R<boolean>;
+    setProfileStatus(status: ProfileStatus, mood?: string): R<boolean>;
+    getOwnContact(): R<Contact>;
+
+    // Contact groups
+    getContactGroups(): R<string[]>;
+    getContactsByGroup(options: RequestOptions & { groupName: string }): R<Contact[]>;
+    getContactsByGroup(groupName: string): R<Contact[]>;
+    renameContactGroup(options: RequestOptions & { oldName: string; newName: string }): R<boolean>;
+    renameContactGroup(oldName: string, newName: string): R<boolean>;
+    deleteContactGroup(options: RequestOptions & { groupName: string }): R<boolean>;
+    deleteContactGroup(groupName: string): R<boolean>;
+
+    // Contacts
+    getContacts(options: RequestOptions & { filter?: string }): R<Contact[]>;
+    getContacts(filter?: string): R<Contact[]>;
+    deleteContact(options: RequestOptions & { pk: string }): R<boolean>;
+    deleteContact(pk: string): R<boolean>;
+    getContactAvatar(options: RequestOptions & { pk: string; coder?: Coder; format?: ImageFormat }): R<string>;
+    getContactAvatar(pk: string, coder?: Coder, format?: ImageFormat): R<string>;
+    setContactGroup(options: RequestOptions & { pk: string; groupName: string }): R<boolean>;
+    setContactGroup(pk: string, groupName: string): R<boolean>;
+    setContactNick(options: RequestOptions & { pk: string; newNick?: string }): R<boolean>;
+    setContactNick(pk: string, newNick?: string): R<boolean>;
+    sendInstantMessage(options: RequestOptions & { to: string; text: string }): R<number>;
+    sendInstantMessage(to: string, text: string): R<number>;
+    sendInstantFile(options: RequestOptions & { to: string; fileID: string }): R<number>;
+    sendInstantFile(to: string, fileID: string): R<number>;
+    sendInstantQuote(options: RequestOptions & { to: string; text: string; messageId: string | number }): R<number>;
+    sendInstantQuote(to: string, text: string, messageId: string | number): R<number>;
+    sendInstantSticker(options: RequestOptions & { to: string; collection: string; name: string }): R<number>;
+    sendInstantSticker(to: string, collection: string, name: string): R<number>;
+    sendInstantBuzz(options: RequestOptions & { to: string; comments?: string }): R<number>;
+    sendInstantBuzz(to: string, comments?: string): R<number>;
+    sendInstantInvitation(options: RequestOptions & { to: string; channelId: string; description?: string; comments?: string }): R<number>;
+    sendInstantInvitation(to: string, channelId: string, description?: string, comments?: string): R<number>;
+    removeInstantMessages(options: RequestOptions & { pk: string }): R<boolean>;
+    removeInstantMessages(pk: string): R<boolean>;
+    getContactMessages(options: RequestOptions & { pk: string }): R<InstantMessageRecord[]>;
+    getContactMessages(pk: string): R<InstantMessageRecord[]>;
+    sendAuthorizationRequest(options: RequestOptions & { pk: string; message?: string }): R<boolean>;
+    sendAuthorizationRequest(pk: string, message?: string): R<boolean>;
+    acceptAuthorizationRequest(options: RequestOptions & { pk: string; message?: string }): R<boolean>;
+    acceptAuthorizationRequest(pk: string, message?: string): R<boolean>;
+    rejectAuthorizationRequest(options: RequestOptions & { pk: string; message?: string }): R<boolean>;
+    rejectAuthorizationRequest(pk: string, message?: string): R<boolean>;
+
+    // Stickers
+    getStickerCollections(): R<string[]>;
+    getStickerNamesByCollection(options: RequestOptions & { collectionName: string }): R<string[]>;
+    getStickerNamesByCollection(collectionName: string): R<string[]>;
+    getImageSticker(options: RequestOptions & { collectionName: string; stickerName: string; coder?: Coder }): R<string>;
+    getImageSticker(collectionName: string, stickerName: string, coder?: Coder): R<string>;
+
+    // Mail
+    sendEmailMessage(options: RequestOptions & { to: string; subject?: string; body?: string }): R<boolean>;
+    sendEmailMessage(to: string, subject?: string, body?: string): R<boolean>;
+    getEmailFolder(options: RequestOptions & { folderType?: EmailFolder; filter?: string }): R<number[]>;
+    getEmailFolder(folderType?: EmailFolder, filter?: string): R<number[]>;
+    getEmails(options: RequestOptions & { folderType?: EmailFolder; filter?: string }): R<Email[]>;
+    getEmails(folderType?: EmailFolder, filter?: string): R<Email[]>;
+    getEmailById(options: RequestOptions & { id: string | number }): R<Email>;
+    getEmailById(id: string | number): R<Email>;
+    deleteEmail(options: RequestOptions & { id: string | number }): R<boolean>;
+    deleteEmail(id: string | number): R<boolean>;
+    sendReplyEmailMessage(options: RequestOptions & { id: string | number; body?: string }): R<boolean>;
+    sendReplyEmailMessage(id: string | number, body?: string): R<boolean>;
+    sendForwardEmailMessage(options: RequestOptions & { id: string | number; to: string; body?: string }): R<boolean>;
+    sendForwardEmailMessage(id: string | number, to: string, body?: string): R<boolean>;
+
+    // Economics
+    getFinanceSystemInformation(): R<FinanceSystemInformation>;
+    getBalance(): R<ReturnedAmount>;
+    sendPayment(options: RequestOptions & { cardId?: string; to: string; amount: Amount; comment?: string }): R<string>;
+    sendPayment(cardId: string, to: string, amount: Amount, comment?: string): R<string>;
+    getFinanceHistory(options: RequestOptions & {
+        filters?: FinanceFilter | string;
+        referenceNumber?: string;
+        toDate?: string;
+        fromDate?: string;
+        batchId?: string;
+        fromAmount?: Amount;
+        toAmount?: Amount;
+    }): R<FinanceHistoryEntry[]>;
+    getFinanceHistory(
+        filters?: FinanceFilter | string,
+        referenceNumber?: string,
+        toDate?: string,
+        fromDate?: string,
+        batchId?: string,
+        fromAmount?: Amount,
+        toAmount?: Amount,
+    ): R<FinanceHistoryEntry[]>;
+    getTransactionIdByReferenceNumber(options: RequestOptions & { referenceNumber: string }): R<string>;
+    getTransactionIdByReferenceNumber(referenceNumber: string): R<string>;
+
+    // Cards
+    getCards(): R<Card[]>;
+    addCard(options: RequestOptions & { name: string; color?: string; numbers?: string }): R<string>;
+    addCard(name: string, color?: string, numbers?: string): R<string>;
+    deleteCard(options: RequestOptions & { cardId: string }): R<string>;
+    deleteCard(cardId: string): R<string>;
+
+    // Mining
+    enableMining(options: RequestOptions & { enabled?: string | boolean }): R<boolean>;
+    enableMining(enabled?: string | boolean): R<boolean>;
+    enablePoS(options: RequestOptions & { enabled: boolean }): R<boolean>;
+    enablePoS(enabled: boolean): R<boolean>;
+    enableInterest(options: RequestOptions & { enabled?: string | boolean }): R<boolean>;
+    enableInterest(enabled?: string | boolean): R<boolean>;
+    requestTreasuryPoSRates(): R<boolean>;
+    getTreasuryPoSRates(): R<Record<string, unknown>[]>;
+    requestTreasuryInterestRates(): R<boolean>;
+    getTreasuryInterestRates(): R<Record<string, unknown>[]>;
+    requestTreasuryTransactionVolumes(): R<boolean>;
+    getTreasuryTransactionVolumes(): R<Record<string, unknown>[]>;
+    enableHistoryMining(options: RequestOptions & { enabled?: string | boolean }): R<boolean>;
+    enableHistoryMining(enabled?: string | boolean): R<boolean>;
+    /** 0 = STATE_EMPTY, 1 = STATE_IN_PROGRESS, 2 = STATE_RECEIVED_RESPONSE */
+    statusHistoryMining(): R<0 | 1 | 2>;
+    getMiningBlocks(): R<Record<string, unknown>[]>;
+    getMiningInfo(): R<Record<string, unknown>>;
+
+    // Vouchers
+    getVouchers(): R<Voucher[]>;
+    createVoucher(options: RequestOptions & { amount: Amount }): R<string>;
+    createVoucher(amount: Amount): R<string>;
+    useVoucher(options: RequestOptions & { voucherId: string }): R<string>;
+    useVoucher(voucherId: string): R<string>;
+    deleteVoucher(options: RequestOptions & { voucherId: string }): R<string>;
+    deleteVoucher(voucherId: string): R<string>;
+
+    // Invoices
+    getInvoices(options: RequestOptions & {
+        cardId?: string;
+        invoiceId?: string;
+        pk?: string;
+        transactionId?: string;
+        status?: string;
+        startDateTime?: string;
+        endDateTime?: string;
+        referenceNumber?: string;
+    }): R<Invoice[]>;
+    getInvoices(
+        cardId?: string,
+        invoiceId?: string,
+        pk?: string,
+        transactionId?: string,
+        status?: string,
+        startDateTime?: string,
+        endDateTime?: string,
+        referenceNumber?: string,
+    ): R<Invoice[]>;
+    getInvoiceByReferenceNumber(options: RequestOptions & { referenceNumber: string }): R<Invoice>;
+    getInvoiceByReferenceNumber(referenceNumber: string): R<Invoice>;
+    sendInvoice(options: RequestOptions & { cardId: string; amount: Amount; comment?: string }): R<string>;
+    sendInvoice(cardId: string, amount: Amount, comment?: string): R<string>;
+    acceptInvoice(options: RequestOptions & { invoiceId: string }): R<string>;
+    acceptInvoice(invoiceId: string): R<string>;
+    declineInvoice(options: RequestOptions & { invoiceId: string }): R<string>;
+    declineInvoice(invoiceId: string): R<string>;
+    cancelInvoice(options: RequestOptions & { invoiceId: string }): R<string>;
+    cancelInvoice(invoiceId: string): R<string>;
+
+    // uNS transfers
+    requestUnsTransfer(options: RequestOptions & { name: string; newOwnerPk: string }): R<string>;
+    requestUnsTransfer(name: string, newOwnerPk: string): R<string>;
+    acceptUnsTransfer(options: RequestOptions & { requestId: string }): R<string>;
+    acceptUnsTransfer(requestId: string): R<string>;
+    declineUnsTransfer(options: RequestOptions & { requestId: string }): R<string>;
+    declineUnsTransfer(requestId: string): R<string>;
+    incomingUnsTransfer(): R<Record<string, unknown>[]>;
+    outgoingUnsTransfer(): R<Record<string, unknown>[]>;
+
+    // Channels
+    getChannels(options: RequestOptions & { filter?: string; channelType?: string }): R<Channel[]>;
+    getChannels(filter?: string, channelType?: string): R<Channel[]>;
+    sendChannelMessage(options: RequestOptions & { channelId: string; message: string }): R<number>;
+    sendChannelMessage(channelId: string, message: string): R<number>;
+    sendChannelPicture(options: RequestOptions & { channelId: string; imageFilename: string; image?: FileData }): R<number>;
+    sendChannelPicture(channelId: string, imageFilename: string, image?: FileData): R<number>;
+    joinChannel(options: RequestOptions & { channelId: string; password?: string }): R<boolean>;
+    joinChannel(channelId: string, password?: string): R<boolean>;
+    leaveChannel(options: RequestOptions & { channelId: string }): R<boolean>;
+    leaveChannel(channelId: string): R<boolean>;
+    getChannelMessages(options: RequestOptions & { channelId: string }): R<ChannelMessageRecord[]>;
+    getChannelMessages(channelId: string): R<ChannelMessageRecord[]>;
+    getChannelInfo(options: RequestOptions & { channelId: string }): R<ChannelInfo>;
+    getChannelInfo(channelId: string): R<ChannelInfo>;
+    getChannelAvatar(options: RequestOptions & { channelId: string; coder?: Coder; format?: ImageFormat }): R<string>;
+    getChannelAvatar(channelId: string, coder?: Coder, format?: ImageFormat): R<string>;
+    getChannelModerators(options: RequestOptions & { channelId: string }): R<string[]>;
+    getChannelModerators(channelId: string): R<string[]>;
+    getChannelContacts(options: RequestOptions & { channelId: string }): R<Contact[]>;
+    getChannelContacts(channelId: string): R<Contact[]>;
+    getChannelModeratorRight(options: RequestOptions & { channelId: string; moderator: string }): R<Record<string, boolean>>;
+    getChannelModeratorRight(channelId: string, moderator: string): R<Record<string, boolean>>;
+    createChannel(options: RequestOptions & {
+        channelName: string;
+        description?: string;
+        readOnly?: string;
+        password?: string;
+        language?: string;
+        hashtags?: string;
+        geoTag?: string;
+        base64AvatarImage?: string;
+        hideInUI?: string;
+    }): R<string>;
+    createChannel(
+        channelName: string,
+        description?: string,
+        readOnly?: string,
+        password?: string,
+        language?: string,
+        hashtags?: string,
+        geoTag?: string,
+        base64AvatarImage?: string,
+        hideInUI?: string,
+    ): R<string>;
+    modifyChannel(options: RequestOptions & {
+        channelId: string;
+        description?: string;
+        readOnly?: string;
+        language?: string;
+        hashtags?: string;
+        geoTag?: string;
+        base64AvatarImage?: string;
+        hideInUI?: string;
+    }): R<boolean>;
+    modifyChannel(
+        channelId: string,
+        description?: string,
+        readOnly?: string,
+        language?: string,
+        hashtags?: string,
+        geoTag?: string,
+        base64AvatarImage?: string,
+        hideInUI?: string,
+    ): R<boolean>;
+    deleteChannel(options: RequestOptions & { channelId: string }): R<boolean>;
+    deleteChannel(channelId: string): R<boolean>;
+    getChannelSystemInfo(): R<Record<string, unknown>>;
+    getChannelBannedConacts(options: RequestOptions & { channelId: string }): R<string[]>;
+    getChannelBannedConacts(channelId: string): R<string[]>;
+    applyChannelBannedConacts(options: RequestOptions & { channelId: string; newList: string }): R<boolean>;
+    applyChannelBannedConacts(channelId: string, newList: string): R<boolean>;
+
+    // uNS
+    unsCreateRecordRequest(options: RequestOptions & { nick: string; valid?: string; isPrimary?: string; channelId?: string }): R<string>;
+    unsCreateRecordRequest(nick: string, valid?: string, isPrimary?: string, channelId?: string): R<string>;
+    unsModifyRecordRequest(options: RequestOptions & { nick: string; valid?: string; isPrimary?: string; channelId?: string }): R<string>;
+    unsModifyRecordRequest(nick: string, valid?: string, isPrimary?: string, channelId?: string): R<string>;
+    unsDeleteRecordRequest(options: RequestOptions & { nick: string }): R<string>;
+    unsDeleteRecordRequest(nick: string): R<string>;
+    unsSearchByPk(options: RequestOptions & { filter?: string }): R<UnsRecord[]>;
+    unsSearchByPk(filter?: string): R<UnsRecord[]>;
+    unsSearchByNick(options: RequestOptions & { filter?: string }): R<UnsRecord[]>;
+    unsSearchByNick(filter?: string): R<UnsRecord[]>;
+    getUnsSyncInfo(): R<Record<string, unknown>>;
+    unsRegisteredNames(): R<UnsRecord[]>;
+    summaryUnsRegisteredNames(options: RequestOptions & { dateFrom?: string; dateTo?: string }): R<Record<string, number>[]>;
+    summaryUnsRegisteredNames(dateFrom?: string, dateTo?: string): R<Record<string, number>[]>;
+    getWhoIsInfo(options: RequestOptions & { nameOrPk: string }): R<Record<string, unknown>>;
+    getWhoIsInfo(nameOrPk: string): R<Record<string, unknown>>;
+
+    // uNS forwarding
+    getProxyMappings(): R<ProxyMapping[]>;
+    createProxyMapping(options: RequestOptions & {
+        srcHost: string;
+        srcPort: string | number;
+        dstHost: string;
+        dstPort: string | number;
+        enabled?: string | boolean;
+    }): R<string>;
+    createProxyMapping(
+        srcHost: string,
+        srcPort: string | number,
+        dstHost: string,
+        dstPort: string | number,
+        enabled?: string | boolean,
+    ): R<string>;
+    enableProxyMapping(options: RequestOptions & { mappingId: string }): R<boolean>;
+    enableProxyMapping(mappingId: string): R<boolean>;
+    disableProxyMapping(options: RequestOptions & { mappingId: string }): R<boolean>;
+    disableProxyMapping(mappingId: string): R<boolean>;
+    removeProxyMapping(options: RequestOptions & { mappingId: string }): R<boolean>;
+    removeProxyMapping(mappingId: string): R<boolean>;
+
+    // Transfer manager
+    getTransfersFromManager(): R<Record<string, unknown>[]>;
+    getFilesFromManager(): R<Record<string, unknown>[]>;
+    abortTransfer(options: RequestOptions & { transferID: string }): R<boolean>;
+    abortTransfer(transferID: string): R<boolean>;
+    hideTransfer(options: RequestOptions & { transferID: string }): R<boolean>;
+    hideTransfer(transferID: string): R<boolean>;
+    getFile(options: RequestOptions & { fileID: string }): R<{ content: string; name: string; size: number }>;
+    getFile(fileID: string): R<{ content: string; name: string; size: number }>;
+    deleteFile(options: RequestOptions & { fileID: string }): R<boolean>;
+    deleteFile(fileID: string): R<boolean>;
+    uploadFile(options: RequestOptions & { filename: string; data?: FileData }): R<string>;
+    uploadFile(filename: string, data?: FileData): R<string>;
+    downloadFile(options: RequestOptions & { fileID: string; destPath: string; sha256Checksum?: string }): Promise<DownloadedFile>;
+    downloadFile(fileID: string, destPath: string, sha256Checksum?: string): Promise<DownloadedFile>;
+
+    // Iterators, `cursor` continues after the item a previous iterator stopped at
+    /** Requests the history page by page from the last referenceNumber */
+    iterateFinanceHistory(options?: {
+        filters?: FinanceFilter | string;
+        fromDate?: string;
+        toDate?: string;
+        batchId?: string;
+        fromAmount?: Amount;
+        toAmount?: Amount;
+        cursor?: string;
+    }): PageIterator<FinanceHistoryEntry>;
+    iterateEmails(options?: { folderType?: EmailFolder; filter?: string; cursor?: string }): PageIterator<Email>;
+    iterateChannelMessages(options: { channelId: string; cursor?: string }): PageIterator<ChannelMessageRecord>;
+    iterateContactMessages(options: { pk: string; cursor?: string }): PageIterator<InstantMessageRecord>;
+    iterateInvoices(options?: {
+        cardId?: string;
+        pk?: string;
+        status?: string;
+        startDateTime?: string;
+        endDateTime?: string;
+        cursor?: string;
+    }): PageIterator<Invoice>;
+}
@@ -3,53 +3,114 @@
  * Author: KaMeHb-UA <blade.whiteblack@gmail.com>
  */
 
-import {
-    connectWebSocket,
-    isWebSocketCloseEvent,
-} from 'https://deno.land/std/ws/mod.ts';
-import { exists, readFileStr } from 'https://deno.land/std/fs/mod.ts';
-import * as base64 from "https://denopkg.com/chiefbiiko/base64/mod.ts";
-const { lstat } = Deno;
-
-function isFile(path){
-    return lstat(path).then(v => v.isFile)
-}
+/// <reference types="./index.d.ts" />
 
-async function readFileToBase64(fname){
-    const str = await readFileStr(fname, { encoding: 'utf8' });
-    const uint8arr = new TextEncoder().encode(str);
-    return base64.fromUint8Array(uint8arr)
-}
+import { isWebSocketCloseEvent } from 'https://deno.land/std/ws/mod.ts';
+import { runChain } from './lib/middleware.js';
+import {
+    SpanStatus,
+    createConsoleLogger,
+    createInstruments,
+    noopTracer,
+    redact,
+    redactingLogger,
+} from './lib/telemetry.js';
+import { createScheduler, methodPriorities } from './lib/scheduler.js';
+import { createHttpTransport, createMemoryTransport, createUnixSocketTransport } from './lib/transport.js';
+import { createRecordingTransport, createReplayTransport, loadCassette } from './lib/cassette.js';
+import { createEventStream, matchesFilter, EventOverflowError } from './lib/events.js';
+import { isIdempotent, destructiveMethods } from './lib/methods.js';
+import { createGuard } from './lib/guard.js';
+import { createCache } from './lib/cache.js';
+import { createPageIterator } from './lib/pagination.js';
+import { createCommandRouter } from './lib/commands.js';
+import { createPaymentGateway } from './lib/gateway.js';
+import { createLedger } from './lib/ledger.js';
+import { createMemoryStore, createFileStore } from './lib/store.js';
+import {
+    UtopiaEvent,
+    InstantMessage,
+    ChannelMessage,
+    PaymentTransfer,
+    EmailNotification,
+    ChannelJoinChange,
+    toEventModel,
+} from './lib/models.js';
+import { createPrometheusMetrics } from './lib/prometheus.js';
+import { Crypton, parseAmounts } from './lib/crypton.js';
+import { validateParams, isOptions, requestOptions, toFlag } from './lib/validation.js';
+import { fileToBase64, fromBase64, basename, sha256, writeFileVerified } from './lib/files.js';
+import { createRetryPolicy, toRetryPolicy, sleep } from './lib/retry.js';
+import {
+    UtopiaError,
+    TransportError,
+    HttpStatusError,
+    ApiError,
+    InvalidTokenError,
+    WebSocketClosedError,
+    InvalidArgumentError,
+    ChecksumError,
+    TimeoutError,
+    GuardError,
+    isRetryableError,
+    isConnectionRefused,
+    raceAbort,
+} from './lib/errors.js';
+
+export {
+    UtopiaError,
+    TransportError,
+    HttpStatusError,
+    ApiError,
+    InvalidTokenError,
+    WebSocketClosedError,
+    InvalidArgumentError,
+    ChecksumError,
+    TimeoutError,
+    GuardError,
+    isRetryableError,
+    isConnectionRefused,
+    EventOverflowError,
+};
+export { createRetryPolicy };
+export { listened as eventTypes };
+export { createGuard, destructiveMethods, createCache };
+export { createCommandRouter };
+export { createPaymentGateway, createLedger, createMemoryStore, createFileStore };
+export { UtopiaEvent, InstantMessage, ChannelMessage, PaymentTransfer, EmailNotification, ChannelJoinChange, toEventModel };
+export { createConsoleLogger, createPrometheusMetrics };
+export { Crypton };
+export { createHttpTransport, createUnixSocketTransport, createMemoryTransport, createRecordingTransport, createReplayTransport, loadCassette };
+
+/**
+ * Links a deadline and an external signal into one abort signal
+ * @param {number} timeout Milliseconds, 0 for no deadline
+ * @param {AbortSignal} [signal]
+ */
 
-function createOutsideResolveablePromise(){
-    let resolver, rejector;
-    const promise = new Promise(($, _) => {
-        resolver = $;
-        rejector = _
-    });
-    return [
-        promise, resolver, rejector
-    ]
+function createDeadline(timeout, signal){
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        abort()
+    }, timeout) : undefined;
+    if(signal?.aborted) abort();
+    else signal?.addEventListener('abort', abort, { once: true });
+    return {
+        signal: controller.signal,
+        get timedOut(){
+            return timedOut
+        },
+        clear(){
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort)
+        },
+    }
 }
 
-/** @typedef {Iterable<Promise<any>>} AsyncIterator */
-
-function createAsyncIterator(){
-    let [ lastPromise, resolver, rejector ] = createOutsideResolveablePromise();
-    return [
-        val => resolver(val),
-        err => rejector(err),
-        {[Symbol.asyncIterator](){
-            return {
-                next(){
-                    const res = lastPromise;
-                    [ lastPromise, resolver, rejector ] = createOutsideResolveablePromise();
-                    return res
-                }
-            }
-        }}
-    ]
-}
+/** @typedef {ReturnType<typeof createEventStream>} EventStream */
 
 const listened = [
     'newOutgoingChannelMessage',
@@ -60,7 +121,10 @@ const listened = [
     'channelJoinChanged',
     'newPaymentTransfer',
     'newEmail',
+    'incomingMessage',
+    'outgoingMessage',
     'any',
+    'connectionState',
 ];
 
 export default class Utopia{
@@ -68,33 +132,58 @@ export default class Utopia{
     // private props
 
     #token
-    #currentRequest
+    #scheduler
+    #priorities
+    #timeout
+    #retryPolicy
+    #dedup = new Map
+    #dedupTtl
     #websocketenabled
-    #apiHost
-    #apiPort
+    #transport
     #wsPort
     #webSocket
-    #resolvers = {}
-    #rejectors = {}
+    #reconnectPolicy
+    #connectionState = 'idle'
+    #closing = new AbortController
+    #streams = {}
+    #handlers = {}
+    #middleware = []
+    #logger
+    #tracer
+    #instruments
+    #eventModels
+    #amounts
+
+    /**
+     * Members that work on the instance state rather than send requests. Views from `withOptions` forward them to the instance.
+     * @type {string[]}
+     */
+    static stateMembers = [ 'on', 'once', 'off', 'use', 'close', 'eventStats', 'connection' ];
     
-    /** @type {AsyncIterator} */
+    /** @type {EventStream} */
     newOutgoingChannelMessage
-    /** @type {AsyncIterator} */
+    /** @type {EventStream} */
     newChannelMessage
-    /** @type {AsyncIterator} */
+    /** @type {EventStream} */
     newOutgoingInstantMessage
-    /** @type {AsyncIterator} */
+    /** @type {EventStream} */
     newInstantMessage
-    /** @type {AsyncIterator} */
+    /** @type {EventStream} */
     message
-    /** @type {AsyncIterator} */
+    /** @type {EventStream} */
     channelJoinChanged
-    /** @type {AsyncIterator} */
+    /** @type {EventStream} */
     newPaymentTransfer
-    /** @type {AsyncIterator} */
+    /** @type {EventStream} */
     newEmail
-    /** @type {AsyncIterator} */
+    /** @type {EventStream} Messages of any type except outgoing ones */
+    incomingMessage
+    /** @type {EventStream} Outgoing instant and channel messages */
+    outgoingMessage
+    /** @type {EventStream} */
     any
+    /** @type {EventStream} WebSocket connection state changes: `{ state, attempt?, delay?, gap? }` */
+    connectionState
 
     //#region Internal methods
 
@@ -105,90 +194,431 @@ export default class Utopia{
      * @param {string} apiHost IP with API
      * @param {string} apiPort Port with API
      * @param {string} wsPort WebSocket API port
-     */
-
-    constructor(token, websocketenabled, apiHost, apiPort, wsPort){
-        if (!token || !token.toLowerCase().match(/^[a-f0-9]+$/)) throw new Error("token is not valid");
+     * @param {object} [options] Client options
+     * @param {number} [options.maxConcurrency] Max API requests in flight at once, default 1
+     * @param {Object<string, 'high'|'normal'|'low'>} [options.priorities] Priority lane overrides by API method
+     * @param {number} [options.timeout] Default request deadline in milliseconds, 0 to wait forever. Default 30000
+     * @param {object|false} [options.retry] Retry policy or `createRetryPolicy` config, `false` disables retries
+     * @param {number} [options.dedupTtl] How long a settled `dedupKey` request is remembered in milliseconds. Default 600000
+     * @param {object|false} [options.reconnect] WebSocket reconnection backoff (`createRetryPolicy` config, `attempts` counts reconnects in a row), `false` disables reconnection
+     * @param {import('./lib/events.js').BufferOptions} [options.eventBuffer] Default queue size and overflow policy of event subscribers
+     * @param {import('./lib/transport.js').Transport} [options.transport] Carries requests and WebSocket frames, HTTP to apiHost:apiPort by default
+     * @param {import('./lib/telemetry.js').Logger} [options.logger] Gets warnings, connection changes (info) and requests (debug), the token is redacted. Default `createConsoleLogger('warn')`
+     * @param {import('./lib/telemetry.js').Tracer} [options.tracer] OpenTelemetry-compatible tracer, gets a span per request and per WebSocket connection
+     * @param {import('./lib/telemetry.js').Meter} [options.meter] OpenTelemetry-compatible meter for latency, payload size and WebSocket metrics
+     * @param {boolean} [options.eventModels] Deliver events as `InstantMessage`, `PaymentTransfer`... objects, `false` for plain parsed JSON. Default true
+     * @param {'number'|'crypton'} [options.amounts] `crypton` returns balances, history, card, voucher and invoice amounts and `PaymentTransfer.amount` as exact `Crypton`s. Default `number`, as sent by the API
+     */
+
+    constructor(token, websocketenabled, apiHost, apiPort, wsPort, options = {}){
+        if (!token || !token.toLowerCase().match(/^[a-f0-9]+$/)) throw new InvalidArgumentError("token is not valid");
         this.#token = token.toUpperCase();
+        this.#logger = redactingLogger(options.logger || createConsoleLogger(), this.#token);
+        this.#tracer = options.tracer || noopTracer;
+        this.#instruments = createInstruments(options.meter);
+        this.#eventModels = options.eventModels ?? true;
+        this.#amounts = options.amounts || 'number';
+        if(![ 'number', 'crypton' ].includes(this.#amounts)) throw new InvalidArgumentError(`Unknown amounts option: ${this.#amounts}`);
         this.#websocketenabled = websocketenabled || false;
-        this.#apiHost = apiHost || "127.0.0.1";
-        this.#apiPort = apiPort || 20000;
+        this.#transport = options.transport || createHttpTransport({ host: apiHost || "127.0.0.1", port: apiPort || 20000 });
         this.#wsPort = wsPort || '20001';
+        this.#scheduler = createScheduler(options.maxConcurrency || 1);
+        this.#priorities = { ...methodPriorities, ...options.priorities };
+        this.#timeout = options.timeout ?? 30000;
+        this.#retryPolicy = options.retry === false ? null : toRetryPolicy(options.retry);
+        this.#dedupTtl = options.dedupTtl ?? 600000;
+        this.#reconnectPolicy = options.reconnect === false ? null : toRetryPolicy({
+            attempts: Infinity,
+            minDelay: 1000,
+            maxDelay: 30000,
+            ...options.reconnect,
+        });
         for(const ev of listened){
-            [ this.#resolvers[ev], this.#rejectors[ev], this[ev] ] = createAsyncIterator()
+            this[ev] = this.#streams[ev] = createEventStream(ev, options.eventBuffer, this.#logger)
         }
         this.#init()
     }
 
-    async #init(){
-        const emptyResult = new Error;
-        if(this.#websocketenabled){
+    #init(){
+        if(this.#websocketenabled) this.#runWs()
+    }
+
+    async #enableWs(){
+        try{
+            const data = await this.getWebSocketState();
+            if(data.result !== 0){
+                this.#wsPort = data.result.toString();
+                return
+            }
+        } catch(e){
+            this.#logger.warn("Couldn't get WebSocket state, activating anyway", { error: e })
+        }
+        await this.setWebSocketState(true, this.#wsPort)
+    }
+
+    #setConnectionState(state, details){
+        this.#connectionState = state;
+        this.#instruments.wsStates.add(1, { state });
+        this.#logger.info(`WebSocket ${state}`, details);
+        this.#emit('connectionState', { state, ...details })
+    }
+
+    async #runWs(){
+        const policy = this.#reconnectPolicy;
+        const closing = this.#closing.signal;
+        let attempt = 0, lostAt, closeEvent;
+        this.#setConnectionState('connecting');
+        while(!closing.aborted){
+            const span = this.#tracer.startSpan('utopia.ws.connection', { attributes: { 'utopia.ws.attempt': attempt } });
             try{
-                const data = await this.getWebSocketState();
-                if(data.result !== 0){
-                    this.#wsPort = data.result.toString();
-                    this.#createWs()
-                } else throw emptyResult
-            } catch(e){
-                if(e !== emptyResult) console.warn("Couldn't get Websocket state, activating anyway");
-                try{
-                    await this.setWebSocketState(true, this.#wsPort);
-                    this.#createWs()
-                } catch(e){
-                    console.warn("Couldn't set Websocket state, listener is disabled")
+                await this.#enableWs();
+                this.#webSocket = await this.#transport.connect({ port: this.#wsPort, token: this.#token });
+                if(closing.aborted){
+                    await this.#webSocket.close(1000).catch(() => {});
+                    span.end();
+                    break
+                }
+                attempt = 0;
+                span.addEvent('open');
+                this.#setConnectionState('open', lostAt && { gap: { from: lostAt, to: new Date } });
+                lostAt = undefined;
+                closeEvent = await this.#readWs();
+                if(closeEvent){
+                    span.setAttribute('utopia.ws.close_code', closeEvent.code);
+                    if(closeEvent.code !== 1000) span.setStatus({ code: SpanStatus.ERROR, message: closeEvent.reason });
+                    if(!closing.aborted) this.#logger.warn(`WebSocket closed: code=${closeEvent.code}, reason=${closeEvent.reason}`, { code: closeEvent.code, reason: closeEvent.reason })
                 }
+            } catch(e){
+                span.recordException({ name: e.name, message: redact(e.message, this.#token) });
+                span.setStatus({ code: SpanStatus.ERROR, message: redact(e.message, this.#token) });
+                this.#logger.warn(`WebSocket connection failed: ${e.message}`, { error: e })
             }
+            span.end();
+            if(closing.aborted || !policy || ++attempt > policy.attempts) break;
+            lostAt = lostAt || new Date;
+            const delay = policy.delay(attempt);
+            this.#instruments.wsReconnects.add(1);
+            this.#setConnectionState('reconnecting', { attempt, delay });
+            await sleep(delay, closing).catch(() => {})
         }
+        this.#setConnectionState('closed');
+        const error = closing.aborted ? undefined : new WebSocketClosedError(closeEvent?.code, closeEvent?.reason);
+        for(const [ ev, stream ] of Object.entries(this.#streams)) stream.end(ev === 'connectionState' ? undefined : error)
     }
 
-    async #createWs(){
-        this.#webSocket = await connectWebSocket(`ws://${this.#apiHost}:${this.#wsPort}/UtopiaWSS?token=${this.#token}`);
+    async #readWs(){
         for await (const msg of this.#webSocket){
             if(typeof msg === 'string'){
-                const parsed = JSON.parse(msg);
-                this.#resolvers['any'](parsed);
-                this.#resolvers[parsed.type](parsed);
-                if(parsed.type.match(/outgoing/i)) this.#resolvers.outgoingMessage(parsed);
-                if(parsed.type.match(/incoming/i)) this.#resolvers.incomingMessage(parsed);
-                if (parsed.type.match(/message/i)) this.#resolvers.message(parsed);
+                let parsed;
+                try{
+                    parsed = JSON.parse(msg)
+                } catch(e){
+                    this.#logger.warn(`Skipping malformed WebSocket message: ${e.message}`);
+                    continue
+                }
+                if(typeof parsed?.type !== 'string'){
+                    this.#logger.warn('Skipping WebSocket message without event type');
+                    continue
+                }
+                this.#instruments.wsEvents.add(1, { type: parsed.type });
+                if(!this.#middleware.length){
+                    this.#dispatch(parsed);
+                    continue
+                }
+                await runChain(this.#middleware, 'event', parsed, event => this.#dispatch(event))
+                    .catch(e => this.#logger.warn(`Event middleware failed, dropping ${parsed.type}: ${e.message}`, { error: e }))
             } else if(isWebSocketCloseEvent(msg)){
-                console.warn(`WebSocket closed: code=${msg.code}, reason=${msg.reason}`);
-                for(const rejector of this.#rejectors) rejector(new Error(msg.reason))
+                return msg
             }
         }
     }
 
+    #dispatch(event){
+        if(this.#eventModels) event = toEventModel(event, this, { amounts: this.#amounts });
+        this.#emit('any', event);
+        this.#emit(event.type, event);
+        if(event.type.match(/message/i)){
+            this.#emit(event.type.match(/outgoing/i) ? 'outgoingMessage' : 'incomingMessage', event);
+            this.#emit('message', event)
+        }
+    }
+
+    #emit(type, event){
+        this.#streams[type]?.push(event);
+        for(const listener of this.#handlers[type] || []){
+            if(!matchesFilter(event, listener.filter)) continue;
+            if(listener.once) this.#handlers[type].delete(listener);
+            try{
+                Promise.resolve(listener.handler(event)).catch(e => this.#logger.warn(`${type} handler failed: ${e.message}`, { error: e }))
+            } catch(e){
+                this.#logger.warn(`${type} handler failed: ${e.message}`, { error: e })
+            }
+        }
+    }
+
+    /**
+     * Calls handler for every event of the given type
+     * @param {string} event Event type, see the event streams above
+     * @param {(event: object) => any} handler
+     * @param {object} [options]
+     * @param {import('./lib/events.js').EventFilter} [options.filter] Only call handler for matching events, e.g. `{ pk }` or `{ channelid }`
+     * @return {() => void} Unsubscribes the handler
+     */
+
+    on(event, handler, options = {}){
+        const listener = { handler, filter: options.filter, once: options.once };
+        (this.#handlers[event] = this.#handlers[event] || new Set).add(listener);
+        return () => this.#handlers[event]?.delete(listener)
+    }
+
+    /**
+     * Calls handler for the next matching event only. Without a handler returns a promise of that event.
+     * @param {string} event Event type
+     * @param {(event: object) => any} [handler]
+     * @param {object} [options] See `on`
+     * @return {(() => void)|Promise<object>}
+     * @example const payment = await api.once('newPaymentTransfer', { filter: { pk } })
+     */
+
+    once(event, handler, options = {}){
+        if(typeof handler !== 'function') return new Promise(resolve => this.on(event, resolve, { ...handler, once: true }));
+        return this.on(event, handler, { ...options, once: true })
+    }
+
+    /**
+     * Removes a handler added with `on` or `once`. Without a handler removes all handlers of the event.
+     * @param {string} event Event type
+     * @param {(event: object) => any} [handler]
+     */
+
+    off(event, handler){
+        if(!handler){
+            delete this.#handlers[event];
+            return
+        }
+        for(const listener of this.#handlers[event] || []) if(listener.handler === handler) this.#handlers[event].delete(listener)
+    }
+
+    /**
+     * Adds a middleware that sees every request and every WebSocket event before dispatch.
+     * Middlewares run in the order they were added; event hooks run one event at a time.
+     * @param {import('./lib/middleware.js').Middleware|((ctx: import('./lib/middleware.js').RequestContext, next: Function) => any)} middleware
+     * A function is a shorthand for `{ request: fn }`
+     * @return {() => void} Removes the middleware
+     * @example api.use({ request: (ctx, next) => ctx.method === 'storageWipe' ? Promise.reject(new Error('blocked')) : next() })
+     */
+
+    use(middleware){
+        if(typeof middleware === 'function') middleware = { request: middleware };
+        this.#middleware = [ ...this.#middleware, middleware ];
+        return () => this.#middleware = this.#middleware.filter(item => item !== middleware)
+    }
+
+    /**
+     * Subscribers, queued and dropped events of every event stream
+     * @return {Object<string, {subscribers: number, depth: number, dropped: number}>}
+     */
+
+    eventStats(){
+        const stats = {};
+        for(const [ event, stream ] of Object.entries(this.#streams)){
+            stats[event] = { subscribers: stream.subscribers, depth: stream.depth, dropped: stream.dropped }
+        }
+        return stats
+    }
+
+    /**
+     * Current WebSocket connection state: idle | connecting | open | reconnecting | closed
+     * @type {string}
+     */
+
+    get connection(){
+        return this.#connectionState
+    }
+
+    /**
+     * Closes WebSocket connection and stops reconnecting. Event iterators finish after delivering queued events.
+     */
+
+    async close(){
+        this.#closing.abort();
+        if(this.#connectionState === 'open') await this.#webSocket.close(1000).catch(() => {});
+        // without a listener nothing else ends the streams
+        if(!this.#websocketenabled) for(const stream of Object.values(this.#streams)) stream.end()
+    }
+
     /**
      * Send a raw request to API server
+     *
+     * Params of known methods are validated before the request is sent, invalid ones reject with `InvalidArgumentError`.
+     * Failed requests to read-only and idempotent methods are retried according to the retry policy.
+     * Other methods (payments, vouchers, invoices, messages...) are retried only when the connection was refused,
+     * since after a timeout or a dropped connection the request may have been handled already, or when the call
+     * has a `dedupKey`, which tells the request is safe to repeat.
+     * Calls with the same `dedupKey` share one result, so a repeated call doesn't send the request again.
+     * Middlewares added with `use` see the call before any of that.
      * @param {string} method API method
      * @param {object} params Request parameters
+     * @param {object} [options] Request options
+     * @param {AbortSignal} [options.signal] Cancels the request
+     * @param {number} [options.timeout] Deadline for each attempt in milliseconds, overrides the one from constructor
+     * @param {'high'|'normal'|'low'} [options.priority] Priority lane, overrides the per-method one
+     * @param {object|false} [options.retry] Retry policy for this call, `false` disables retries
+     * @param {string} [options.dedupKey] Deduplication key, calls with the same key send one request. Also lets non-idempotent methods be retried
+     * @param {string} [options.confirm] Confirmation token from the safety guard, see `createGuard`
+     * @param {boolean} [options.cache] `false` skips the response cache and refreshes its entry, see `createCache`
      * @return {Promise<{result: object|number|string, resultExtraInfo: object}>}
      */
 
-    async sendRequest(method, params){
-        const cr = this.#currentRequest;
-        const [ nextCurrentRequest, resoveCurrentRequest ] = createOutsideResolveablePromise();
-        this.#currentRequest = nextCurrentRequest;
-        await cr;
+    sendRequest(method, params, options = {}){
+        const ctx = { method: method || 'getSystemInfo', params: params || {}, options, api: this, logger: this.#logger };
+        const started = Date.now();
+        const span = this.#tracer.startSpan(`utopia ${ctx.method}`, { attributes: { 'utopia.method': ctx.method } });
+        const promise = this.#middleware.length
+            ? runChain(this.#middleware, 'request', ctx, ctx => this.#request(ctx, span))
+            : this.#request(ctx, span);
+        promise.then(() => this.#finishRequest(ctx.method, span, started), e => this.#finishRequest(ctx.method, span, started, e));
+        // after middleware, so caches and cassettes keep plain JSON
+        return this.#amounts === 'crypton' ? promise.then(response => parseAmounts(ctx.method, response)) : promise
+    }
+
+    #finishRequest(method, span, started, error){
+        const duration = Date.now() - started;
+        const outcome = error ? error.name : 'ok';
+        this.#instruments.requests.add(1, { method, outcome });
+        this.#instruments.requestDuration.record(duration, { method, outcome });
+        span.setAttribute('utopia.outcome', outcome);
+        if(error){
+            const message = redact(error.message, this.#token);
+            span.recordException({ name: error.name, message });
+            span.setStatus({ code: SpanStatus.ERROR, message });
+            this.#logger.debug(`${method} failed after ${duration}ms: ${message}`, { method, duration, outcome })
+        } else {
+            span.setStatus({ code: SpanStatus.OK });
+            this.#logger.debug(`${method} took ${duration}ms`, { method, duration, outcome })
+        }
+        span.end()
+    }
+
+    #request({ method, params, options = {} }, span){
+        try{
+            validateParams(method, params)
+        } catch(e){
+            return Promise.reject(e)
+        }
+        const { dedupKey } = options;
+        if(dedupKey === undefined) return this.#sendWithRetry(method, params, options, span);
+
+        const now = Date.now();
+        for(const [ key, { expires } ] of this.#dedup) if(expires <= now) this.#dedup.delete(key);
+        const key = `${method}:${dedupKey}`;
+        if(this.#dedup.has(key)){
+            span.setAttribute('utopia.dedup_hit', true);
+            return this.#dedup.get(key).promise
+        }
+
+        const entry = { promise: this.#sendWithRetry(method, params, options, span), expires: Infinity };
+        this.#dedup.set(key, entry);
+        entry.promise.then(
+            () => entry.expires = Date.now() + this.#dedupTtl,
+            () => this.#dedup.delete(key)
+        );
+        return entry.promise
+    }
+
+    async #sendWithRetry(method, params, options, span){
+        const policy = options.retry === undefined ? this.#retryPolicy : options.retry && toRetryPolicy(options.retry);
+        const idempotent = isIdempotent(method);
+        for(let attempt = 1; ; attempt++){
+            span.setAttribute('utopia.attempts', attempt);
+            try{
+                return await this.#send(method, params, options, span)
+            } catch(e){
+                if(!policy || attempt >= policy.attempts || options.signal?.aborted || !policy.shouldRetry(e, method)) throw e;
+                // a payment that timed out may have gone through, so only repeat what never left, unless a dedupKey says it's safe
+                if(!idempotent && options.dedupKey === undefined && !isConnectionRefused(e)) throw e;
+                await sleep(policy.delay(attempt), options.signal)
+            }
+        }
+    }
 
+    async #send(method, params, options, span){
         const data = {
             token: this.#token,
-            method: method || 'getSystemInfo',
+            method,
             params: params || {},
         }
+        const timeout = options.timeout ?? this.#timeout;
+        const deadline = createDeadline(timeout, options.signal);
+
+        const details = { method, params: data.params };
+
+        try{
+            // the slot stays taken until the transport settles, so requests the deadline gave up on still count
+            // towards maxConcurrency, while the caller gets the error on time
+            return await raceAbort(this.#scheduler.run(options.priority || this.#priorities[method], async () => {
+                let response, res;
+                const requestSize = JSON.stringify(data.params).length;
+                this.#instruments.requestSize.record(requestSize, { method });
+                span.setAttribute('utopia.request.size', requestSize);
+                try{
+                    response = await this.#transport.request(data, { signal: deadline.signal });
+                } catch(e){
+                    if(e.name === 'AbortError' || e instanceof UtopiaError) throw e;
+                    throw new TransportError(`${method} failed: ${e.message}`, { ...details, cause: e })
+                }
 
-        const req = await fetch(`http://${this.#apiHost}:${this.#apiPort}/api/1.0`, {
-            method: 'POST',
-            body: JSON.stringify(data),
-        });
+                this.#instruments.responseSize.record(response.body.length, { method });
+                span.setAttribute('http.response.status_code', response.status);
+                span.setAttribute('utopia.response.size', response.body.length);
 
-        if(req.status !== 200) throw new Error('statusCode is not 200');
+                if(response.status === 401 || response.status === 403) throw new InvalidTokenError('API token was rejected', details);
+                if(response.status !== 200) throw new HttpStatusError(response.status, details);
 
-        const res = await req.json();
+                try{
+                    res = JSON.parse(response.body)
+                } catch(e){
+                    throw new TransportError(`${method} returned invalid JSON`, { ...details, cause: e })
+                }
 
-        resoveCurrentRequest();
+                if(res.error){
+                    const failure = { ...details, resultExtraInfo: res.resultExtraInfo };
+                    if(typeof res.error === 'string' && /token/i.test(res.error)) throw new InvalidTokenError(res.error, failure);
+                    throw new ApiError(res.error, failure)
+                }
 
-        return res
+                return res
+            }, deadline.signal), deadline.signal)
+        } catch(e){
+            if(deadline.timedOut) throw new TimeoutError(timeout, details);
+            throw e
+        } finally {
+            deadline.clear()
+        }
+    }
+
+    /**
+     * Returns a view of this API whose methods pass the given options to every request.
+     * Members listed in `stateMembers` (event handlers, middlewares, `close`...) aren't requests,
+     * so the view forwards them to this instance as they are.
+     * @param {object} options Same as `sendRequest` options
+     * @return {Utopia}
+     * @example api.withOptions({ signal: controller.signal, timeout: 5000 }).getContacts()
+     */
+
+    withOptions(options){
+        const api = this;
+        const view = Object.create(this, {
+            sendRequest: {
+                value: (method, params, callOptions) => api.sendRequest(method, params, { ...options, ...callOptions }),
+            },
+        });
+        for(const name of this.constructor.stateMembers){
+            Object.defineProperty(view, name, {
+                get: () => typeof api[name] === 'function' ? api[name].bind(api) : api[name],
+            })
+        }
+        return view
     }
     
     // #region System methods
@@ -239,8 +669,10 @@ export default class Utopia{
      */
 
     setLowTrafficMode(enabled) {
-        enabled = enabled || "";
-        return this.sendRequest("setLowTrafficMode", { enabled });
+        const options = requestOptions(enabled);
+        if (isOptions(enabled)) ({ enabled } = enabled);
+        enabled = toFlag(enabled, "");
+        return this.sendRequest("setLowTrafficMode", { enabled }, options);
     }
 
     /**
@@ -256,7 +688,9 @@ export default class Utopia{
      */
 
     setWebSocketState(enabled, port) {
-        return this.sendRequest("setWebSocketState", { enabled, port });
+        const options = requestOptions(enabled);
+        if (isOptions(enabled)) ({ enabled, port } = enabled);
+        return this.sendRequest("setWebSocketState", { enabled, port }, options);
     }
 
     /**
@@ -268,6 +702,8 @@ export default class Utopia{
      */
 
     ucodeEncode(hexCode, sizeImage, coder, format) {
+        const options = requestOptions(hexCode);
+        if (isOptions(hexCode)) ({ hexCode, sizeImage, coder, format } = hexCode);
         hexCode = hexCode || "";
         sizeImage = sizeImage || "256";
         coder = coder || "BASE64";
@@ -277,7 +713,7 @@ export default class Utopia{
             size_image: sizeImage,
             coder,
             format,
-        });
+        }, options);
     }
 
     /**
@@ -286,7 +722,9 @@ export default class Utopia{
      */
 
     ucodeDecode(base64Image) {
-        return this.sendRequest("ucodeDecode", { "base64_image": base64Image });
+        const options = requestOptions(base64Image);
+        if (isOptions(base64Image)) ({ base64Image } = base64Image);
+        return this.sendRequest("ucodeDecode", { "base64_image": base64Image }, options);
     }
 
     // #endregion
@@ -308,7 +746,9 @@ export default class Utopia{
      */
 
     setProfileStatus(status, mood) {
-        return this.sendRequest("setProfileStatus", { status, mood });
+        const options = requestOptions(status);
+        if (isOptions(status)) ({ status, mood } = status);
+        return this.sendRequest("setProfileStatus", { status, mood }, options);
     }
 
     /**
@@ -337,7 +777,9 @@ export default class Utopia{
     */
 
     getContactsByGroup(groupName) {
-        return this.sendRequest("getContactsByGroup", { groupName });
+        const options = requestOptions(groupName);
+        if (isOptions(groupName)) ({ groupName } = groupName);
+        return this.sendRequest("getContactsByGroup", { groupName }, options);
     }
 
     /**
@@ -347,7 +789,9 @@ export default class Utopia{
     */
 
     renameContactGroup(oldName, newName) {
-        return this.sendRequest("renameContactGroup", { "oldGroupName": oldName, "newGroupName": newName });
+        const options = requestOptions(oldName);
+        if (isOptions(oldName)) ({ oldName, newName } = oldName);
+        return this.sendRequest("renameContactGroup", { "oldGroupName": oldName, "newGroupName": newName }, options);
     }
 
     /**
@@ -356,7 +800,9 @@ export default class Utopia{
     */
 
     deleteContactGroup(groupName) {
-        return this.sendRequest("deleteContactGroup", { groupName });
+        const options = requestOptions(groupName);
+        if (isOptions(groupName)) ({ groupName } = groupName);
+        return this.sendRequest("deleteContactGroup", { groupName }, options);
     }
 
     // #endregion
@@ -369,8 +815,10 @@ export default class Utopia{
      */
 
     getContacts(filter) {
+        const options = requestOptions(filter);
+        if (isOptions(filter)) ({ filter } = filter);
         filter = filter || "";
-        return this.sendRequest("getContacts", { filter });
+        return this.sendRequest("getContacts", { filter }, options);
     }
 
     /**
@@ -379,8 +827,10 @@ export default class Utopia{
      */
 
     deleteContact(pk) {
+        const options = requestOptions(pk);
+        if (isOptions(pk)) ({ pk } = pk);
         pk = pk || "";
-        return this.sendRequest("deleteContact", { pk });
+        return this.sendRequest("deleteContact", { pk }, options);
     }
 
     /**
@@ -391,10 +841,12 @@ export default class Utopia{
      */
 
     getContactAvatar(pk, coder, format) {
+        const options = requestOptions(pk);
+        if (isOptions(pk)) ({ pk, coder, format } = pk);
         pk = pk || "";
         coder = coder || "BASE64";
         format = format || "PNG";
-        return this.sendRequest("getContactAvatar", { pk, coder, format });
+        return this.sendRequest("getContactAvatar", { pk, coder, format }, options);
     }
 
     /**
@@ -404,9 +856,11 @@ export default class Utopia{
      */
 
     setContactGroup(pk, groupName) {
+        const options = requestOptions(pk);
+        if (isOptions(pk)) ({ pk, groupName } = pk);
         pk = pk || "";
-        groupName = groupName || "Freedom Society";
-        return this.sendRequest("setContactGroup", { "contactPublicKey": pk, groupName });
+        groupName = groupName || "";
+        return this.sendRequest("setContactGroup", { "contactPublicKey": pk, groupName }, options);
     }
 
     /**
@@ -416,9 +870,11 @@ export default class Utopia{
      */
 
     setContactNick(pk, newNick) {
+        const options = requestOptions(pk);
+        if (isOptions(pk)) ({ pk, newNick } = pk);
         pk = pk || "";
         newNick = newNick || "";
-        return this.sendRequest("setContactNick", { "contactPublicKey": pk, newNick });
+        return this.sendRequest("setContactNick", { "contactPublicKey": pk, newNick }, options);
     }
 
     /**
@@ -428,9 +884,11 @@ export default class Utopia{
      */
 
     sendInstantMessage(to, text) {
+        const options = requestOptions(to);
+        if (isOptions(to)) ({ to, text } = to);
         to = to || "";
         text = text || "";
-        return this.sendRequest("sendInstantMessage", { to, text });
+        return this.sendRequest("sendInstantMessage", { to, text }, options);
     }
 
     /**
@@ -440,9 +898,11 @@ export default class Utopia{
      */
 
     sendInstantFile(to, fileID) {
+        const options = requestOptions(to);
+        if (isOptions(to)) ({ to, fileID } = to);
         to = to || "";
         fileID = fileID || "";
-        return this.sendRequest("sendFileByMessage", { to, "fileId": fileID });
+        return this.sendRequest("sendFileByMessage", { to, "fileId": fileID }, options);
     }
 
     /**
@@ -453,10 +913,12 @@ export default class Utopia{
      */
 
     sendInstantQuote(to, text, messageId) {
+        const options = requestOptions(to);
+        if (isOptions(to)) ({ to, text, messageId } = to);
         to = to || "";
         text = text || "";
-        messageId = messageId || "42";
-        return this.sendRequest("sendInstantQuote", { to, text, "id_message": messageId });
+        messageId = messageId || "";
+        return this.sendRequest("sendInstantQuote", { to, text, "id_message": messageId }, options);
     }
 
     /**
@@ -467,10 +929,12 @@ export default class Utopia{
      */
 
     sendInstantSticker(to, collection, name) {
+        const options = requestOptions(to);
+        if (isOptions(to)) ({ to, collection, name } = to);
         to = to || "";
-        collection = collection || "42";
-        name = name || "42";
-        return this.sendRequest("sendInstantSticker", { to, collection, name });
+        collection = collection || "";
+        name = name || "";
+        return this.sendRequest("sendInstantSticker", { to, collection, name }, options);
     }
 
     /**
@@ -480,9 +944,11 @@ export default class Utopia{
      */
 
     sendInstantBuzz(to, comments) {
+        const options = requestOptions(to);
+        if (isOptions(to)) ({ to, comments } = to);
         to = to || "";
         comments = comments || "";
-        return this.sendRequest("sendInstantBuzz", { to, comments });
+        return this.sendRequest("sendInstantBuzz", { to, comments }, options);
     }
 
     /**
@@ -494,16 +960,18 @@ export default class Utopia{
      */
 
     sendInstantInvitation(to, channelId, description, comments) {
+        const options = requestOptions(to);
+        if (isOptions(to)) ({ to, channelId, description, comments } = to);
         to = to || "";
-        channelId = channelId || "UTOPIA";
+        channelId = channelId || "";
         description = description || "";
         comments = comments || "";
-        this.sendRequest("sendInstantInvitation", {
+        return this.sendRequest("sendInstantInvitation", {
             to,
             channelid: channelId,
             description,
             comments
-        });
+        }, options);
     }
 
     /**
@@ -512,8 +980,10 @@ export default class Utopia{
      */
 
     removeInstantMessages(pk) {
+        const options = requestOptions(pk);
+        if (isOptions(pk)) ({ pk } = pk);
         pk = pk || "";
-        return this.sendRequest("removeInstantMessages", { "hex_contact_public_key": pk });
+        return this.sendRequest("removeInstantMessages", { "hex_contact_public_key": pk }, options);
     }
 
     /**
@@ -522,8 +992,10 @@ export default class Utopia{
      */
 
     getContactMessages(pk) {
+        const options = requestOptions(pk);
+        if (isOptions(pk)) ({ pk } = pk);
         pk = pk || "";
-        return this.sendRequest("getContactMessages", { pk });
+        return this.sendRequest("getContactMessages", { pk }, options);
     }
 
     /**
@@ -533,9 +1005,11 @@ export default class Utopia{
      */
 
     sendAuthorizationRequest(pk, message) {
+        const options = requestOptions(pk);
+        if (isOptions(pk)) ({ pk, message } = pk);
         pk = pk || "";
         message = message || "";
-        return this.sendRequest("sendAuthorizationRequest", { pk, message });
+        return this.sendRequest("sendAuthorizationRequest", { pk, message }, options);
     }
 
     /**
@@ -545,9 +1019,11 @@ export default class Utopia{
      */
 
     acceptAuthorizationRequest(pk, message) {
+        const options = requestOptions(pk);
+        if (isOptions(pk)) ({ pk, message } = pk);
         pk = pk || "";
         message = message || "";
-        return this.sendRequest("acceptAuthorizationRequest", { pk, message });
+        return this.sendRequest("acceptAuthorizationRequest", { pk, message }, options);
     }
 
     /**
@@ -557,9 +1033,11 @@ export default class Utopia{
      */
 
     rejectAuthorizationRequest(pk, message) {
+        const options = requestOptions(pk);
+        if (isOptions(pk)) ({ pk, message } = pk);
         pk = pk || "";
         message = message || "";
-        return this.sendRequest("rejectAuthorizationRequest", { pk, message });
+        return this.sendRequest("rejectAuthorizationRequest", { pk, message }, options);
     }
 
     // #endregion
@@ -580,8 +1058,10 @@ export default class Utopia{
      */
 
     getStickerNamesByCollection(collectionName) {
-        collectionName = collectionName || "42";
-        return this.sendRequest("getStickerNamesByCollection", { collection_name: collectionName });
+        const options = requestOptions(collectionName);
+        if (isOptions(collectionName)) ({ collectionName } = collectionName);
+        collectionName = collectionName || "";
+        return this.sendRequest("getStickerNamesByCollection", { collection_name: collectionName }, options);
     }
 
     /**
@@ -592,14 +1072,16 @@ export default class Utopia{
      */
 
     getImageSticker(collectionName, stickerName, coder) {
-        collectionName = collectionName || "42";
-        stickerName = stickerName || "42";
+        const options = requestOptions(collectionName);
+        if (isOptions(collectionName)) ({ collectionName, stickerName, coder } = collectionName);
+        collectionName = collectionName || "";
+        stickerName = stickerName || "";
         coder = coder || "BASE64";
         return this.sendRequest("getImageSticker", {
             collection_name: collectionName,
             sticker_name: stickerName,
             coder
-        });
+        }, options);
     }
 
     // #endregion
@@ -614,10 +1096,12 @@ export default class Utopia{
      */
 
     sendEmailMessage(to, subject, body) {
+        const options = requestOptions(to);
+        if (isOptions(to)) ({ to, subject, body } = to);
         to = to || "";
         subject = subject || "No subject";
         body = body || "";
-        return this.sendRequest("sendEmailMessage", { to, subject, body });
+        return this.sendRequest("sendEmailMessage", { to, subject, body }, options);
     }
 
     /**
@@ -627,9 +1111,11 @@ export default class Utopia{
      */
 
     getEmailFolder(folderType, filter) {
+        const options = requestOptions(folderType);
+        if (isOptions(folderType)) ({ folderType, filter } = folderType);
         folderType = folderType || "1";
         filter = filter || "";
-        return this.sendRequest("getEmailFolder", { folderType, filter });
+        return this.sendRequest("getEmailFolder", { folderType, filter }, options);
     }
 
     /**
@@ -639,9 +1125,11 @@ export default class Utopia{
      */
 
     getEmails(folderType, filter) {
+        const options = requestOptions(folderType);
+        if (isOptions(folderType)) ({ folderType, filter } = folderType);
         folderType = folderType || "1";
         filter = filter || "";
-        return this.sendRequest("getEmails", { folderType, filter });
+        return this.sendRequest("getEmails", { folderType, filter }, options);
     }
 
     /**
@@ -650,8 +1138,10 @@ export default class Utopia{
      */
 
     getEmailById(id) {
+        const options = requestOptions(id);
+        if (isOptions(id)) ({ id } = id);
         id = id || "";
-        return this.sendRequest("getEmailById", { id });
+        return this.sendRequest("getEmailById", { id }, options);
     }
 
     /**
@@ -660,8 +1150,10 @@ export default class Utopia{
      */
 
     deleteEmail(id) {
+        const options = requestOptions(id);
+        if (isOptions(id)) ({ id } = id);
         id = id || "";
-        return this.sendRequest("deleteEmail", { id });
+        return this.sendRequest("deleteEmail", { id }, options);
     }
 
     /**
@@ -671,9 +1163,11 @@ export default class Utopia{
      */
 
     sendReplyEmailMessage(id, body) {
+        const options = requestOptions(id);
+        if (isOptions(id)) ({ id, body } = id);
         id = id || "";
         body = body || "";
-        return this.sendRequest("sendReplyEmailMessage", { id, body });
+        return this.sendRequest("sendReplyEmailMessage", { id, body }, options);
     }
 
     /**
@@ -684,10 +1178,12 @@ export default class Utopia{
      */
 
     sendForwardEmailMessage(id, to, body) {
+        const options = requestOptions(id);
+        if (isOptions(id)) ({ id, to, body } = id);
         id = id || "";
         to = to || "";
         body = body || "";
-        return this.sendRequest("sendForwardEmailMessage", { id, to, body });
+        return this.sendRequest("sendForwardEmailMessage", { id, to, body }, options);
     }
 
     // #endregion
@@ -714,21 +1210,23 @@ export default class Utopia{
      * Method sendPayment sends cryptons transfer for the specified amount to the contact or to the card. The method is called by using the To parameters (nick, pk, cardid), which pass on the Public Key, Nickname or the card number of the user to whom the transfer would be sent (Public Key can be recognized by using the getContacts method); Amount, which transfers the amount of transfer (the number needs to be greater than 0 and contain no more than 9 character after coma); Comment is optional, which contains the text of the comment (up to 148 characters); as well as the optional 'From card' field can be specified, that passes on the card number from which the cryptons will be taken from. If the parameter is empty, then cryptons would be deducted from the main account. In the Response field the status of completion of the operation is displayed.
      * @param {string} cardId Card to send Cryptons from
      * @param {string} to Public Key or Card ID to send Cryptons on
-     * @param {string} amount Amount of Cryptons to be sent
+     * @param {string|Crypton} amount Amount of Cryptons to be sent
      * @param {string} comment Comment, attached to payment
      */
 
     sendPayment(cardId, to, amount, comment) {
+        const options = requestOptions(cardId);
+        if (isOptions(cardId)) ({ cardId, to, amount, comment } = cardId);
         cardId = cardId || "";
         to = to || "";
-        amount = amount || "0";
+        amount = amount || "";
         comment = comment || "";
         return this.sendRequest("sendPayment", {
             cardid: cardId,
             to,
             amount,
             comment
-        });
+        }, options);
     }
 
     /**
@@ -738,11 +1236,13 @@ export default class Utopia{
      * @param {string} toDate 
      * @param {string} fromDate
      * @param {string} batchId
-     * @param {string} fromAmount
-     * @param {string} toAmount
+     * @param {string|Crypton} fromAmount
+     * @param {string|Crypton} toAmount
      */
 
     getFinanceHistory(filters, referenceNumber, toDate, fromDate, batchId, fromAmount, toAmount) {
+        const options = requestOptions(filters);
+        if (isOptions(filters)) ({ filters, referenceNumber, toDate, fromDate, batchId, fromAmount, toAmount } = filters);
         filters = filters || "";
         referenceNumber = referenceNumber || "";
         toDate = toDate || "";
@@ -758,7 +1258,7 @@ export default class Utopia{
             batchId,
             fromAmount,
             toAmount,
-        });
+        }, options);
     }
 
     /**
@@ -767,8 +1267,10 @@ export default class Utopia{
      */
 
     getTransactionIdByReferenceNumber(referenceNumber) {
-        referenceNumber = referenceNumber || "1";
-        return this.sendRequest("getTransactionIdByReferenceNumber", { referenceNumber });
+        const options = requestOptions(referenceNumber);
+        if (isOptions(referenceNumber)) ({ referenceNumber } = referenceNumber);
+        referenceNumber = referenceNumber || "";
+        return this.sendRequest("getTransactionIdByReferenceNumber", { referenceNumber }, options);
     }
 
     // #endregion
@@ -791,14 +1293,16 @@ export default class Utopia{
      */
 
     addCard(name, color, numbers) {
-        name = name || ":)";
+        const options = requestOptions(name);
+        if (isOptions(name)) ({ name, color, numbers } = name);
+        name = name || "";
         color = color || "";
         numbers = numbers || "";
         return this.sendRequest("addCard", {
             name,
             color,
             preorderNumberInCard: numbers
-        });
+        }, options);
     }
 
     /**
@@ -807,8 +1311,10 @@ export default class Utopia{
      */
 
     deleteCard(cardId) {
+        const options = requestOptions(cardId);
+        if (isOptions(cardId)) ({ cardId } = cardId);
         cardId = cardId || "";
-        return this.sendRequest("deleteCard", { cardid: cardId });
+        return this.sendRequest("deleteCard", { cardid: cardId }, options);
     }
 
     // #endregion
@@ -817,12 +1323,14 @@ export default class Utopia{
 
     /**
      * Method enableMining turns on the mining in the Utopia client (mining is available only for x64 client). As a parameter the Status (true/false) is specified, which turns on or off the mining process. In the Response field the status of completion of the operation is displayed.
-     * @param {string} enabled
+     * @param {string|boolean} [enabled] Default "true"
      */
 
     enableMining(enabled) {
-        enabled = enabled || "true";
-        return this.sendRequest("enableMining", { enable: enabled });
+        const options = requestOptions(enabled);
+        if (isOptions(enabled)) ({ enabled } = enabled);
+        enabled = toFlag(enabled, "true");
+        return this.sendRequest("enableMining", { enable: enabled }, options);
     }
 
     /**
@@ -831,17 +1339,21 @@ export default class Utopia{
      */
 
     enablePoS(enabled) {
-        return this.sendRequest("enablePoS", { enable: enabled });
+        const options = requestOptions(enabled);
+        if (isOptions(enabled)) ({ enabled } = enabled);
+        return this.sendRequest("enablePoS", { enable: enabled }, options);
     }
 
     /**
      * Calling the enableInterest method turns on and off the daily interest on the remaining irreducible account balance. As a parameter, one of the two statuses, true or false is selected. In the Response field the status of completion of turning on or off the operation is displayed.
-     * @param {string} enabled
+     * @param {string|boolean} [enabled] Default "true"
      */
 
     enableInterest(enabled) {
-        enabled = enabled || "true";
-        return this.sendRequest("enableInterest", { enable: enabled });
+        const options = requestOptions(enabled);
+        if (isOptions(enabled)) ({ enabled } = enabled);
+        enabled = toFlag(enabled, "true");
+        return this.sendRequest("enableInterest", { enable: enabled }, options);
     }
 
     /**
@@ -894,12 +1406,14 @@ export default class Utopia{
 
     /**
      * Calling the enableHistoryMining method changes the option of the automatic reading of the mining history from the financial server. As a parameter of the method, the status of true or false is specified. In the Response field the status of completion of turning on or off the operation is displayed.
-     * @param {string} enabled
+     * @param {string|boolean} [enabled] Default "true"
      */
 
     enableHistoryMining(enabled) {
-        enabled = enabled || "true";
-        return this.sendRequest("enableHistoryMining", { enable: enabled });
+        const options = requestOptions(enabled);
+        if (isOptions(enabled)) ({ enabled } = enabled);
+        enabled = toFlag(enabled, "true");
+        return this.sendRequest("enableHistoryMining", { enable: enabled }, options);
     }
 
     /**
@@ -944,12 +1458,14 @@ export default class Utopia{
 
     /**
      * Method createVoucher with the mandatory parameter 'amount' creates new voucher for the selected amount in the list of own vouchers. The amount for the vouchers is taken from the main account balance. Amount, which transfers the amount of transfer (the number needs to be greater than 0 and contain no more than 9 character after coma); 
-     * @param {string} amount Amount of Cryptons
+     * @param {string|Crypton} amount Amount of Cryptons
      */
 
     createVoucher(amount) {
-        amount = amount || "0.000000001";
-        return this.sendRequest("createVoucher", { amount });
+        const options = requestOptions(amount);
+        if (isOptions(amount)) ({ amount } = amount);
+        amount = amount || "";
+        return this.sendRequest("createVoucher", { amount }, options);
     }
 
     /**
@@ -958,7 +1474,9 @@ export default class Utopia{
      */
 
     useVoucher(voucherId) {
-        return this.sendRequest("useVoucher", { voucherid: voucherId });
+        const options = requestOptions(voucherId);
+        if (isOptions(voucherId)) ({ voucherId } = voucherId);
+        return this.sendRequest("useVoucher", { voucherid: voucherId }, options);
     }
 
     /**
@@ -967,7 +1485,9 @@ export default class Utopia{
      */
 
     deleteVoucher(voucherId) {
-        return this.sendRequest("deleteVoucher", { voucherid: voucherId });
+        const options = requestOptions(voucherId);
+        if (isOptions(voucherId)) ({ voucherId } = voucherId);
+        return this.sendRequest("deleteVoucher", { voucherid: voucherId }, options);
     }
 
     // #endregion
@@ -987,6 +1507,8 @@ export default class Utopia{
      */
 
     getInvoices(cardId, invoiceId, pk, transactionId, status, startDateTime, endDateTime, referenceNumber) {
+        const options = requestOptions(cardId);
+        if (isOptions(cardId)) ({ cardId, invoiceId, pk, transactionId, status, startDateTime, endDateTime, referenceNumber } = cardId);
         cardId = cardId || "";
         invoiceId = invoiceId || "";
         pk = pk || "";
@@ -1004,7 +1526,7 @@ export default class Utopia{
             startDateTime,
             endDateTime,
             referenceNumber
-        });
+        }, options);
     }
 
     /**
@@ -1013,18 +1535,22 @@ export default class Utopia{
      */
 
     getInvoiceByReferenceNumber(referenceNumber) {
-        referenceNumber = referenceNumber || "1";
-        return this.sendRequest("getInvoiceByReferenceNumber", { referenceNumber });
+        const options = requestOptions(referenceNumber);
+        if (isOptions(referenceNumber)) ({ referenceNumber } = referenceNumber);
+        referenceNumber = referenceNumber || "";
+        return this.sendRequest("getInvoiceByReferenceNumber", { referenceNumber }, options);
     }
 
     /**
      * Method sendInvoice sends invoice (Request Cryptons) for deduction of specified amount from specified card. In the parameters of the method, the card number of the request recipient is specified (CardId). In the second parameter the 'Amount' is specified which transfers the amount of transfer (the number needs to be greater than 0 and contain no more than 9 character after coma), and the third parameter is optional, where 'Comment is optional, which contains the text of the comment (up to 148 characters). 
      * @param {string} cardId Card to send invoice to
-     * @param {string} amount Amount of Cryptons to request
+     * @param {string|Crypton} amount Amount of Cryptons to request
      * @param {string} comment Comment
      */
 
     sendInvoice(cardId, amount, comment) {
+        const options = requestOptions(cardId);
+        if (isOptions(cardId)) ({ cardId, amount, comment } = cardId);
         cardId = cardId || "";
         amount = amount || "";
         comment = comment || "";
@@ -1032,7 +1558,7 @@ export default class Utopia{
             cardid: cardId,
             amount,
             comment
-        });
+        }, options);
     }
 
     /**
@@ -1041,8 +1567,10 @@ export default class Utopia{
      */
 
     acceptInvoice(invoiceId) {
+        const options = requestOptions(invoiceId);
+        if (isOptions(invoiceId)) ({ invoiceId } = invoiceId);
         invoiceId = invoiceId || "";
-        return this.sendRequest("acceptInvoice", { invoiceid: invoiceId });
+        return this.sendRequest("acceptInvoice", { invoiceid: invoiceId }, options);
     }
 
     /**
@@ -1051,8 +1579,10 @@ export default class Utopia{
      */
 
     declineInvoice(invoiceId) {
+        const options = requestOptions(invoiceId);
+        if (isOptions(invoiceId)) ({ invoiceId } = invoiceId);
         invoiceId = invoiceId || "";
-        return this.sendRequest("declineInvoice", { invoiceid: invoiceId });
+        return this.sendRequest("declineInvoice", { invoiceid: invoiceId }, options);
     }
 
     /**
@@ -1061,8 +1591,10 @@ export default class Utopia{
      */
 
     cancelInvoice(invoiceId) {
+        const options = requestOptions(invoiceId);
+        if (isOptions(invoiceId)) ({ invoiceId } = invoiceId);
         invoiceId = invoiceId || "";
-        return this.sendRequest("cancelInvoice", { invoiceid: invoiceId });
+        return this.sendRequest("cancelInvoice", { invoiceid: invoiceId }, options);
     }
 
     // #endregion
@@ -1075,12 +1607,14 @@ export default class Utopia{
      */
 
     requestUnsTransfer(name, newOwnerPk) {
+        const options = requestOptions(name);
+        if (isOptions(name)) ({ name, newOwnerPk } = name);
         name = name || "";
         newOwnerPk = newOwnerPk || "";
         return this.sendRequest("requestUnsTransfer", {
             name,
             hexNewOwnerPk: newOwnerPk
-        });
+        }, options);
     }
 
     /**
@@ -1089,8 +1623,10 @@ export default class Utopia{
      */
 
     acceptUnsTransfer(requestId) {
+        const options = requestOptions(requestId);
+        if (isOptions(requestId)) ({ requestId } = requestId);
         requestId = requestId || "";
-        return this.sendRequest("acceptUnsTransfer", { requestid: requestId });
+        return this.sendRequest("acceptUnsTransfer", { requestid: requestId }, options);
     }
 
     /**
@@ -1099,8 +1635,10 @@ export default class Utopia{
      */
 
     declineUnsTransfer(requestId) {
+        const options = requestOptions(requestId);
+        if (isOptions(requestId)) ({ requestId } = requestId);
         requestId = requestId || "";
-        return this.sendRequest("declineUnsTransfer", { requestid: requestId });
+        return this.sendRequest("declineUnsTransfer", { requestid: requestId }, options);
     }
 
     /**
@@ -1130,9 +1668,11 @@ export default class Utopia{
      */
 
     getChannels(filter, channelType) {
+        const options = requestOptions(filter);
+        if (isOptions(filter)) ({ filter, channelType } = filter);
         filter = filter || "";
         channelType = channelType || "";
-        return this.sendRequest("getChannels", { filter, channel_type: channelType });
+        return this.sendRequest("getChannels", { filter, channel_type: channelType }, options);
     }
 
     /**
@@ -1142,42 +1682,31 @@ export default class Utopia{
      */
 
     sendChannelMessage(channelId, message) {
-        channelId = channelId || "UTOPIA";
-        message = message || "How to use Utopia Node.js API?";
-        return this.sendRequest("sendChannelMessage", { channelid: channelId, message });
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId, message } = channelId);
+        channelId = channelId || "";
+        message = message || "";
+        return this.sendRequest("sendChannelMessage", { channelid: channelId, message }, options);
     }
 
     /**
      * Method sendChannelPicture creates and sends message with picture in base64 format
      * @param {string} channelId
-     * @param {string} imageFilename Image filename
-     * @param {string} base64Image (Optional) Use this if you have Base64 encoded image
+     * @param {string} imageFilename Image filename, the image is read from this path when there is no `image`
+     * @param {string|Uint8Array|ArrayBuffer|Blob|ReadableStream<Uint8Array>} image (Optional) Image bytes or Base64 encoded image
      */
 
-    async sendChannelPicture(channelId, imageFilename, base64Image) {
+    async sendChannelPicture(channelId, imageFilename, image) {
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId, imageFilename, image } = channelId);
         channelId = channelId || "";
-        base64Image = base64Image || "";
         imageFilename = imageFilename || "";
-        if (base64Image.length < 1) {
-            if (imageFilename) {
-                if (await exists(filename)) {
-                    if (await isFile(filename)) {
-                        var base64Image = await readFileToBase64(filename);
-                    } else {
-                        throw new Error("path is a directory")
-                    }
-                } else {
-                    throw new Error("file does not exist")
-                }
-            } else {
-                throw new Error("filename parameter is required")
-            }
-        }
+        const base64Image = await fileToBase64(imageFilename, image);
         return this.sendRequest("sendChannelPicture", {
             channelid: channelId,
             base64_image: base64Image,
-            filename_image: imageFilename
-        });
+            filename_image: basename(imageFilename)
+        }, options);
     }
 
     /**
@@ -1187,9 +1716,11 @@ export default class Utopia{
      */
 
     joinChannel(channelId, password) {
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId, password } = channelId);
         channelId = channelId || "";
         password = password || "";
-        return this.sendRequest("joinChannel", { ident: channelId, password });
+        return this.sendRequest("joinChannel", { ident: channelId, password }, options);
     }
 
     /**
@@ -1198,8 +1729,10 @@ export default class Utopia{
      */
 
     leaveChannel(channelId) {
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId } = channelId);
         channelId = channelId || "";
-        return this.sendRequest("leaveChannel", { channelid: channelId });
+        return this.sendRequest("leaveChannel", { channelid: channelId }, options);
     }
 
     /**
@@ -1208,8 +1741,10 @@ export default class Utopia{
      */
 
     getChannelMessages(channelId) {
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId } = channelId);
         channelId = channelId || "";
-        return this.sendRequest("getChannelMessages", { channelid: channelId });
+        return this.sendRequest("getChannelMessages", { channelid: channelId }, options);
     }
 
     /**
@@ -1218,8 +1753,10 @@ export default class Utopia{
      */
 
     getChannelInfo(channelId) {
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId } = channelId);
         channelId = channelId || "";
-        return this.sendRequest("getChannelInfo", { channelid: channelId });
+        return this.sendRequest("getChannelInfo", { channelid: channelId }, options);
     }
 
     /** 
@@ -1230,10 +1767,12 @@ export default class Utopia{
     */
 
     getChannelAvatar(channelId, coder, format) {
-        channelId = channelId || "UTOPIA";
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId, coder, format } = channelId);
+        channelId = channelId || "";
         coder = coder || "BASE64";
         format = format || "PNG";
-        return this.sendRequest("getChannelAvatar", { channelid: channelId, coder, format });
+        return this.sendRequest("getChannelAvatar", { channelid: channelId, coder, format }, options);
     }
 
     /**
@@ -1242,8 +1781,10 @@ export default class Utopia{
      */
 
     getChannelModerators(channelId) {
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId } = channelId);
         channelId = channelId || "";
-        return this.sendRequest("getChannelModerators", { channelid: channelId });
+        return this.sendRequest("getChannelModerators", { channelid: channelId }, options);
     }
 
     /**
@@ -1252,8 +1793,10 @@ export default class Utopia{
      */
 
     getChannelContacts(channelId) {
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId } = channelId);
         channelId = channelId || "";
-        return this.sendRequest("getChannelContacts", { channelid: channelId });
+        return this.sendRequest("getChannelContacts", { channelid: channelId }, options);
     }
 
     /**
@@ -1263,9 +1806,11 @@ export default class Utopia{
      */
 
     getChannelModeratorRight(channelId, moderator) {
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId, moderator } = channelId);
         channelId = channelId || "";
         moderator = moderator || "";
-        return this.sendRequest("getChannelModeratorRight", { channelid: channelId, moderator });
+        return this.sendRequest("getChannelModeratorRight", { channelid: channelId, moderator }, options);
     }
 
     /**
@@ -1282,6 +1827,8 @@ export default class Utopia{
      */
 
     createChannel(channelName, description, readOnly, password, language, hashtags, geoTag, base64AvatarImage, hideInUI) {
+        const options = requestOptions(channelName);
+        if (isOptions(channelName)) ({ channelName, description, readOnly, password, language, hashtags, geoTag, base64AvatarImage, hideInUI } = channelName);
         channelName = channelName || "";
         description = description || "";
         readOnly = readOnly || "";
@@ -1301,7 +1848,7 @@ export default class Utopia{
             geoTag,
             base64_avatar_image: base64AvatarImage,
             hide_in_UI: hideInUI
-        });
+        }, options);
     }
 
     /**
@@ -1309,7 +1856,6 @@ export default class Utopia{
      * @param {string} channelId
      * @param {string} description Channel description
      * @param {string} readOnly 
-     * @param {string} password Channel password
      * @param {string} language 
      * @param {string} hashtags
      * @param {string} geoTag
@@ -1318,16 +1864,17 @@ export default class Utopia{
      */
 
     modifyChannel(channelId, description, readOnly, language, hashtags, geoTag, base64AvatarImage, hideInUI) {
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId, description, readOnly, language, hashtags, geoTag, base64AvatarImage, hideInUI } = channelId);
         channelId = channelId || "";
         description = description || "";
         readOnly = readOnly || "";
-        password = password || "";
         language = language || "";
         hashtags = hashtags || "";
         hideInUI = hideInUI || "";
         geoTag = geoTag || "";
         base64AvatarImage = base64AvatarImage || "";
-        return this.sendRequest("createChannel", {
+        return this.sendRequest("modifyChannel", {
             channelid: channelId,
             description,
             read_only: readOnly,
@@ -1336,7 +1883,7 @@ export default class Utopia{
             geoTag,
             base64_avatar_image: base64AvatarImage,
             hide_in_UI: hideInUI
-        });
+        }, options);
     }
 
     /**
@@ -1345,8 +1892,10 @@ export default class Utopia{
      */
 
     deleteChannel(channelId) {
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId } = channelId);
         channelId = channelId || "";
-        return this.sendRequest("deleteChannel", { channelid: channelId });
+        return this.sendRequest("deleteChannel", { channelid: channelId }, options);
     }
 
     /**
@@ -1363,7 +1912,9 @@ export default class Utopia{
     */
 
     getChannelBannedConacts(channelId) {
-        return this.sendRequest("getChannelBannedConacts", { channelid: channelId });
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId } = channelId);
+        return this.sendRequest("getChannelBannedConacts", { channelid: channelId }, options);
     }
 
     /**
@@ -1373,7 +1924,9 @@ export default class Utopia{
     */
 
     applyChannelBannedConacts(channelId, newList) {
-        return this.sendRequest("applyChannelBannedConacts", { channelid: channelId, newList });
+        const options = requestOptions(channelId);
+        if (isOptions(channelId)) ({ channelId, newList } = channelId);
+        return this.sendRequest("applyChannelBannedConacts", { channelid: channelId, newList }, options);
     }
 
     // #endregion
@@ -1389,6 +1942,8 @@ export default class Utopia{
      */
 
     unsCreateRecordRequest(nick, valid, isPrimary, channelId) {
+        const options = requestOptions(nick);
+        if (isOptions(nick)) ({ nick, valid, isPrimary, channelId } = nick);
         channelId = channelId || "";
         nick = nick || "";
         valid = valid || "";
@@ -1398,7 +1953,7 @@ export default class Utopia{
             valid,
             isPrimary,
             channelId
-        });
+        }, options);
     }
 
     /**
@@ -1410,16 +1965,18 @@ export default class Utopia{
      */
 
     unsModifyRecordRequest(nick, valid, isPrimary, channelId) {
+        const options = requestOptions(nick);
+        if (isOptions(nick)) ({ nick, valid, isPrimary, channelId } = nick);
         channelId = channelId || "";
         nick = nick || "";
         valid = valid || "";
         isPrimary = isPrimary || "";
-        return this.sendRequest("unsCreateRecordRequest", {
+        return this.sendRequest("unsModifyRecordRequest", {
             nick,
             valid,
             isPrimary,
             channelId
-        });
+        }, options);
     }
 
     /**
@@ -1428,8 +1985,10 @@ export default class Utopia{
      */
 
     unsDeleteRecordRequest(nick) {
+        const options = requestOptions(nick);
+        if (isOptions(nick)) ({ nick } = nick);
         nick = nick || "";
-        return this.sendRequest("unsDeleteRecordRequest", { nick });
+        return this.sendRequest("unsDeleteRecordRequest", { nick }, options);
     }
 
     /**
@@ -1438,8 +1997,10 @@ export default class Utopia{
      */
 
     unsSearchByPk(filter) {
+        const options = requestOptions(filter);
+        if (isOptions(filter)) ({ filter } = filter);
         filter = filter || "";
-        return this.sendRequest("unsSearchByPk", { filter });
+        return this.sendRequest("unsSearchByPk", { filter }, options);
     }
 
     /**
@@ -1448,8 +2009,10 @@ export default class Utopia{
      */
 
     unsSearchByNick(filter) {
+        const options = requestOptions(filter);
+        if (isOptions(filter)) ({ filter } = filter);
         filter = filter || "";
-        return this.sendRequest("unsSearchByNick", { filter });
+        return this.sendRequest("unsSearchByNick", { filter }, options);
     }
 
     /**
@@ -1475,9 +2038,11 @@ export default class Utopia{
      */
 
     summaryUnsRegisteredNames(dateFrom, dateTo) {
+        const options = requestOptions(dateFrom);
+        if (isOptions(dateFrom)) ({ dateFrom, dateTo } = dateFrom);
         dateTo = dateTo || "";
         dateFrom = dateFrom || "";
-        return this.sendRequest("summaryUnsRegisteredNames", { from_date: dateFrom, to_date: dateTo });
+        return this.sendRequest("summaryUnsRegisteredNames", { from_date: dateFrom, to_date: dateTo }, options);
     }
 
     /**
@@ -1486,8 +2051,10 @@ export default class Utopia{
      */
 
     getWhoIsInfo(nameOrPk) {
+        const options = requestOptions(nameOrPk);
+        if (isOptions(nameOrPk)) ({ nameOrPk } = nameOrPk);
         nameOrPk = nameOrPk || "";
-        return this.sendRequest("getWhoIsInfo", { owner: nameOrPk });
+        return this.sendRequest("getWhoIsInfo", { owner: nameOrPk }, options);
     }
 
     // #endregion
@@ -1512,18 +2079,20 @@ export default class Utopia{
      */
 
     createProxyMapping(srcHost, srcPort, dstHost, dstPort, enabled) {
+        const options = requestOptions(srcHost);
+        if (isOptions(srcHost)) ({ srcHost, srcPort, dstHost, dstPort, enabled } = srcHost);
         srcHost = srcHost || "";
         srcPort = srcPort || "";
         dstHost = dstHost || "";
         dstPort = dstPort || "";
-        enabled = enabled || "true";
+        enabled = toFlag(enabled, "true");
         return this.sendRequest("createProxyMapping", {
             srcHost,
             srcPort,
             dstHost,
             dstPort,
             enabled
-        });
+        }, options);
     }
 
     /**
@@ -1532,8 +2101,10 @@ export default class Utopia{
      */
 
     enableProxyMapping(mappingId) {
+        const options = requestOptions(mappingId);
+        if (isOptions(mappingId)) ({ mappingId } = mappingId);
         mappingId = mappingId || "";
-        return this.sendRequest("enableProxyMapping", { mappingId });
+        return this.sendRequest("enableProxyMapping", { mappingId }, options);
     }
 
     /**
@@ -1542,8 +2113,10 @@ export default class Utopia{
      */
 
     disableProxyMapping(mappingId) {
+        const options = requestOptions(mappingId);
+        if (isOptions(mappingId)) ({ mappingId } = mappingId);
         mappingId = mappingId || "";
-        return this.sendRequest("disableProxyMapping", { mappingId });
+        return this.sendRequest("disableProxyMapping", { mappingId }, options);
     }
 
     /**
@@ -1552,8 +2125,10 @@ export default class Utopia{
      */
 
     removeProxyMapping(mappingId) {
+        const options = requestOptions(mappingId);
+        if (isOptions(mappingId)) ({ mappingId } = mappingId);
         mappingId = mappingId || "";
-        return this.sendRequest("removeProxyMapping", { mappingId });
+        return this.sendRequest("removeProxyMapping", { mappingId }, options);
     }
 
     // #endregion
@@ -1582,8 +2157,10 @@ export default class Utopia{
      */
 
     abortTransfer(transferID) {
-        transferID = transferID || "0";
-        return this.sendRequest("abortTransfers", { transferId: transferID });
+        const options = requestOptions(transferID);
+        if (isOptions(transferID)) ({ transferID } = transferID);
+        transferID = transferID || "";
+        return this.sendRequest("abortTransfers", { transferId: transferID }, options);
     }
 
     /**
@@ -1592,8 +2169,10 @@ export default class Utopia{
      */
 
     hideTransfer(transferID) {
-        transferID = transferID || "0";
-        return this.sendRequest("hideTransfers", { transferId: transferID });
+        const options = requestOptions(transferID);
+        if (isOptions(transferID)) ({ transferID } = transferID);
+        transferID = transferID || "";
+        return this.sendRequest("hideTransfers", { transferId: transferID }, options);
     }
 
     /**
@@ -1602,8 +2181,10 @@ export default class Utopia{
      */
 
     getFile(fileID) {
-        fileID = fileID || "0";
-        return this.sendRequest("getFile", { fileId: fileID });
+        const options = requestOptions(fileID);
+        if (isOptions(fileID)) ({ fileID } = fileID);
+        fileID = fileID || "";
+        return this.sendRequest("getFile", { fileId: fileID }, options);
     }
 
     /**
@@ -1612,37 +2193,151 @@ export default class Utopia{
      */
 
     deleteFile(fileID) {
-        fileID = fileID || "0";
-        return this.sendRequest("deleteFile", { fileId: fileID });
+        const options = requestOptions(fileID);
+        if (isOptions(fileID)) ({ fileID } = fileID);
+        fileID = fileID || "";
+        return this.sendRequest("deleteFile", { fileId: fileID }, options);
     }
 
     /**
      * Method uploadFile upload data in base64 format and returns ID of new file.
-     * @param {string} filename Filename
-     * @param {string} base64Data (Optional) Use this if you have Base64 encoded image
+     * @param {string} filename Filename, the file is read from this path when there is no `data`
+     * @param {string|Uint8Array|ArrayBuffer|Blob|ReadableStream<Uint8Array>} data (Optional) File bytes or Base64 encoded file
      */
 
-    async uploadFile(filename, base64Data) {
-        base64Data = base64Data || "";
+    async uploadFile(filename, data) {
+        const options = requestOptions(filename);
+        if (isOptions(filename)) ({ filename, data } = filename);
         filename = filename || "";
-        if (base64Data.length < 1) {
-            if (filename) {
-                if (await exists(filename)) {
-                    if (await isFile(filename)) {
-                        var base64Data = await readFileToBase64(filename);
-                    } else {
-                        throw new Error("path is a directory")
-                    }
-                } else {
-                    throw new Error("file does not exist")
-                }
-            } else {
-                throw new Error("filename parameter is required")
-            }
-        }
+        const base64Data = await fileToBase64(filename, data);
         return this.sendRequest("uploadFile", {
             fileDataBase64: base64Data,
-            fileName: filename
+            fileName: basename(filename)
+        }, options);
+    }
+
+    /**
+     * Downloads file with selected ID using getFile and saves it to destPath. The file is written next to destPath first and moved in place only after its SHA-256 is checked.
+     * A getFile result without base64 `content` rejects with TransportError.
+     * @param {string} fileID ID of file you want to receive
+     * @param {string} destPath Where to save the file
+     * @param {string} sha256Checksum (Optional) Expected SHA-256 of the file in hex
+     * @return {Promise<{path: string, size: number, sha256: string}>}
+     */
+
+    async downloadFile(fileID, destPath, sha256Checksum) {
+        const options = requestOptions(fileID);
+        if (isOptions(fileID)) ({ fileID, destPath, sha256Checksum } = fileID);
+        if (!destPath) throw new InvalidArgumentError("destPath parameter is required");
+        const { result } = await this.getFile({ fileID, ...options });
+        if (typeof result?.content !== 'string') {
+            throw new TransportError(`getFile returned no content for file ${fileID}`, { method: "getFile", params: { fileId: fileID } });
+        }
+        const bytes = fromBase64(result.content);
+        const checksum = await sha256(bytes);
+        if (sha256Checksum && sha256Checksum.toLowerCase() !== checksum) throw new ChecksumError(destPath, sha256Checksum, checksum);
+        if (result.size !== undefined && Number(result.size) !== bytes.length) {
+            throw new ChecksumError(destPath, `${result.size} bytes`, `${bytes.length} bytes`);
+        }
+        await writeFileVerified(destPath, bytes, checksum);
+        return { path: destPath, size: bytes.length, sha256: checksum };
+    }
+
+    // #endregion
+
+    // #region Iterators
+
+    /**
+     * Walks the whole finance history page by page, the next page is requested from the last referenceNumber when the previous one is consumed.
+     * Takes getFinanceHistory filters.
+     * @param {object} [options]
+     * @param {string} [options.filters] Same as in getFinanceHistory, e.g. 'INCOMING_TRANSFERS'
+     * @param {string} [options.fromDate]
+     * @param {string} [options.toDate]
+     * @param {string} [options.batchId]
+     * @param {string|Crypton} [options.fromAmount]
+     * @param {string|Crypton} [options.toAmount]
+     * @param {string} [options.cursor] `cursor` of a previous iterator (a referenceNumber), continues after that transaction
+     * @return {import('./lib/pagination.js').PageIterator<object>}
+     * @example for await (const entry of api.iterateFinanceHistory({ filters: 'ALL_TRANSFERS' })) exportRow(entry)
+     */
+
+    iterateFinanceHistory({ filters, fromDate, toDate, batchId, fromAmount, toAmount, cursor } = {}) {
+        return createPageIterator({
+            fetchPage: async referenceNumber => (await this.getFinanceHistory({ filters, referenceNumber, toDate, fromDate, batchId, fromAmount, toAmount })).result,
+            keyOf: entry => entry.referenceNumber,
+            cursor,
+            chained: true,
+        });
+    }
+
+    /**
+     * Walks emails of a folder, loading them one by one with getEmailById
+     * @param {object} [options]
+     * @param {string} [options.folderType] 1 - Inbox | 2 - Drafts | 4 - Sent | 8 - Outbox | 16 - Trash
+     * @param {string} [options.filter] Filter string
+     * @param {string} [options.cursor] `cursor` of a previous iterator (an email ID), continues after that email
+     * @return {import('./lib/pagination.js').PageIterator<object>}
+     */
+
+    iterateEmails({ folderType, filter, cursor } = {}) {
+        return createPageIterator({
+            fetchPage: async () => (await this.getEmailFolder({ folderType, filter })).result,
+            keyOf: id => id,
+            load: async id => (await this.getEmailById(id)).result,
+            cursor,
+        });
+    }
+
+    /**
+     * Walks messages of a channel
+     * @param {object} options
+     * @param {string} options.channelId
+     * @param {string} [options.cursor] `cursor` of a previous iterator (a message ID), continues after that message
+     * @return {import('./lib/pagination.js').PageIterator<object>}
+     */
+
+    iterateChannelMessages({ channelId, cursor } = {}) {
+        return createPageIterator({
+            fetchPage: async () => (await this.getChannelMessages(channelId)).result,
+            keyOf: message => message.id,
+            cursor,
+        });
+    }
+
+    /**
+     * Walks messages of a personal chat
+     * @param {object} options
+     * @param {string} options.pk Contact's Public Key
+     * @param {string} [options.cursor] `cursor` of a previous iterator (a message ID), continues after that message
+     * @return {import('./lib/pagination.js').PageIterator<object>}
+     */
+
+    iterateContactMessages({ pk, cursor } = {}) {
+        return createPageIterator({
+            fetchPage: async () => (await this.getContactMessages(pk)).result,
+            keyOf: message => message.id,
+            cursor,
+        });
+    }
+
+    /**
+     * Walks invoices. Takes getInvoices filters.
+     * @param {object} [options]
+     * @param {string} [options.cardId]
+     * @param {string} [options.pk]
+     * @param {string} [options.status]
+     * @param {string} [options.startDateTime]
+     * @param {string} [options.endDateTime]
+     * @param {string} [options.cursor] `cursor` of a previous iterator (an invoice ID), continues after that invoice
+     * @return {import('./lib/pagination.js').PageIterator<object>}
+     */
+
+    iterateInvoices({ cardId, pk, status, startDateTime, endDateTime, cursor } = {}) {
+        return createPageIterator({
+            fetchPage: async () => (await this.getInvoices({ cardId, pk, status, startDateTime, endDateTime })).result,
+            keyOf: invoice => invoice.id,
+            cursor,
         });
     }
 
@@ -0,0 +1,129 @@
+/**
+ * Response cache middleware. Responses are kept per method and params for a per-method TTL
+ * and dropped after calls and WebSocket events that change what they describe.
+ */
+
+/** Default TTLs in milliseconds of methods worth caching */
+export const defaultTtls = {
+    getContacts: 60000,
+    getContactGroups: 60000,
+    getContactsByGroup: 60000,
+    getOwnContact: 300000,
+    getProfileStatus: 60000,
+    getChannelInfo: 300000,
+    getChannels: 60000,
+    getStickerCollections: 3600000,
+    getStickerNamesByCollection: 3600000,
+    getFinanceSystemInformation: 300000,
+    getCards: 60000,
+};
+
+const contactReads = [ 'getContacts', 'getContactGroups', 'getContactsByGroup' ];
+const channelReads = [ 'getChannelInfo', 'getChannels' ];
+// cards carry balances, so anything moving money makes them stale
+const cardReads = [ 'getCards' ];
+
+/** Cached methods invalidated by a successful or failed call of a mutating method */
+export const defaultMutations = {
+    setContactNick: contactReads,
+    setContactGroup: contactReads,
+    renameContactGroup: contactReads,
+    deleteContactGroup: contactReads,
+    deleteContact: contactReads,
+    acceptAuthorizationRequest: contactReads,
+    setProfileStatus: [ 'getProfileStatus', 'getOwnContact' ],
+    createChannel: channelReads,
+    modifyChannel: channelReads,
+    deleteChannel: channelReads,
+    joinChannel: channelReads,
+    leaveChannel: channelReads,
+    addCard: cardReads,
+    deleteCard: cardReads,
+    sendPayment: cardReads,
+    acceptInvoice: cardReads,
+    createVoucher: cardReads,
+    useVoucher: cardReads,
+};
+
+/** Cached methods invalidated by WebSocket events */
+export const defaultEvents = {
+    channelJoinChanged: channelReads,
+    newPaymentTransfer: cardReads,
+};
+
+function cacheKey(method, params){
+    return `${method} ${JSON.stringify(Object.keys(params).sort().map(key => [ key, params[key] ]))}`
+}
+
+/**
+ * Creates the cache, add it with `api.use(cache)`. Pass `cache: false` request option to skip it and refresh the entry.
+ * @param {object} [options]
+ * @param {Object<string, number>} [options.ttl] TTL overrides by method in milliseconds, 0 disables caching of a method
+ * @param {Object<string, string[]>} [options.mutations] Extra mutating methods and the cached methods they invalidate
+ * @param {Object<string, string[]>} [options.events] Extra WebSocket events and the cached methods they invalidate
+ * @param {number} [options.maxEntries] Oldest entries are dropped above this count. Default 1000
+ * @return {import('./middleware.js').Middleware & {invalidate(method?: string, params?: object): void, stats(): {entries: number, hits: number, misses: number}}}
+ */
+
+export function createCache({ ttl = {}, mutations = {}, events = {}, maxEntries = 1000 } = {}){
+    const ttls = { ...defaultTtls, ...ttl };
+    const invalidatedBy = { ...defaultMutations, ...mutations };
+    const invalidatedByEvent = { ...defaultEvents, ...events };
+    /** @type {Map<string, {method: string, promise: Promise<any>, expires: number}>} */
+    const entries = new Map;
+    let hits = 0, misses = 0;
+
+    function invalidate(method, params){
+        if(!method) return entries.clear();
+        if(params) return entries.delete(cacheKey(method, params));
+        for(const [ key, entry ] of entries) if(entry.method === method) entries.delete(key)
+    }
+
+    function invalidateAll(methods = []){
+        for(const method of methods) invalidate(method)
+    }
+
+    return {
+        async request(ctx, next){
+            const { method, params } = ctx;
+            if(!ttls[method]){
+                if(!invalidatedBy[method]) return next();
+                try{
+                    return await next()
+                } finally {
+                    invalidateAll(invalidatedBy[method])
+                }
+            }
+
+            const key = cacheKey(method, params);
+            const now = Date.now();
+            const cached = entries.get(key);
+            if(cached && cached.expires > now && ctx.options.cache !== false){
+                hits++;
+                return structuredClone(await cached.promise)
+            }
+
+            misses++;
+            const entry = { method, promise: next(), expires: now + ttls[method] };
+            entries.delete(key);
+            entries.set(key, entry);
+            if(entries.size > maxEntries) entries.delete(entries.keys().next().value);
+            entry.promise.catch(() => entries.get(key) === entry && entries.delete(key));
+            return structuredClone(await entry.promise)
+        },
+        event(event, next){
+            invalidateAll(invalidatedByEvent[event.type]);
+            return next()
+        },
+        /**
+         * Drops cached responses: all of them, of a method, or of a method with the given params
+         * @param {string} [method]
+         * @param {object} [params] Params as sent to the API
+         */
+        invalidate,
+        /** Entry count, hits and misses since creation */
+        stats(){
+            return { entries: entries.size, hits, misses }
+        },
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Record/replay transports: record API calls and WebSocket frames against a real
+ * client into a cassette file, then replay them offline.
+ */
+
+import { redactParams, createAbortError, TransportError } from './errors.js';
+import { sleep } from './retry.js';
+
+const { readTextFile, writeTextFile } = Deno;
+
+/**
+ * @typedef {object} Cassette
+ * @property {number} version
+ * @property {{method: string, params: object, status: number, body: string}[]} interactions Recorded API calls in order
+ * @property {{at: number, data: string|{code: number, reason?: string}}[][]} sockets Frames of every WebSocket connection, `at` is milliseconds since connecting
+ */
+
+/** JSON with sorted keys, so params match regardless of their order */
+function stableStringify(value){
+    if(Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if(value && typeof value === 'object'){
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+    }
+    return JSON.stringify(value ?? null)
+}
+
+function interactionKey(method, params){
+    return `${method} ${stableStringify(redactParams(params || {}))}`
+}
+
+function redactToken(text, token){
+    return token ? text.split(token).join('[REDACTED]') : text
+}
+
+/**
+ * Wraps a transport and records everything going through it
+ * @param {import('./transport.js').Transport} transport Transport to a real client
+ * @return {import('./transport.js').Transport & {cassette: Cassette, save(path: string): Promise<void>}}
+ */
+
+export function createRecordingTransport(transport){
+    /** @type {Cassette} */
+    const cassette = { version: 1, interactions: [], sockets: [] };
+    return {
+        cassette,
+        async request(payload, options){
+            const response = await transport.request(payload, options);
+            cassette.interactions.push({
+                method: payload.method,
+                params: redactParams(payload.params),
+                status: response.status,
+                body: redactToken(response.body, payload.token),
+            });
+            return response
+        },
+        async connect(options){
+            const socket = await transport.connect(options);
+            const frames = [];
+            const started = Date.now();
+            cassette.sockets.push(frames);
+            return {
+                async *[Symbol.asyncIterator](){
+                    for await (const frame of socket){
+                        if(typeof frame === 'string') frames.push({ at: Date.now() - started, data: redactToken(frame, options.token) });
+                        else if(typeof frame?.code === 'number') frames.push({ at: Date.now() - started, data: { code: frame.code, reason: frame.reason } });
+                        yield frame
+                    }
+                },
+                close: (...args) => socket.close(...args),
+            }
+        },
+        /**
+         * Writes the cassette to a JSON file
+         * @param {string} path
+         */
+        save(path){
+            return writeTextFile(path, JSON.stringify(cassette, null, 2))
+        },
+    }
+}
+
+/**
+ * @param {string} path Cassette file
+ * @return {Promise<Cassette>}
+ */
+
+export async function loadCassette(path){
+    return JSON.parse(await readTextFile(path))
+}
+
+/**
+ * Serves recorded responses instead of talking to a client. Calls are matched by method and params;
+ * identical calls get their recorded responses in order.
+ * @param {Cassette} cassette
+ * @param {object} [options]
+ * @param {boolean} [options.strict] Throw when a call has no recorded response left instead of repeating the last one. Default false
+ * @param {number} [options.speed] WebSocket frames playback speed, 0 sends them at once. Default 0
+ * @return {import('./transport.js').Transport}
+ */
+
+export function createReplayTransport(cassette, { strict = false, speed = 0 } = {}){
+    const recorded = new Map;
+    for(const interaction of cassette.interactions){
+        const key = interactionKey(interaction.method, interaction.params);
+        if(!recorded.has(key)) recorded.set(key, { responses: [], next: 0 });
+        recorded.get(key).responses.push(interaction)
+    }
+    const sockets = [ ...cassette.sockets ];
+
+    return {
+        async request({ method, params }, { signal } = {}){
+            if(signal?.aborted) throw createAbortError();
+            const entry = recorded.get(interactionKey(method, params));
+            if(!entry || strict && entry.next >= entry.responses.length) throw new TransportError(`No recorded response for ${method}`, { method, params });
+            const { status, body } = entry.responses[Math.min(entry.next++, entry.responses.length - 1)];
+            return { status, body }
+        },
+        async connect(){
+            const frames = sockets.shift();
+            if(!frames) throw new TransportError('No recorded WebSocket connection left');
+            const closing = new AbortController;
+            return {
+                async *[Symbol.asyncIterator](){
+                    let elapsed = 0;
+                    for(const { at, data } of frames){
+                        if(speed > 0 && at > elapsed) await sleep((at - elapsed) / speed, closing.signal).catch(() => {});
+                        elapsed = at;
+                        if(closing.signal.aborted) break;
+                        yield data;
+                        if(typeof data === 'object') return
+                    }
+                    if(!closing.signal.aborted) await sleep(2 ** 31 - 1, closing.signal).catch(() => {});
+                    yield { code: 1000, reason: 'closed' }
+                },
+                async close(){
+                    closing.abort()
+                },
+            }
+        },
+    }
+}
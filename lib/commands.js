@@ -0,0 +1,282 @@
+/**
+ * Chat command router: parses `/commands` from instant and channel messages, checks arguments and
+ * permissions, and replies where the command came from.
+ */
+
+import { InvalidArgumentError } from './errors.js';
+import { createConsoleLogger } from './telemetry.js';
+
+/**
+ * @typedef {object} ArgSpec
+ * @property {string} name
+ * @property {'string'|'number'|'integer'|'boolean'|'pk'|'amount'} [type] Default `string`
+ * @property {boolean} [required]
+ * @property {any[]} [oneOf] Allowed values
+ * @property {boolean} [rest] Takes the rest of the message, only for the last argument
+ * @property {string} [description]
+ */
+
+/**
+ * @typedef {object} Permissions Any of them lets the sender run the command
+ * @property {string[]} [pks] Sender public keys
+ * @property {string[]} [groups] Contact groups, checked with getContactsByGroup
+ * @property {boolean} [channelModerators] Channel moderators, checked with getChannelModerators. Only in channels
+ */
+
+/**
+ * @typedef {object} CommandContext
+ * @property {string} command Command name, aliases are resolved
+ * @property {Object<string, any>} args Parsed arguments by name
+ * @property {string} text Message text after the command
+ * @property {string} pk Sender public key
+ * @property {string} nick Sender nick
+ * @property {string} [channelId] Channel of the message, undefined in personal chats
+ * @property {number} messageId
+ * @property {object} event Original event
+ * @property {import('../index.js').default} api
+ * @property {(text: string) => Promise<any>} reply Replies to the chat the command came from
+ * @property {(text: string) => Promise<any>} quote Replies quoting the command in personal chats, same as `reply` in channels
+ */
+
+/**
+ * @typedef {object} CommandDefinition
+ * @property {string} [description] Shown in /help
+ * @property {string[]} [aliases]
+ * @property {ArgSpec[]} [args]
+ * @property {Permissions} [permissions] Everyone may run the command without them
+ * @property {'any'|'instant'|'channel'} [where] Where the command works, default `any`
+ * @property {(ctx: CommandContext) => any} handler Returned string is sent as a reply
+ */
+
+const argTypes = {
+    string: { parse: value => value },
+    number: { test: value => !Number.isNaN(Number(value)), problem: 'must be a number', parse: Number },
+    integer: { test: value => /^-?\d+$/.test(value), problem: 'must be a whole number', parse: Number },
+    boolean: { test: value => /^(true|yes|on|1|false|no|off|0)$/i.test(value), problem: 'must be yes or no', parse: value => /^(true|yes|on|1)$/i.test(value) },
+    pk: { test: value => /^[0-9A-F]{64}$/i.test(value), problem: 'must be a public key', parse: value => value.toUpperCase() },
+    amount: { test: value => /^\d+(\.\d{1,9})?$/.test(value) && !/^[0.]+$/.test(value), problem: 'must be a positive amount', parse: value => value },
+};
+
+/** Splits arguments on whitespace, double quotes keep spaces */
+function tokenize(text){
+    const tokens = [];
+    const regexp = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+    let match;
+    while(match = regexp.exec(text)) tokens.push({ value: match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2], index: match.index });
+    return tokens
+}
+
+function usage(prefix, name, { args = [] }){
+    return [ `${prefix}${name}`, ...args.map(arg => {
+        const label = arg.rest ? `${arg.name}...` : arg.name;
+        return arg.required ? `<${label}>` : `[${label}]`
+    }) ].join(' ')
+}
+
+function parseArgs(text, specs){
+    const tokens = tokenize(text);
+    const args = {};
+    specs.forEach((spec, i) => {
+        let raw;
+        if(spec.rest) raw = tokens[i] && text.slice(tokens[i].index).trim();
+        else raw = tokens[i]?.value;
+        if(raw === undefined || raw === ''){
+            if(spec.required) throw new InvalidArgumentError(`${spec.name} is required`);
+            return
+        }
+        const type = argTypes[spec.type || 'string'] || argTypes.string;
+        if(type.test && !type.test(raw)) throw new InvalidArgumentError(`${spec.name} ${type.problem}`);
+        const value = type.parse(raw);
+        if(spec.oneOf && !spec.oneOf.map(String).includes(String(value))) throw new InvalidArgumentError(`${spec.name} must be one of ${spec.oneOf.join(', ')}`);
+        args[spec.name] = value
+    });
+    if(tokens.length > specs.length && !specs.some(spec => spec.rest)) throw new InvalidArgumentError('too many arguments');
+    return args
+}
+
+function listHas(list, pk){
+    return (list || []).some(item => String(typeof item === 'object' ? item?.pk ?? item?.hashedPk : item).toUpperCase() === pk)
+}
+
+/**
+ * Creates a command router and starts listening for messages
+ * @param {import('../index.js').default} api Client with WebSocket enabled
+ * @param {object} [options]
+ * @param {string} [options.prefix] Command prefix, default `/`
+ * @param {boolean} [options.help] Register `/help`, default true
+ * @param {boolean} [options.replyUnknown] Reply to unknown commands in personal chats, default true
+ * @param {number} [options.permissionTtl] How long group and moderator lists are cached in milliseconds, default 60000
+ * @param {import('./telemetry.js').Logger} [options.logger] Gets handler failures
+ * @example
+ * const router = createCommandRouter(api);
+ * router.command('balance', {
+ *     description: 'Show wallet balance',
+ *     permissions: { groups: [ 'Admins' ] },
+ *     handler: async () => `Balance: ${(await api.getBalance()).result}`,
+ * });
+ */
+
+export function createCommandRouter(api, { prefix = '/', help = true, replyUnknown = true, permissionTtl = 60000, logger = createConsoleLogger() } = {}){
+    /** @type {Map<string, CommandDefinition & {name: string}>} */
+    const commands = new Map;
+    const aliases = new Map;
+    /** @type {Map<string, {expires: number, promise: Promise<any[]>}>} */
+    const lists = new Map;
+
+    function cachedList(key, load){
+        const now = Date.now();
+        const cached = lists.get(key);
+        if(cached && cached.expires > now) return cached.promise;
+        const promise = load().then(({ result }) => result || []);
+        lists.set(key, { expires: now + permissionTtl, promise });
+        promise.catch(() => lists.delete(key));
+        return promise
+    }
+
+    async function allowed(command, ctx){
+        const { permissions } = command;
+        if(!permissions) return true;
+        if(listHas(permissions.pks, ctx.pk)) return true;
+        for(const group of permissions.groups || []){
+            if(listHas(await cachedList(`group ${group}`, () => api.getContactsByGroup(group)), ctx.pk)) return true
+        }
+        if(permissions.channelModerators && ctx.channelId){
+            if(listHas(await cachedList(`moderators ${ctx.channelId}`, () => api.getChannelModerators(ctx.channelId)), ctx.pk)) return true
+        }
+        return false
+    }
+
+    function available(command, ctx){
+        const where = command.where || 'any';
+        return where === 'any' || (where === 'channel') === !!ctx.channelId
+    }
+
+    function resolve(name){
+        name = name.toLowerCase();
+        return commands.get(name) || commands.get(aliases.get(name))
+    }
+
+    async function helpHandler(ctx){
+        const { topic } = ctx.args;
+        if(topic){
+            const name = topic.startsWith(prefix) ? topic.slice(prefix.length) : topic;
+            const command = resolve(name);
+            if(!command || !available(command, ctx) || !await allowed(command, ctx)) return `Unknown command ${prefix}${name}`;
+            const lines = [ usage(prefix, command.name, command) ];
+            if(command.description) lines.push(command.description);
+            if(command.aliases?.length) lines.push(`Aliases: ${command.aliases.map(alias => prefix + alias).join(', ')}`);
+            for(const arg of command.args || []) if(arg.description || arg.oneOf) lines.push(`  ${arg.name}: ${arg.description || ''}${arg.oneOf ? ` (${arg.oneOf.join(', ')})` : ''}`.trimEnd());
+            return lines.join('\n')
+        }
+        const lines = [];
+        for(const command of commands.values()){
+            if(!available(command, ctx) || !await allowed(command, ctx)) continue;
+            lines.push(`${usage(prefix, command.name, command)}${command.description ? ` - ${command.description}` : ''}`)
+        }
+        return lines.join('\n')
+    }
+
+    function createContext(event){
+        const { data } = event;
+        const channelId = event.type === 'newChannelMessage' ? data.channelid : undefined;
+        const pk = String(data.pk || '').toUpperCase();
+        const reply = text => channelId ? api.sendChannelMessage(channelId, text) : api.sendInstantMessage(pk, text);
+        return {
+            pk,
+            nick: data.nick,
+            channelId,
+            messageId: data.id,
+            event,
+            api,
+            reply,
+            quote: text => channelId ? reply(text) : api.sendInstantQuote(pk, text, data.id),
+        }
+    }
+
+    /**
+     * Runs the command in a message event, if there is one
+     * @param {object} event `newInstantMessage` or `newChannelMessage` event
+     * @return {Promise<boolean>} Whether the message was a known command
+     */
+
+    async function handle(event){
+        const text = String(event?.data?.text ?? '').trim();
+        if(!text.startsWith(prefix) || event.data.isIncoming === false) return false;
+        const [ , name = '', rest = '' ] = /^(\S*)\s*([\s\S]*)$/.exec(text.slice(prefix.length));
+        if(!name) return false;
+        const ctx = createContext(event);
+        const command = resolve(name);
+        if(!command || !available(command, ctx)){
+            if(replyUnknown && !ctx.channelId) await ctx.reply(`Unknown command ${prefix}${name}${help ? `, try ${prefix}help` : ''}`);
+            return false
+        }
+        ctx.command = command.name;
+        ctx.text = rest;
+        try{
+            if(!await allowed(command, ctx)){
+                await ctx.reply(`You are not allowed to use ${prefix}${command.name}`);
+                return true
+            }
+            try{
+                ctx.args = parseArgs(rest, command.args || [])
+            } catch(e){
+                await ctx.reply(`${e.message}\nUsage: ${usage(prefix, command.name, command)}`);
+                return true
+            }
+            const result = await command.handler(ctx);
+            if(typeof result === 'string' && result) await ctx.reply(result)
+        } catch(e){
+            logger.error(`${prefix}${command.name} failed: ${e.message}`, { command: command.name, pk: ctx.pk, channelId: ctx.channelId, error: e });
+            await ctx.reply(`${prefix}${command.name} failed`).catch(() => {})
+        }
+        return true
+    }
+
+    const listeners = [
+        api.on('newInstantMessage', event => handle(event)),
+        api.on('newChannelMessage', event => handle(event)),
+    ];
+
+    const router = {
+        /**
+         * Registers a command. Throws `InvalidArgumentError` when its name or an alias is taken by another command or alias
+         * @param {string} name Command name without the prefix
+         * @param {CommandDefinition|CommandDefinition['handler']} definition
+         * @return {typeof router}
+         */
+        command(name, definition){
+            if(typeof definition === 'function') definition = { handler: definition };
+            name = name.toLowerCase();
+            const args = definition.args || [];
+            if(args.slice(0, -1).some(arg => arg.rest)) throw new InvalidArgumentError(`${name}: only the last argument can take the rest of the message`);
+            const taken = new Set([ ...commands.keys(), ...aliases.keys() ]);
+            for(const key of [ name, ...(definition.aliases || []).map(alias => alias.toLowerCase()) ]){
+                // checked before anything is registered, so a rejected command leaves the router as it was
+                if(taken.has(key)) throw new InvalidArgumentError(`${name}: ${key === name ? 'command' : `alias ${key}`} is already registered`);
+                taken.add(key)
+            }
+            commands.set(name, { ...definition, name });
+            for(const alias of definition.aliases || []) aliases.set(alias.toLowerCase(), name);
+            return router
+        },
+        handle,
+        /** Stops listening for messages */
+        stop(){
+            listeners.forEach(off => off())
+        },
+        /** Forgets cached group and moderator lists */
+        refreshPermissions(){
+            lists.clear()
+        },
+    };
+
+    if(help){
+        router.command('help', {
+            description: 'List commands or show help for one',
+            args: [ { name: 'topic' } ],
+            handler: helpHandler,
+        })
+    }
+
+    return router
+}
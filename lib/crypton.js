@@ -0,0 +1,241 @@
+/**
+ * Exact Crypton amounts. The API takes and returns up to 9 decimal places, more than floats hold
+ * without noise, so amounts are kept as a BigInt count of the smallest unit (1e-9 CRP).
+ */
+
+import { InvalidArgumentError } from './errors.js';
+
+const SCALE = 1000000000n;
+
+/**
+ * Fixed-point amount of Cryptons with 9 decimal places. Immutable; arithmetic returns new values.
+ * Sent as a decimal string wherever an API method takes an amount.
+ * @example
+ * const price = Crypton.from('12.5');
+ * const total = price.mul(3).add('0.000000001');
+ * total.toString(); // '37.500000001'
+ * total.gt(await api.getBalance()); // compare with any amount
+ */
+
+export class Crypton{
+    #nanos
+
+    /**
+     * @param {bigint} nanos Amount in 1e-9 CRP, see `Crypton.from` for decimals
+     */
+    constructor(nanos){
+        if(typeof nanos !== 'bigint') throw new InvalidArgumentError('Crypton takes a bigint count of nanos, use Crypton.from for decimals');
+        this.#nanos = nanos
+    }
+
+    /**
+     * Parses an amount. Numbers are rounded to 9 decimal places, strings with more of them are rejected.
+     * @param {Crypton|string|number} value
+     * @return {Crypton}
+     */
+    static from(value){
+        if(value instanceof Crypton) return value;
+        if(typeof value === 'number'){
+            if(!Number.isFinite(value)) throw new InvalidArgumentError(`Not a Crypton amount: ${value}`);
+            value = value.toFixed(9)
+        }
+        const match = /^\s*([+-]?)(\d*)(?:\.(\d*))?\s*$/.exec(typeof value === 'string' ? value : '');
+        if(!match || !(match[2] || match[3])) throw new InvalidArgumentError(`Not a Crypton amount: ${value}`);
+        const fraction = (match[3] || '').replace(/0+$/, '');
+        if(fraction.length > 9) throw new InvalidArgumentError(`Crypton amount has more than 9 decimal places: ${value}`);
+        const nanos = BigInt(match[2] || 0) * SCALE + BigInt(fraction.padEnd(9, '0'));
+        return new Crypton(match[1] === '-' ? -nanos : nanos)
+    }
+
+    /**
+     * @param {bigint|number|string} nanos Amount in 1e-9 CRP
+     * @return {Crypton}
+     */
+    static fromNanos(nanos){
+        return new Crypton(BigInt(nanos))
+    }
+
+    /**
+     * Like `Crypton.from`, but returns undefined for values that aren't amounts
+     * @param {any} value
+     * @return {Crypton|undefined}
+     */
+    static tryFrom(value){
+        try{
+            return Crypton.from(value)
+        } catch{
+            return undefined
+        }
+    }
+
+    /**
+     * @param {Iterable<Crypton|string|number>} values
+     * @return {Crypton}
+     */
+    static sum(values){
+        let nanos = 0n;
+        for(const value of values) nanos += Crypton.from(value).#nanos;
+        return new Crypton(nanos)
+    }
+
+    /** Amount in 1e-9 CRP */
+    get nanos(){
+        return this.#nanos
+    }
+
+    /** @param {Crypton|string|number} other */
+    add(other){
+        return new Crypton(this.#nanos + Crypton.from(other).#nanos)
+    }
+
+    /** @param {Crypton|string|number} other */
+    sub(other){
+        return new Crypton(this.#nanos - Crypton.from(other).#nanos)
+    }
+
+    /**
+     * Multiplies by a decimal factor, e.g. `0.015` for a 1.5% fee. Digits below 1e-9 are truncated.
+     * @param {Crypton|string|number|bigint} factor
+     */
+    mul(factor){
+        if(typeof factor === 'bigint') return new Crypton(this.#nanos * factor);
+        return new Crypton(this.#nanos * Crypton.from(factor).#nanos / SCALE)
+    }
+
+    /**
+     * Divides by a decimal divisor. Digits below 1e-9 are truncated.
+     * @param {Crypton|string|number|bigint} divisor
+     */
+    div(divisor){
+        const nanos = typeof divisor === 'bigint' ? divisor * SCALE : Crypton.from(divisor).#nanos;
+        if(nanos === 0n) throw new RangeError('Division of Crypton by zero');
+        return new Crypton(this.#nanos * SCALE / nanos)
+    }
+
+    neg(){
+        return new Crypton(-this.#nanos)
+    }
+
+    abs(){
+        return this.#nanos < 0n ? this.neg() : this
+    }
+
+    /**
+     * @param {Crypton|string|number} other
+     * @return {-1|0|1}
+     */
+    cmp(other){
+        const nanos = Crypton.from(other).#nanos;
+        return this.#nanos < nanos ? -1 : this.#nanos > nanos ? 1 : 0
+    }
+
+    /** @param {Crypton|string|number} other */
+    eq(other){
+        return this.cmp(other) === 0
+    }
+
+    /** @param {Crypton|string|number} other */
+    lt(other){
+        return this.cmp(other) < 0
+    }
+
+    /** @param {Crypton|string|number} other */
+    lte(other){
+        return this.cmp(other) <= 0
+    }
+
+    /** @param {Crypton|string|number} other */
+    gt(other){
+        return this.cmp(other) > 0
+    }
+
+    /** @param {Crypton|string|number} other */
+    gte(other){
+        return this.cmp(other) >= 0
+    }
+
+    isZero(){
+        return this.#nanos === 0n
+    }
+
+    isNegative(){
+        return this.#nanos < 0n
+    }
+
+    /** Decimal string without trailing zeros, e.g. `12.5` */
+    toString(){
+        const abs = this.#nanos < 0n ? -this.#nanos : this.#nanos;
+        const fraction = String(abs % SCALE).padStart(9, '0').replace(/0+$/, '');
+        return `${this.#nanos < 0n ? '-' : ''}${abs / SCALE}${fraction ? `.${fraction}` : ''}`
+    }
+
+    /**
+     * Decimal string with exactly `digits` decimal places, rounded half away from zero
+     * @param {number} [digits] 0 to 9, default 9
+     */
+    toFixed(digits = 9){
+        if(!Number.isInteger(digits) || digits < 0 || digits > 9) throw new RangeError('toFixed() digits must be between 0 and 9');
+        const unit = 10n ** BigInt(9 - digits);
+        const abs = this.#nanos < 0n ? -this.#nanos : this.#nanos;
+        const rounded = (abs + unit / 2n) / unit;
+        const scale = 10n ** BigInt(digits);
+        const sign = this.#nanos < 0n && rounded ? '-' : '';
+        return `${sign}${rounded / scale}${digits ? `.${String(rounded % scale).padStart(digits, '0')}` : ''}`
+    }
+
+    /** Nearest float, for display and math that doesn't need to be exact */
+    toNumber(){
+        return Number(this.toString())
+    }
+
+    /** Amounts are sent to the API as decimal strings */
+    toJSON(){
+        return this.toString()
+    }
+
+    /** Arithmetic operators would silently fall back to floats, use `add`, `lt`... or `toNumber()` */
+    valueOf(){
+        throw new TypeError('Crypton can not be converted to a number implicitly, use its methods or toNumber()')
+    }
+
+    [Symbol.for('Deno.customInspect')](){
+        return `Crypton(${this})`
+    }
+}
+
+/**
+ * Amount fields of responses by API method, `''` is the result itself
+ * @type {Object<string, string[]>}
+ */
+export const amountFields = {
+    getBalance: [ '' ],
+    getFinanceHistory: [ 'amount', 'fee' ],
+    getCards: [ 'balance' ],
+    getVouchers: [ 'amount' ],
+    getInvoices: [ 'amount' ],
+    getInvoiceByReferenceNumber: [ 'amount' ],
+};
+
+function convert(value, fields){
+    if(Array.isArray(value)) return value.map(item => convert(item, fields));
+    if(!value || typeof value !== 'object') return value;
+    const converted = { ...value };
+    for(const field of fields){
+        if(field in converted) converted[field] = Crypton.tryFrom(converted[field]) ?? converted[field]
+    }
+    return converted
+}
+
+/**
+ * Turns amounts in a response into `Crypton`s, unknown methods are returned as they are
+ * @param {string} method API method
+ * @param {{result: any}} response
+ */
+export function parseAmounts(method, response){
+    const fields = amountFields[method];
+    if(!fields || !response || response.result === undefined || response.result === null) return response;
+    const result = fields.includes('')
+        ? Crypton.tryFrom(response.result) ?? response.result
+        : convert(response.result, fields);
+    return { ...response, result }
+}
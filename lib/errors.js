@@ -0,0 +1,181 @@
+/**
+ * Errors thrown by the API client
+ */
+
+/**
+ * Copies request params, hiding anything that looks like a token
+ * @param {object} params
+ */
+
+export function redactParams(params){
+    if(!params || typeof params !== 'object') return params;
+    const redacted = {};
+    for(const [ key, value ] of Object.entries(params)) redacted[key] = /token/i.test(key) ? '[REDACTED]' : value;
+    return redacted
+}
+
+export class UtopiaError extends Error{
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.method] API method that failed
+     * @param {object} [details.params] Request params, tokens are redacted
+     * @param {object} [details.resultExtraInfo] `resultExtraInfo` from the API response
+     * @param {Error} [details.cause] Underlying error
+     */
+    constructor(message, { method, params, resultExtraInfo, cause } = {}){
+        super(message);
+        this.name = new.target.name;
+        this.method = method;
+        this.params = redactParams(params);
+        this.resultExtraInfo = resultExtraInfo;
+        if(cause) this.cause = cause
+    }
+}
+
+/** Utopia client couldn't be reached or sent something that isn't JSON */
+export class TransportError extends UtopiaError{}
+
+/** Utopia client answered with non-200 HTTP status */
+export class HttpStatusError extends UtopiaError{
+    /**
+     * @param {number} status HTTP status code
+     * @param {object} [details] See `UtopiaError`
+     */
+    constructor(status, details = {}){
+        super(`${details.method} failed with HTTP status ${status}`, details);
+        this.status = status
+    }
+}
+
+/** Request reached the API, but it returned an error, e.g. insufficient funds */
+export class ApiError extends UtopiaError{
+    /**
+     * @param {string|object} error `error` field of the API response
+     * @param {object} [details] See `UtopiaError`
+     */
+    constructor(error, details = {}){
+        super(`${details.method} failed: ${typeof error === 'string' ? error : JSON.stringify(error)}`, details);
+        this.error = error
+    }
+}
+
+/** API token was rejected by Utopia client */
+export class InvalidTokenError extends UtopiaError{}
+
+/** WebSocket connection was closed */
+export class WebSocketClosedError extends UtopiaError{
+    /**
+     * @param {number} code Close code
+     * @param {string} reason Close reason
+     */
+    constructor(code, reason){
+        super(`WebSocket closed: code=${code}, reason=${reason}`);
+        this.code = code;
+        this.reason = reason
+    }
+}
+
+/** Method was called with arguments the API would reject anyway */
+export class InvalidArgumentError extends UtopiaError{}
+
+/** Downloaded file doesn't match the expected checksum */
+export class ChecksumError extends UtopiaError{
+    /**
+     * @param {string} path File path
+     * @param {string} expected Expected SHA-256
+     * @param {string} actual Actual SHA-256
+     */
+    constructor(path, expected, actual){
+        super(`${path} checksum mismatch: expected ${expected}, got ${actual}`);
+        this.expected = expected;
+        this.actual = actual
+    }
+}
+
+/** Request didn't finish before its deadline */
+export class TimeoutError extends UtopiaError{
+    /**
+     * @param {number} timeout Deadline in milliseconds
+     * @param {object} [details] See `UtopiaError`
+     */
+    constructor(timeout, details = {}){
+        super(`${details.method} timed out after ${timeout}ms`, details);
+        this.timeout = timeout
+    }
+}
+
+/** Call was stopped by the safety guard */
+export class GuardError extends UtopiaError{
+    /**
+     * @param {'denied'|'confirmation'|'limit'} reason Why the call was stopped
+     * @param {string} message
+     * @param {object} [details] See `UtopiaError`
+     */
+    constructor(reason, message, details = {}){
+        super(`${details.method} ${message}`, details);
+        this.reason = reason
+    }
+}
+
+/**
+ * Whether repeating the request may help: network failures, timeouts, 5xx and 429 statuses.
+ * Some of them happen after the request was handled, so only idempotent requests are repeated on them, see `isConnectionRefused`
+ * @param {Error} error
+ */
+
+export function isRetryableError(error){
+    return error instanceof TransportError
+        || error instanceof TimeoutError
+        || error instanceof HttpStatusError && (error.status >= 500 || error.status === 429)
+}
+
+/**
+ * Whether the connection was refused, so the request surely never reached Utopia client
+ * @param {Error} error
+ */
+
+export function isConnectionRefused(error){
+    for(let e = error; e instanceof Error; e = e.cause){
+        if(e.name === 'ConnectionRefused' || e.code === 'ECONNREFUSED' || /connection refused|ECONNREFUSED/i.test(e.message)) return true
+    }
+    return false
+}
+
+/**
+ * Whether the request surely had no effect: the connection was refused or the API rejected it.
+ * After timeouts, transport and HTTP errors the request may have been carried out
+ * @param {Error} error
+ */
+
+export function isNotSent(error){
+    if(isConnectionRefused(error)) return true;
+    return error instanceof UtopiaError && !(error instanceof TransportError || error instanceof TimeoutError || error instanceof HttpStatusError)
+}
+
+/** Same error `fetch` rejects with when its signal is aborted */
+export function createAbortError(){
+    return new DOMException('The request was aborted', 'AbortError')
+}
+
+/**
+ * Settles like `promise`, or rejects with `AbortError` as soon as `signal` aborts
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @return {Promise<T>}
+ */
+
+export function raceAbort(promise, signal){
+    if(!signal) return promise;
+    if(signal.aborted){
+        // nobody waits for it anymore, so its failure must not go unhandled
+        promise.catch(() => {});
+        return Promise.reject(createAbortError())
+    }
+    return new Promise((resolve, reject) => {
+        const abort = () => reject(createAbortError());
+        signal.addEventListener('abort', abort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort))
+    })
+}
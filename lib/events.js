@@ -0,0 +1,181 @@
+/**
+ * Event streams: every subscriber gets its own bounded queue, so events are
+ * not lost between `next()` calls and consumers don't steal each other's events.
+ */
+
+import { UtopiaError } from './errors.js';
+
+/** Subscriber queue overflowed with the `error` policy */
+export class EventOverflowError extends UtopiaError{
+    /**
+     * @param {string} event Event type
+     * @param {number} size Queue size
+     */
+    constructor(event, size){
+        super(`${event} subscriber queue overflowed (${size} events)`);
+        this.event = event;
+        this.size = size
+    }
+}
+
+/**
+ * @typedef {((event: any) => boolean)|Object<string, any>} EventFilter
+ * A predicate, or fields the event must have. Fields are looked up in the event itself first, so event models
+ * match by their normalized properties, then in `event.data`. Public keys are compared case-insensitively.
+ * An array value matches any of its items, e.g. `{ pk: [ pk1, pk2 ] }`.
+ */
+
+const isPubkey = value => typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+
+function sameValue(value, expected){
+    return value === expected || isPubkey(value) && isPubkey(expected) && value.toUpperCase() === expected.toUpperCase()
+}
+
+/**
+ * @param {any} event
+ * @param {EventFilter} [filter]
+ */
+
+export function matchesFilter(event, filter){
+    if(!filter) return true;
+    if(typeof filter === 'function') return filter(event);
+    return Object.entries(filter).every(([ key, expected ]) => {
+        const value = event?.[key] ?? event?.data?.[key];
+        return Array.isArray(expected) ? expected.some(item => sameValue(value, item)) : sameValue(value, expected)
+    })
+}
+
+/**
+ * @typedef {object} BufferOptions
+ * @property {number} [size] Max events waiting in a subscriber queue, default 1000
+ * @property {'drop-oldest'|'drop-newest'|'error'} [overflow] What to do when the queue is full, default `drop-oldest`
+ * @property {EventFilter} [filter] Only queue matching events
+ */
+
+/**
+ * Creates an event stream
+ * @param {string} name Event type, used in errors and warnings
+ * @param {BufferOptions} [defaults] Default subscriber options
+ * @param {{warn(message: string, fields?: object): void}} [logger] Gets overflow warnings
+ */
+
+export function createEventStream(name, defaults = {}, logger = console){
+    const subscribers = new Set;
+    let dropped = 0;
+    let finished;
+
+    function subscribe({ size = defaults.size ?? 1000, overflow = defaults.overflow ?? 'drop-oldest', filter } = {}){
+        const queue = [];
+        let waiting, ended = finished, warned = false;
+
+        function settle(){
+            if(!waiting) return;
+            const { resolve, reject } = waiting;
+            if(queue.length){
+                waiting = undefined;
+                resolve({ value: queue.shift(), done: false })
+            } else if(ended){
+                waiting = undefined;
+                unsubscribe();
+                if(ended.error) reject(ended.error);
+                else resolve({ value: undefined, done: true })
+            }
+        }
+
+        function drop(){
+            dropped++;
+            if(!warned) logger.warn(`${name} subscriber is too slow, dropping events`, { event: name, overflow, size });
+            warned = true
+        }
+
+        function unsubscribe(){
+            subscribers.delete(subscriber)
+        }
+
+        const subscriber = {
+            push(value){
+                if(ended || !matchesFilter(value, filter)) return;
+                if(queue.length >= size){
+                    if(overflow === 'error'){
+                        drop();
+                        ended = { error: new EventOverflowError(name, size) };
+                        unsubscribe();
+                        return settle()
+                    }
+                    drop();
+                    if(overflow === 'drop-newest') return;
+                    queue.shift()
+                }
+                queue.push(value);
+                settle()
+            },
+            finish(result){
+                ended = ended || result;
+                settle()
+            },
+            get depth(){
+                return queue.length
+            },
+        };
+
+        if(!finished) subscribers.add(subscriber);
+
+        return {
+            next(){
+                return new Promise((resolve, reject) => {
+                    waiting = { resolve, reject };
+                    settle()
+                })
+            },
+            /** Unsubscribes, the events still queued are discarded */
+            return(){
+                ended = ended || {};
+                queue.length = 0;
+                unsubscribe();
+                settle();
+                return Promise.resolve({ value: undefined, done: true })
+            },
+            [Symbol.asyncIterator](){
+                return this
+            },
+        }
+    }
+
+    return {
+        /**
+         * Delivers an event to every subscriber
+         * @param {any} value
+         */
+        push(value){
+            for(const subscriber of subscribers) subscriber.push(value)
+        },
+        /**
+         * Ends the stream: subscribers get the queued events and then finish.
+         * With an error they are rejected with it instead of finishing.
+         * @param {Error} [error]
+         */
+        end(error){
+            finished = finished || { error };
+            for(const subscriber of subscribers) subscriber.finish(finished);
+            subscribers.clear()
+        },
+        subscribe,
+        [Symbol.asyncIterator](){
+            return subscribe()
+        },
+        /** Number of subscribers */
+        get subscribers(){
+            return subscribers.size
+        },
+        /** Events waiting in all subscriber queues */
+        get depth(){
+            let depth = 0;
+            for(const subscriber of subscribers) depth += subscriber.depth;
+            return depth
+        },
+        /** Events dropped because of overflow */
+        get dropped(){
+            return dropped
+        },
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Byte-level file helpers for upload and download methods
+ */
+
+import { exists } from 'https://deno.land/std/fs/mod.ts';
+import * as base64 from "https://denopkg.com/chiefbiiko/base64/mod.ts";
+import { InvalidArgumentError, ChecksumError } from './errors.js';
+
+const { lstat, readFile, writeFile, rename, remove } = Deno;
+
+/** @typedef {string|Uint8Array|ArrayBuffer|Blob|ReadableStream<Uint8Array>} FileData */
+
+function isFile(path){
+    return lstat(path).then(v => v.isFile)
+}
+
+async function readStream(stream){
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream){
+        chunks.push(chunk);
+        size += chunk.length
+    }
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for(const chunk of chunks){
+        bytes.set(chunk, offset);
+        offset += chunk.length
+    }
+    return bytes
+}
+
+/**
+ * Reads file contents as is, without any text decoding
+ * @param {string} path
+ * @return {Promise<Uint8Array>}
+ */
+
+export async function readFileBytes(path){
+    if(!await exists(path)) throw new InvalidArgumentError("file does not exist");
+    if(!await isFile(path)) throw new InvalidArgumentError("path is a directory");
+    return readFile(path)
+}
+
+/**
+ * Converts file data to base64. Strings are considered to be base64 already.
+ * @param {FileData} data
+ * @return {Promise<string>}
+ */
+
+export async function toBase64(data){
+    if(typeof data === 'string') return data;
+    if(data instanceof Uint8Array) return base64.fromUint8Array(data);
+    if(data instanceof ArrayBuffer) return base64.fromUint8Array(new Uint8Array(data));
+    if(data instanceof Blob) return base64.fromUint8Array(new Uint8Array(await data.arrayBuffer()));
+    if(data instanceof ReadableStream) return base64.fromUint8Array(await readStream(data));
+    throw new InvalidArgumentError("file data must be a base64 string, Uint8Array, ArrayBuffer, Blob or ReadableStream")
+}
+
+/**
+ * Picks base64 from file data or from the file at `filename` when there is no data
+ * @param {string} filename
+ * @param {FileData} [data]
+ * @return {Promise<string>}
+ */
+
+export async function fileToBase64(filename, data){
+    if(data !== undefined && data !== null && data !== "") return toBase64(data);
+    if(!filename) throw new InvalidArgumentError("filename parameter is required");
+    return base64.fromUint8Array(await readFileBytes(filename))
+}
+
+/**
+ * @param {string} path
+ * @return {string} File name without directories
+ */
+
+export function basename(path){
+    return path.split(/[\\/]/).pop()
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @return {Promise<string>} SHA-256 in lowercase hex
+ */
+
+export async function sha256(bytes){
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * @param {string} data Base64
+ * @return {Uint8Array}
+ */
+
+export function fromBase64(data){
+    return base64.toUint8Array(data)
+}
+
+/**
+ * Writes bytes next to `path`, checks what landed on disk and moves it in place
+ * @param {string} path Destination
+ * @param {Uint8Array} bytes
+ * @param {string} checksum Expected SHA-256 in hex
+ * @return {Promise<void>}
+ */
+
+export async function writeFileVerified(path, bytes, checksum){
+    const tmp = `${path}.part`;
+    await writeFile(tmp, bytes);
+    try{
+        const written = await sha256(await readFile(tmp));
+        if(written !== checksum.toLowerCase()) throw new ChecksumError(path, checksum, written);
+        await rename(tmp, path)
+    } catch(e){
+        await remove(tmp).catch(() => {});
+        throw e
+    }
+}
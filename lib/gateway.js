@@ -0,0 +1,330 @@
+/**
+ * Payment gateway on top of invoices: one invoice per order, tracked until it is paid, declined,
+ * expired or cancelled. Orders are persisted in a store, so a restarted bot picks up where it stopped.
+ */
+
+import { InvalidArgumentError, isNotSent } from './errors.js';
+import { Crypton } from './crypton.js';
+import { createEventStream } from './events.js';
+import { createMemoryStore } from './store.js';
+import { createConsoleLogger } from './telemetry.js';
+
+/** @typedef {'pending'|'paid'|'declined'|'expired'|'cancelled'} OrderState */
+
+/**
+ * @typedef {object} Order
+ * @property {string} orderId
+ * @property {OrderState} state
+ * @property {string} cardId Card the invoice was sent to
+ * @property {string} amount
+ * @property {string} comment
+ * @property {string} [referenceNumber] Returned by sendInvoice, missing while the invoice is being sent
+ * @property {string} [invoiceId] Found with getInvoices, needed to cancel the invoice
+ * @property {number} createdAt Milliseconds since epoch, as are the other times
+ * @property {number} expiresAt The invoice is cancelled when it is still pending at this time
+ * @property {number} updatedAt
+ */
+
+/**
+ * @typedef {object} OrderChange
+ * @property {string} orderId
+ * @property {OrderState} state
+ * @property {OrderState} [previous] Undefined for new orders
+ * @property {Order} order
+ */
+
+/** Order states by invoice status as reported by getInvoices */
+const invoiceStates = {
+    AWAITING: 'pending',
+    AUTHORIZED: 'paid',
+    DECLINED: 'declined',
+    EXPIRED: 'expired',
+    CANCELED: 'cancelled',
+    CANCELLED: 'cancelled',
+};
+
+const states = [ 'pending', 'paid', 'declined', 'expired', 'cancelled' ];
+
+/** setTimeout fires at once for longer delays */
+const MAX_DELAY = 2 ** 31 - 1;
+
+/**
+ * Creates a payment gateway and starts tracking stored orders
+ * @param {import('../index.js').default} api
+ * @param {object} [options]
+ * @param {import('./store.js').Store} [options.store] Where orders are kept, default in memory
+ * @param {string} [options.key] Store key of the orders, default `gateway`
+ * @param {number} [options.ttl] Milliseconds a new order waits for payment before its invoice is cancelled. Default 3600000
+ * @param {number} [options.pollInterval] Milliseconds between invoice status checks of pending orders, 0 checks only on payment events and WebSocket reconnects. Default 60000
+ * @param {import('./telemetry.js').Logger} [options.logger] Gets failed checks and handler failures
+ * @example
+ * const gateway = createPaymentGateway(api, { store: createFileStore('./orders.json') });
+ * gateway.on('paid', ({ orderId }) => shipOrder(orderId));
+ * await gateway.createOrder('A-1001', { cardId, amount: '12.5', comment: 'Order A-1001' });
+ */
+
+export function createPaymentGateway(api, { store = createMemoryStore(), key = 'gateway', ttl = 3600000, pollInterval = 60000, logger = createConsoleLogger() } = {}){
+    /** @type {Map<string, Order>} */
+    const orders = new Map;
+    const handlers = new Map;
+    const creating = new Set;
+    const changes = createEventStream('gateway', {}, logger);
+    let timer, refreshing, stopped = false;
+
+    const loaded = store.get(key).then(saved => {
+        for(const order of saved?.orders || []) orders.set(order.orderId, order);
+        schedule()
+    });
+    loaded.catch(e => logger.error(`Gateway orders could not be loaded: ${e.message}`, { error: e }));
+
+    function persist(){
+        return store.set(key, { orders: [ ...orders.values() ] })
+    }
+
+    function emit(change){
+        changes.push(change);
+        for(const type of [ 'change', change.state ]){
+            for(const handler of handlers.get(type) || []){
+                try{
+                    Promise.resolve(handler(change)).catch(e => logger.warn(`gateway ${type} handler failed: ${e.message}`, { error: e }))
+                } catch(e){
+                    logger.warn(`gateway ${type} handler failed: ${e.message}`, { error: e })
+                }
+            }
+        }
+    }
+
+    async function setState(order, state){
+        if(order.state === state) return;
+        const previous = order.state;
+        order.state = state;
+        order.updatedAt = Date.now();
+        await persist();
+        logger.info(`Order ${order.orderId} is ${state}`, { orderId: order.orderId, state, previous });
+        emit({ orderId: order.orderId, state, previous, order: { ...order } })
+    }
+
+    function pending(){
+        return [ ...orders.values() ].filter(order => order.state === 'pending')
+    }
+
+    function schedule(){
+        clearTimeout(timer);
+        if(stopped) return;
+        const deadlines = pending().map(order => order.expiresAt);
+        if(pollInterval > 0 && deadlines.length) deadlines.push(Date.now() + pollInterval);
+        if(!deadlines.length) return;
+        timer = setTimeout(() => refresh().catch(() => {}), Math.min(MAX_DELAY, Math.max(0, Math.min(...deadlines) - Date.now())))
+    }
+
+    /** Finds the invoice of an order saved before sendInvoice returned, e.g. when the process stopped in between */
+    async function recoverInvoice(order){
+        const { result } = await api.getInvoices({ cardId: order.cardId });
+        const claimed = new Set([ ...orders.values() ].map(other => other.referenceNumber));
+        const invoice = (result || []).find(invoice => !claimed.has(invoice.referenceNumber)
+            && invoice.comment === order.comment && Crypton.from(invoice.amount).eq(order.amount));
+        if(invoice){
+            order.referenceNumber = invoice.referenceNumber;
+            order.invoiceId = invoice.id
+        }
+        return invoice
+    }
+
+    async function findInvoice(order){
+        if(!order.invoiceId && !order.referenceNumber) return recoverInvoice(order);
+        const { result } = await api.getInvoices(order.invoiceId ? { invoiceId: order.invoiceId } : { referenceNumber: order.referenceNumber });
+        const invoice = (result || []).find(invoice => invoice.referenceNumber === order.referenceNumber || invoice.id === order.invoiceId);
+        if(invoice && !order.invoiceId) order.invoiceId = invoice.id;
+        return invoice
+    }
+
+    async function check(order){
+        if(creating.has(order.orderId)) return;
+        const invoice = await findInvoice(order);
+        const state = invoiceStates[String(invoice?.status).toUpperCase()];
+        if(state && state !== 'pending') return setState(order, state);
+        if(order.expiresAt > Date.now()) return;
+        if(!order.invoiceId){
+            // nothing to cancel
+            if(order.referenceNumber) logger.warn(`Invoice of order ${order.orderId} was not found, expiring it without cancelling`, { orderId: order.orderId });
+            return setState(order, 'expired')
+        }
+        try{
+            await api.cancelInvoice(order.invoiceId)
+        } catch(e){
+            // paid or declined while we were checking
+            const latest = await findInvoice(order);
+            const latestState = invoiceStates[String(latest?.status).toUpperCase()];
+            if(latestState && latestState !== 'pending') return setState(order, latestState);
+            throw e
+        }
+        await setState(order, 'expired')
+    }
+
+    /**
+     * Checks invoice status of every pending order and cancels the overdue ones
+     * @return {Promise<void>}
+     */
+
+    function refresh(){
+        refreshing = refreshing || (async () => {
+            await loaded;
+            for(const order of pending()){
+                try{
+                    await check(order)
+                } catch(e){
+                    logger.warn(`Order ${order.orderId} check failed: ${e.message}`, { orderId: order.orderId, error: e })
+                }
+            }
+        })().finally(() => {
+            refreshing = undefined;
+            schedule()
+        });
+        return refreshing
+    }
+
+    const offPayments = api.on('newPaymentTransfer', () => pending().length && refresh());
+    // payment events of the time the WebSocket was down are gone, so the invoices are checked instead
+    const offReconnect = api.on('connectionState', ({ state, gap }) => state === 'open' && gap && pending().length && refresh());
+
+    return {
+        /** Every state change, including new orders */
+        changes,
+
+        /**
+         * Sends an invoice for an order
+         * @param {string} orderId Your order ID, must be unique
+         * @param {object} invoice
+         * @param {string} invoice.cardId Card of the customer
+         * @param {Crypton|string|number} invoice.amount Amount of Cryptons
+         * @param {string} [invoice.comment] Invoice comment, up to 148 characters
+         * @param {number} [invoice.ttl] Overrides the gateway `ttl`
+         * @return {Promise<Order>}
+         */
+        async createOrder(orderId, { cardId, amount, comment = '', ttl: orderTtl = ttl } = {}){
+            await loaded;
+            orderId = String(orderId ?? '');
+            if(!orderId) throw new InvalidArgumentError('orderId is required');
+            if(orders.has(orderId)) throw new InvalidArgumentError(`Order ${orderId} already exists`);
+            const now = Date.now();
+            /** @type {Order} */
+            const order = { orderId, state: 'pending', cardId, amount: Crypton.from(amount).toString(), comment, createdAt: now, expiresAt: now + orderTtl, updatedAt: now };
+            orders.set(orderId, order);
+            creating.add(orderId);
+            try{
+                // saved before the invoice goes out, so a crash in between leaves an order to recover the invoice for
+                await persist()
+            } catch(e){
+                orders.delete(orderId);
+                creating.delete(orderId);
+                throw e
+            }
+            try{
+                const { result: referenceNumber } = await api.sendInvoice({ cardId, amount, comment });
+                order.referenceNumber = String(referenceNumber)
+            } catch(e){
+                // the invoice surely wasn't created
+                if(isNotSent(e)){
+                    orders.delete(orderId);
+                    await persist().catch(error => logger.warn(`Order ${orderId} could not be removed: ${error.message}`, { orderId, error }))
+                } else {
+                    // the invoice may be out, so the order stays pending until check finds it or it expires
+                    schedule()
+                }
+                throw e
+            } finally {
+                creating.delete(orderId)
+            }
+            try{
+                await findInvoice(order)
+            } catch(e){
+                logger.warn(`Invoice of order ${orderId} was not found yet: ${e.message}`, { orderId, error: e })
+            }
+            await persist();
+            emit({ orderId, state: 'pending', order: { ...order } });
+            schedule();
+            return { ...order }
+        },
+
+        /**
+         * @param {string} orderId
+         * @return {Promise<Order|undefined>}
+         */
+        async getOrder(orderId){
+            await loaded;
+            const order = orders.get(String(orderId));
+            return order && { ...order }
+        },
+
+        /**
+         * Orders, optionally only in the given state
+         * @param {OrderState} [state]
+         * @return {Promise<Order[]>}
+         */
+        async listOrders(state){
+            await loaded;
+            return [ ...orders.values() ].filter(order => !state || order.state === state).map(order => ({ ...order }))
+        },
+
+        /**
+         * Cancels the invoice of a pending order
+         * @param {string} orderId
+         * @return {Promise<Order>}
+         */
+        async cancelOrder(orderId){
+            await loaded;
+            const order = orders.get(String(orderId));
+            if(!order) throw new InvalidArgumentError(`Unknown order: ${orderId}`);
+            if(order.state !== 'pending') throw new InvalidArgumentError(`Order ${orderId} is already ${order.state}`);
+            if(creating.has(order.orderId)) throw new InvalidArgumentError(`Order ${orderId} is still being created`);
+            if(!order.invoiceId) await findInvoice(order);
+            if(order.invoiceId) await api.cancelInvoice(order.invoiceId);
+            else if(order.referenceNumber) throw new InvalidArgumentError(`Invoice of order ${orderId} was not found, try again later`);
+            await setState(order, 'cancelled');
+            schedule();
+            return { ...order }
+        },
+
+        /**
+         * Forgets finished orders updated before the given time
+         * @param {number|Date} before
+         * @return {Promise<number>} Number of removed orders
+         */
+        async prune(before){
+            await loaded;
+            let removed = 0;
+            for(const order of [ ...orders.values() ]){
+                if(order.state !== 'pending' && order.updatedAt < +before){
+                    orders.delete(order.orderId);
+                    removed++
+                }
+            }
+            if(removed) await persist();
+            return removed
+        },
+
+        refresh,
+
+        /**
+         * Calls handler on state changes
+         * @param {OrderState|'change'} state A state, or `change` for all of them
+         * @param {(change: OrderChange) => any} handler
+         * @return {() => void} Unsubscribes the handler
+         */
+        on(state, handler){
+            if(state !== 'change' && !states.includes(state)) throw new InvalidArgumentError(`Unknown order state: ${state}`);
+            if(!handlers.has(state)) handlers.set(state, new Set);
+            handlers.get(state).add(handler);
+            return () => handlers.get(state).delete(handler)
+        },
+
+        /** Stops tracking orders and finishes `changes` iterators. Pending orders are checked again after a restart. */
+        stop(){
+            stopped = true;
+            clearTimeout(timer);
+            offPayments();
+            offReconnect();
+            changes.end()
+        },
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Safety guard middleware for destructive and money-moving methods: allow and deny lists,
+ * dry runs, per-call confirmation tokens and spending limits.
+ */
+
+import { GuardError, isNotSent } from './errors.js';
+import { Crypton } from './crypton.js';
+import { readMethods } from './methods.js';
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+/**
+ * Converts Crypton amount to integer nanocryptons, so limits add up without rounding errors
+ * @param {import('./crypton.js').Crypton|string|number} amount
+ * @return {bigint|undefined} `undefined` for values the API would reject anyway
+ */
+
+function toNanos(amount){
+    const crypton = Crypton.tryFrom(amount);
+    return crypton && !crypton.isNegative() ? crypton.nanos : undefined
+}
+
+function randomToken(){
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * @typedef {object} SpendingLimit
+ * @property {string|number} [hour] Max amount per rolling hour
+ * @property {string|number} [day] Max amount per rolling 24 hours
+ */
+
+/**
+ * @typedef {object} GuardPolicy
+ * @property {Iterable<string>} [allow] Only these methods may be called
+ * @property {Iterable<string>} [deny] These methods are always rejected
+ * @property {boolean} [dryRun] Log methods that change state instead of sending them, they resolve with `{ result: null, dryRun: true }`
+ * @property {Iterable<string>} [confirm] Methods that need a token from `guard.confirm()`, passed as the `confirm` request option
+ * @property {number} [confirmTtl] How long a confirmation token is valid in milliseconds. Default 60000
+ * @property {Object<string, SpendingLimit>} [limits] Spending limits of `sendPayment`, `acceptInvoice` and `sendInvoice`.
+ * Calls whose amount can't be worked out are rejected, and calls sharing a `dedupKey` are counted once.
+ * Failed calls stop counting only when they surely weren't carried out: refused connections and API errors
+ * @property {import('./telemetry.js').Logger} [logger] Gets dry run calls, default the logger of the client
+ */
+
+/**
+ * Creates the safety guard, add it with `api.use(guard)`
+ * @param {GuardPolicy} [policy]
+ * @return {import('./middleware.js').Middleware & {confirm(method: string, params?: object): string, spent(method: string, period?: number): string}}
+ */
+
+export function createGuard({
+    allow,
+    deny = [],
+    dryRun = false,
+    confirm = [],
+    confirmTtl = 60000,
+    limits = {},
+    logger,
+} = {}){
+    const allowed = allow && new Set(allow);
+    const denied = new Set(deny);
+    const confirmed = new Set(confirm);
+    /** @type {Map<string, {method: string, params?: object, expires: number}>} */
+    const tokens = new Map;
+    /** @type {Object<string, {at: number, nanos: bigint, key?: string}[]>} */
+    const spending = {};
+
+    function spentSince(method, since){
+        return (spending[method] || []).reduce((sum, entry) => entry.at > since ? sum + entry.nanos : sum, 0n)
+    }
+
+    function checkConfirmation(ctx){
+        const details = { method: ctx.method, params: ctx.params };
+        const token = ctx.options.confirm;
+        const issued = token && tokens.get(token);
+        tokens.delete(token);
+        if(!issued || issued.method !== ctx.method || issued.expires <= Date.now()){
+            throw new GuardError('confirmation', 'needs a confirmation token, get one with guard.confirm()', details)
+        }
+        if(issued.params && Object.entries(issued.params).some(([ key, value ]) => String(ctx.params[key]) !== String(value))){
+            throw new GuardError('confirmation', 'params differ from the confirmed ones', details)
+        }
+    }
+
+    async function amountOf(ctx){
+        if(ctx.method !== 'acceptInvoice') return toNanos(ctx.params.amount);
+        const { result } = await ctx.api.getInvoices({ invoiceId: ctx.params.invoiceid });
+        const invoice = (result || []).find(invoice => invoice.id === ctx.params.invoiceid);
+        return invoice && toNanos(invoice.amount)
+    }
+
+    /** Reserves the amount, so concurrent calls can't exceed the limit together */
+    async function reserve(ctx){
+        const limit = limits[ctx.method];
+        if(!limit) return;
+        const details = { method: ctx.method, params: ctx.params };
+        const now = Date.now();
+        spending[ctx.method] = (spending[ctx.method] || []).filter(entry => entry.at > now - DAY);
+        const nanos = await amountOf(ctx);
+        if(nanos === undefined) throw new GuardError('limit', "amount can't be worked out, so the limit can't be checked", details);
+        // the client sends calls sharing a dedupKey once
+        const key = ctx.options.dedupKey;
+        if(key !== undefined && spending[ctx.method].some(entry => entry.key === key)) return;
+        for(const [ period, duration, name ] of [ [ 'hour', HOUR, 'hourly' ], [ 'day', DAY, 'daily' ] ]){
+            const max = toNanos(limit[period]);
+            if(max === undefined) continue;
+            const total = spentSince(ctx.method, now - duration) + nanos;
+            if(total > max){
+                throw new GuardError('limit', `would exceed the ${name} limit of ${Crypton.fromNanos(max)} (${Crypton.fromNanos(total)} total)`, details)
+            }
+        }
+        const entry = { at: now, nanos, key };
+        spending[ctx.method].push(entry);
+        return () => spending[ctx.method] = spending[ctx.method].filter(item => item !== entry)
+    }
+
+    return {
+        async request(ctx, next){
+            const details = { method: ctx.method, params: ctx.params };
+            if(denied.has(ctx.method) || allowed && !allowed.has(ctx.method)){
+                throw new GuardError('denied', 'is not allowed by the guard policy', details)
+            }
+            if(confirmed.has(ctx.method)) checkConfirmation(ctx);
+            if(dryRun && !readMethods.has(ctx.method)){
+                (logger || ctx.logger).info(`[dry run] ${ctx.method} ${JSON.stringify(ctx.params)}`, { method: ctx.method });
+                return { result: null, dryRun: true }
+            }
+            const release = await reserve(ctx);
+            try{
+                return await next()
+            } catch(e){
+                // a payment that timed out or failed in transit may still go through, so it keeps counting
+                if(isNotSent(e)) release?.();
+                throw e
+            }
+        },
+        /**
+         * Issues a one-time confirmation token for a call
+         * @param {string} method API method
+         * @param {object} [params] Params the call must have, e.g. `{ to, amount }`
+         * @return {string} Pass it as the `confirm` request option
+         */
+        confirm(method, params){
+            const now = Date.now();
+            for(const [ token, { expires } ] of tokens) if(expires <= now) tokens.delete(token);
+            const token = randomToken();
+            tokens.set(token, { method, params, expires: now + confirmTtl });
+            return token
+        },
+        /**
+         * Amount spent with a method within the period
+         * @param {string} method API method
+         * @param {number} [period] Milliseconds, default 24 hours
+         * @return {string}
+         */
+        spent(method, period = DAY){
+            return Crypton.fromNanos(spentSince(method, Date.now() - period)).toString()
+        },
+    }
+}
@@ -0,0 +1,336 @@
+/**
+ * Reconciliation of incoming transfers with expected payments. Transfers come from `newPaymentTransfer`
+ * events and from finance history backfills, are matched by the reference in their comment or by sender and
+ * amount, and end up in a persisted ledger together with what is still unpaid.
+ */
+
+import { InvalidArgumentError } from './errors.js';
+import { Crypton } from './crypton.js';
+import { createEventStream } from './events.js';
+import { createMemoryStore } from './store.js';
+import { createConsoleLogger } from './telemetry.js';
+
+/** @typedef {'open'|'paid'|'underpaid'|'overpaid'} ExpectedStatus */
+/** @typedef {'matched'|'duplicate'|'unmatched'} TransferStatus */
+
+/**
+ * @typedef {object} ExpectedPayment
+ * @property {string} id
+ * @property {string} reference Looked for in transfer comments, the ID by default
+ * @property {string} amount
+ * @property {string} [pk] Only transfers from this sender match
+ * @property {ExpectedStatus} status
+ * @property {string} received Sum of matched transfers
+ * @property {string[]} transfers Reference numbers of matched transfers
+ * @property {number} createdAt Milliseconds since epoch
+ */
+
+/**
+ * @typedef {object} LedgerTransfer
+ * @property {string} referenceNumber
+ * @property {string} pk Sender
+ * @property {string} amount
+ * @property {string} comment
+ * @property {string} [date]
+ * @property {TransferStatus} status
+ * @property {string} [expectedId] Expected payment the transfer was matched to
+ */
+
+/**
+ * @typedef {object} LedgerChange
+ * @property {TransferStatus|ExpectedStatus} type `paid`, `underpaid` or `overpaid` for matched transfers, `duplicate` or `unmatched` otherwise
+ * @property {LedgerTransfer} transfer
+ * @property {ExpectedPayment} [expected]
+ */
+
+const types = [ 'paid', 'underpaid', 'overpaid', 'duplicate', 'unmatched' ];
+
+function escapeRegExp(text){
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+const DAY = 24 * 3600000;
+
+const timeOf = item => Date.parse(item.date ?? item.dateTime ?? item.created) || 0;
+
+/** Orders transfers and history entries by date, then by reference number */
+function oldestFirst(a, b){
+    return timeOf(a) - timeOf(b) || String(a.referenceNumber).localeCompare(String(b.referenceNumber))
+}
+
+/**
+ * Creates the reconciliation ledger and starts recording `newPaymentTransfer` events
+ * @param {import('../index.js').default} api
+ * @param {object} [options]
+ * @param {import('./store.js').Store} [options.store] Where the ledger is kept, default in memory
+ * @param {string} [options.key] Store key of the ledger, default `ledger`
+ * @param {RegExp} [options.pattern] Extracts the reference from a comment with its first group, e.g. `/order #(\d+)/i`.
+ * By default a transfer matches when its comment contains the reference as a separate word
+ * @param {boolean} [options.backfillOnReconnect] Backfill after the WebSocket reconnects, so transfers sent meanwhile aren't missed. Default true
+ * @param {import('./telemetry.js').Logger} [options.logger]
+ * @example
+ * const ledger = createLedger(api, { store: createFileStore('./ledger.json'), pattern: /order #(\d+)/i });
+ * ledger.on('underpaid', ({ expected }) => notify(`${expected.id}: got ${expected.received} of ${expected.amount}`));
+ * await ledger.expect('1001', { amount: '25' });
+ * await ledger.backfill();
+ */
+
+export function createLedger(api, { store = createMemoryStore(), key = 'ledger', pattern, backfillOnReconnect = true, logger = createConsoleLogger() } = {}){
+    /** @type {{cursor?: string, expected: Object<string, ExpectedPayment>, transfers: Object<string, LedgerTransfer>}} */
+    let ledger = { expected: {}, transfers: {} };
+    const handlers = new Map;
+    const changes = createEventStream('ledger', {}, logger);
+    let backfilling;
+
+    const loaded = store.get(key).then(saved => {
+        if(saved) ledger = { expected: {}, transfers: {}, ...saved }
+    });
+    loaded.catch(e => logger.error(`Ledger could not be loaded: ${e.message}`, { error: e }));
+
+    function persist(){
+        return store.set(key, ledger)
+    }
+
+    function emit(change){
+        changes.push(change);
+        for(const type of [ 'change', change.type ]){
+            for(const handler of handlers.get(type) || []){
+                try{
+                    Promise.resolve(handler(change)).catch(e => logger.warn(`ledger ${type} handler failed: ${e.message}`, { error: e }))
+                } catch(e){
+                    logger.warn(`ledger ${type} handler failed: ${e.message}`, { error: e })
+                }
+            }
+        }
+    }
+
+    function byReference(comment, pk){
+        const candidates = Object.values(ledger.expected).filter(expected => !expected.pk || expected.pk === pk);
+        if(pattern){
+            const reference = pattern.exec(comment)?.[1];
+            return reference && candidates.find(expected => expected.reference.toLowerCase() === reference.toLowerCase())
+        }
+        // longest first, so reference 10 doesn't take payments for 100
+        return candidates
+            .sort((a, b) => b.reference.length - a.reference.length)
+            .find(expected => new RegExp(`(^|[^\\w-])${escapeRegExp(expected.reference)}($|[^\\w-])`, 'i').test(comment))
+    }
+
+    function bySenderAndAmount(pk, amount){
+        const candidates = Object.values(ledger.expected).filter(expected =>
+            expected.status === 'open' && expected.pk === pk && amount.eq(expected.amount));
+        return candidates.length === 1 ? candidates[0] : undefined
+    }
+
+    function statusOf(expected){
+        const received = Crypton.from(expected.received);
+        if(received.isZero()) return 'open';
+        return [ 'underpaid', 'paid', 'overpaid' ][received.cmp(expected.amount) + 1]
+    }
+
+    /** Records a transfer, `data` is a newPaymentTransfer event payload or a finance history entry */
+    function apply(data){
+        const referenceNumber = String(data?.referenceNumber ?? '');
+        const amount = Crypton.tryFrom(data?.amount);
+        if(!referenceNumber || !amount || ledger.transfers[referenceNumber]) return;
+        const pk = String(data.pk || '').toUpperCase();
+        const comment = String(data.comment ?? '');
+        /** @type {LedgerTransfer} */
+        const transfer = { referenceNumber, pk, amount: amount.toString(), comment, date: data.dateTime ?? data.created, status: 'unmatched' };
+        ledger.transfers[referenceNumber] = transfer;
+
+        const expected = find(transfer);
+        if(!expected){
+            logger.warn(`Transfer ${referenceNumber} matches no expected payment`, { referenceNumber, pk, amount: transfer.amount });
+            return { type: 'unmatched', transfer: { ...transfer } }
+        }
+        return settle(transfer, expected)
+    }
+
+    function find(transfer){
+        return byReference(transfer.comment, transfer.pk) || bySenderAndAmount(transfer.pk, Crypton.from(transfer.amount))
+    }
+
+    /** Counts a transfer towards the expected payment it matched */
+    function settle(transfer, expected){
+        const { referenceNumber } = transfer;
+        const amount = Crypton.from(transfer.amount);
+        transfer.expectedId = expected.id;
+        if(expected.status === 'paid' || expected.status === 'overpaid'){
+            transfer.status = 'duplicate';
+            logger.warn(`Transfer ${referenceNumber} pays ${expected.id} again`, { referenceNumber, expectedId: expected.id });
+            return { type: 'duplicate', transfer: { ...transfer }, expected: { ...expected } }
+        }
+        transfer.status = 'matched';
+        expected.received = amount.add(expected.received).toString();
+        expected.transfers = [ ...expected.transfers, referenceNumber ];
+        expected.status = statusOf(expected);
+        if(expected.status !== 'paid') logger.warn(`Payment ${expected.id} is ${expected.status}: ${expected.received} of ${expected.amount}`, { expectedId: expected.id });
+        return { type: expected.status, transfer: { ...transfer }, expected: { ...expected, transfers: [ ...expected.transfers ] } }
+    }
+
+    /**
+     * Records a transfer and matches it, transfers already in the ledger are ignored
+     * @param {object} data newPaymentTransfer event data or finance history entry
+     * @return {Promise<LedgerChange|undefined>} Undefined for known or malformed transfers
+     */
+
+    async function record(data){
+        await loaded;
+        const change = apply(data);
+        if(!change) return;
+        await persist();
+        emit(change);
+        return change
+    }
+
+    /** Day to resume backfills from: the one before the cursor transfer, so time zones can't hide anything */
+    function resumeDate(){
+        const time = ledger.cursor && timeOf(ledger.transfers[ledger.cursor] || {});
+        return time ? new Date(time - DAY).toISOString().slice(0, 10) : undefined
+    }
+
+    /**
+     * Reads INCOMING_TRANSFERS from finance history and records the ones not in the ledger yet, sorted oldest first
+     * by date and reference number, since the history order isn't guaranteed. Later backfills start from the date of `cursor`.
+     * @param {object} [options]
+     * @param {string} [options.fromDate] Where the first backfill starts, without it the whole history is read
+     * @return {Promise<number>} Number of newly recorded transfers
+     */
+
+    function backfill({ fromDate } = {}){
+        backfilling = backfilling || (async () => {
+            await loaded;
+            // the history streams through, only transfers the ledger doesn't know yet are kept to be sorted
+            const fresh = [];
+            for await (const entry of api.iterateFinanceHistory({ filters: 'INCOMING_TRANSFERS', fromDate: resumeDate() ?? fromDate })){
+                if(!ledger.transfers[String(entry?.referenceNumber ?? '')]) fresh.push(entry)
+            }
+            const recorded = fresh.sort(oldestFirst).map(apply).filter(Boolean);
+            if(!recorded.length) return 0;
+            await persist();
+            recorded.forEach(emit);
+            // moved only once the transfers up to it are saved, so a failed save is read again next time
+            const newest = recorded[recorded.length - 1].transfer;
+            if(!ledger.cursor || oldestFirst(ledger.transfers[ledger.cursor] || {}, newest) < 0){
+                ledger.cursor = newest.referenceNumber;
+                await persist()
+            }
+            return recorded.length
+        })().finally(() => backfilling = undefined);
+        return backfilling
+    }
+
+    const listeners = [
+        api.on('newPaymentTransfer', event => record(event.data)),
+    ];
+    if(backfillOnReconnect){
+        listeners.push(api.on('connectionState', ({ state, gap }) => {
+            if(state === 'open' && gap) backfill().catch(e => logger.warn(`Ledger backfill failed: ${e.message}`, { error: e }))
+        }))
+    }
+
+    return {
+        /** Every recorded transfer */
+        changes,
+        record,
+        backfill,
+
+        /**
+         * Registers a payment to wait for. Unmatched transfers already in the ledger are matched against it, oldest first.
+         * @param {string} id Unique ID, also the reference looked for in comments unless `reference` is given
+         * @param {object} payment
+         * @param {Crypton|string|number} payment.amount Amount of Cryptons
+         * @param {string} [payment.pk] Only accept transfers from this sender
+         * @param {string} [payment.reference]
+         * @return {Promise<ExpectedPayment>}
+         */
+        async expect(id, { amount, pk, reference = id } = {}){
+            await loaded;
+            id = String(id ?? '');
+            if(!id) throw new InvalidArgumentError('id is required');
+            if(ledger.expected[id]) throw new InvalidArgumentError(`Payment ${id} is already expected`);
+            const crypton = Crypton.tryFrom(amount);
+            if(!crypton || crypton.isNegative() || crypton.isZero()) throw new InvalidArgumentError(`${id}: amount must be a positive number with up to 9 decimal places`);
+            /** @type {ExpectedPayment} */
+            const expected = { id, reference: String(reference), amount: crypton.toString(), pk: pk ? String(pk).toUpperCase() : undefined, status: 'open', received: '0', transfers: [], createdAt: Date.now() };
+            ledger.expected[id] = expected;
+            // the payment may have arrived before it was expected
+            const matched = Object.values(ledger.transfers)
+                .filter(transfer => transfer.status === 'unmatched')
+                .sort(oldestFirst)
+                .filter(transfer => find(transfer) === expected)
+                .map(transfer => settle(transfer, expected));
+            await persist();
+            matched.forEach(emit);
+            return { ...expected, transfers: [ ...expected.transfers ] }
+        },
+
+        /**
+         * @param {string} id
+         * @return {Promise<ExpectedPayment|undefined>}
+         */
+        async getExpected(id){
+            await loaded;
+            const expected = ledger.expected[String(id)];
+            return expected && { ...expected, transfers: [ ...expected.transfers ] }
+        },
+
+        /**
+         * Expected payments, optionally only with the given status
+         * @param {ExpectedStatus} [status]
+         * @return {Promise<ExpectedPayment[]>}
+         */
+        async listExpected(status){
+            await loaded;
+            return Object.values(ledger.expected).filter(expected => !status || expected.status === status).map(expected => ({ ...expected, transfers: [ ...expected.transfers ] }))
+        },
+
+        /**
+         * Recorded transfers, optionally only with the given status
+         * @param {TransferStatus} [status]
+         * @return {Promise<LedgerTransfer[]>}
+         */
+        async listTransfers(status){
+            await loaded;
+            return Object.values(ledger.transfers).filter(transfer => !status || transfer.status === status).map(transfer => ({ ...transfer }))
+        },
+
+        /**
+         * Stops waiting for a payment, its transfers stay in the ledger
+         * @param {string} id
+         * @return {Promise<boolean>} Whether the payment was expected
+         */
+        async forget(id){
+            await loaded;
+            if(!ledger.expected[String(id)]) return false;
+            delete ledger.expected[String(id)];
+            await persist();
+            return true
+        },
+
+        /** Reference number of the newest backfilled transfer */
+        get cursor(){
+            return ledger.cursor
+        },
+
+        /**
+         * Calls handler for recorded transfers of the given type
+         * @param {LedgerChange['type']|'change'} type A type, or `change` for all of them
+         * @param {(change: LedgerChange) => any} handler
+         * @return {() => void} Unsubscribes the handler
+         */
+        on(type, handler){
+            if(type !== 'change' && !types.includes(type)) throw new InvalidArgumentError(`Unknown ledger change: ${type}`);
+            if(!handlers.has(type)) handlers.set(type, new Set);
+            handlers.get(type).add(handler);
+            return () => handlers.get(type).delete(handler)
+        },
+
+        /** Stops recording events and finishes `changes` iterators */
+        stop(){
+            listeners.forEach(off => off());
+            changes.end()
+        },
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * Classification of API methods by side effects
+ */
+
+/** Methods that only read state */
+export const readMethods = new Set([
+    'getSystemInfo',
+    'getNetworkConnections',
+    'lowTrafficMode',
+    'getWebSocketState',
+    'ucodeEncode',
+    'ucodeDecode',
+    'getProfileStatus',
+    'getOwnContact',
+    'getContactGroups',
+    'getContactsByGroup',
+    'getContacts',
+    'getContactAvatar',
+    'getContactMessages',
+    'getStickerCollections',
+    'getStickerNamesByCollection',
+    'getImageSticker',
+    'getEmailFolder',
+    'getEmails',
+    'getEmailById',
+    'getFinanceSystemInformation',
+    'getBalance',
+    'getFinanceHistory',
+    'getTransactionIdByReferenceNumber',
+    'getCards',
+    'getTreasuryPoSRates',
+    'getTreasuryInterestRates',
+    'getTreasuryTransactionVolumes',
+    'statusHistoryMining',
+    'getMiningBlocks',
+    'getMiningInfo',
+    'getVouchers',
+    'getInvoices',
+    'getInvoiceByReferenceNumber',
+    'incomingUnsTransfer',
+    'outgoingUnsTransfer',
+    'getChannels',
+    'getChannelMessages',
+    'getChannelInfo',
+    'getChannelAvatar',
+    'getChannelModerators',
+    'getChannelContacts',
+    'getChannelModeratorRight',
+    'getChannelSystemInfo',
+    'getChannelBannedConacts',
+    'unsSearchByPk',
+    'unsSearchByNick',
+    'getUnsSyncInfo',
+    'unsRegisteredNames',
+    'summaryUnsRegisteredNames',
+    'getWhoIsInfo',
+    'getProxyMappings',
+    'getTransfersFromManager',
+    'getFilesFromManager',
+    'getFile',
+]);
+
+/** Methods that change state, but repeating them has the same effect as calling once */
+export const idempotentMethods = new Set([
+    ...readMethods,
+    'clearTrayNotifications',
+    'setLowTrafficMode',
+    'setWebSocketState',
+    'setProfileStatus',
+    'setContactGroup',
+    'setContactNick',
+    'enableMining',
+    'enablePoS',
+    'enableInterest',
+    'enableHistoryMining',
+    'requestTreasuryPoSRates',
+    'requestTreasuryInterestRates',
+    'requestTreasuryTransactionVolumes',
+    'enableProxyMapping',
+    'disableProxyMapping',
+]);
+
+/** Methods that destroy data or move money, one bad call can't be undone */
+export const destructiveMethods = new Set([
+    'storageWipe',
+    'deleteContact',
+    'deleteChannel',
+    'removeInstantMessages',
+    'deleteCard',
+    'deleteEmail',
+    'deleteVoucher',
+    'sendPayment',
+    'acceptInvoice',
+    'useVoucher',
+    'createVoucher',
+    'unsDeleteRecordRequest',
+    'requestUnsTransfer',
+]);
+
+/**
+ * @param {string} method API method
+ */
+
+export function isIdempotent(method){
+    return idempotentMethods.has(method)
+}
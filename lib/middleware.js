@@ -0,0 +1,47 @@
+/**
+ * Middleware chains. A middleware is an object with optional hooks, called in the order they were added:
+ * `request(ctx, next)` for every `sendRequest` call and `event(event, next)` for every WebSocket event
+ * before it reaches streams and handlers.
+ */
+
+/**
+ * @typedef {object} RequestContext
+ * @property {string} method API method, may be changed
+ * @property {object} params Request params, may be changed
+ * @property {object} options Request options, see `sendRequest`
+ * @property {import('../index.js').default} api Client the request was sent with
+ * @property {import('./telemetry.js').Logger} logger Logger of the client
+ */
+
+/**
+ * @typedef {object} Middleware
+ * @property {(ctx: RequestContext, next: (ctx?: RequestContext) => Promise<any>) => any} [request]
+ * Resolves to the API response. Not calling `next` short-circuits the request with what the hook returns or throws.
+ * @property {(event: object, next: (event?: object) => Promise<void>) => any} [event]
+ * Not calling `next` drops the event, passing another event to it replaces the original one.
+ */
+
+/**
+ * Runs `value` through the `hook` of every middleware, `final` gets what the last one passed on
+ * @param {Middleware[]} middlewares
+ * @param {'request'|'event'} hook
+ * @param {any} value
+ * @param {(value: any) => any} final
+ * @return {Promise<any>}
+ */
+
+export function runChain(middlewares, hook, value, final){
+    const chain = middlewares.filter(middleware => typeof middleware[hook] === 'function');
+
+    function dispatch(index, value){
+        if(index === chain.length) return new Promise(resolve => resolve(final(value)));
+        let called = false;
+        return new Promise(resolve => resolve(chain[index][hook](value, (next = value) => {
+            if(called) return Promise.reject(new Error(`${hook} middleware called next() more than once`));
+            called = true;
+            return dispatch(index + 1, next)
+        })))
+    }
+
+    return dispatch(0, value)
+}
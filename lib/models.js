@@ -0,0 +1,198 @@
+/**
+ * Event classes: WebSocket events with normalized fields and helpers to answer them.
+ * `type` and `data` stay as they came from the API, so filters and code reading `event.data` keep working.
+ */
+
+import { Crypton } from './crypton.js';
+
+const apis = new WeakMap;
+
+function toDate(value){
+    if(value === undefined || value === null || value === '') return;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date
+}
+
+/**
+ * Amount as a decimal string with up to 9 decimal places, without float noise like `0.30000000000000004`
+ * @param {number|string} value
+ */
+
+function toDecimal(value){
+    if(value === undefined || value === null || value === '') return;
+    if(typeof value === 'string') return value;
+    return Crypton.tryFrom(value)?.toString()
+}
+
+export class UtopiaEvent{
+    /**
+     * @param {{type: string, data: object}} event Parsed WebSocket message
+     * @param {import('../index.js').default} api Client the helpers use
+     */
+    constructor({ type, data, ...rest }, api){
+        Object.assign(this, rest);
+        this.type = type;
+        this.data = data;
+        apis.set(this, api)
+    }
+
+    /** Client the event came from */
+    get api(){
+        return apis.get(this)
+    }
+
+    /**
+     * Same event with extra fields, e.g. the pool adds `node`
+     * @param {object} fields
+     */
+    with(fields){
+        const copy = Object.assign(Object.create(Object.getPrototypeOf(this)), this, fields);
+        apis.set(copy, this.api);
+        return copy
+    }
+}
+
+export class InstantMessage extends UtopiaEvent{
+    constructor(event, api){
+        super(event, api);
+        const data = this.data || {};
+        this.id = data.id;
+        this.pk = String(data.pk || '').toUpperCase();
+        this.nick = data.nick;
+        this.text = data.text;
+        this.date = toDate(data.dateTime);
+        this.incoming = data.isIncoming ?? !/outgoing/i.test(this.type)
+    }
+
+    /**
+     * Sends a message to the same chat
+     * @param {string} text
+     */
+    reply(text){
+        return this.api.sendInstantMessage(this.pk, text)
+    }
+
+    /**
+     * Sends a message quoting this one
+     * @param {string} text
+     */
+    quote(text){
+        return this.api.sendInstantQuote(this.pk, text, this.id)
+    }
+}
+
+export class ChannelMessage extends UtopiaEvent{
+    constructor(event, api){
+        super(event, api);
+        const data = this.data || {};
+        this.id = data.id;
+        this.channelId = data.channelid;
+        this.channel = data.channel;
+        this.pk = String(data.pk || '').toUpperCase();
+        this.hashedPk = data.hashedPk;
+        this.nick = data.nick;
+        this.text = data.text;
+        this.date = toDate(data.dateTime);
+        this.incoming = data.isIncoming ?? !/outgoing/i.test(this.type)
+    }
+
+    /**
+     * Sends a message to the same channel
+     * @param {string} text
+     */
+    reply(text){
+        return this.api.sendChannelMessage(this.channelId, text)
+    }
+
+    /**
+     * Sends a personal message to the author
+     * @param {string} text
+     */
+    replyPrivately(text){
+        return this.api.sendInstantMessage(this.pk, text)
+    }
+}
+
+export class PaymentTransfer extends UtopiaEvent{
+    /**
+     * @param {{type: string, data: object}} event
+     * @param {import('../index.js').default} api
+     * @param {{amounts?: 'number'|'crypton'}} [options] `crypton` makes `amount` a `Crypton` instead of a decimal string
+     */
+    constructor(event, api, options = {}){
+        super(event, api);
+        const data = this.data || {};
+        this.pk = String(data.pk || '').toUpperCase();
+        this.nick = data.nick;
+        this.amount = options.amounts === 'crypton' ? Crypton.tryFrom(data.amount) : toDecimal(data.amount);
+        this.comment = data.comment || '';
+        this.cardId = data.cardId || undefined;
+        this.referenceNumber = data.referenceNumber;
+        this.batchId = data.batchId;
+        this.date = toDate(data.dateTime ?? data.created)
+    }
+
+    /**
+     * Sends the same amount back to the sender
+     * @param {string} [comment] Default `Refund <referenceNumber>`
+     */
+    refund(comment = `Refund ${this.referenceNumber || ''}`.trim()){
+        return this.api.sendPayment({ to: this.pk, amount: this.amount, comment })
+    }
+}
+
+export class EmailNotification extends UtopiaEvent{
+    constructor(event, api){
+        super(event, api);
+        const data = this.data || {};
+        this.id = data.id;
+        this.sender = String(data.sender || data.pk || '').toUpperCase();
+        this.subject = data.subject;
+        this.date = toDate(data.dateTime)
+    }
+
+    /** Loads the whole email with getEmailById */
+    async fetch(){
+        return (await this.api.getEmailById(this.id)).result
+    }
+
+    /**
+     * Replies with sendReplyEmailMessage
+     * @param {string} body
+     */
+    reply(body){
+        return this.api.sendReplyEmailMessage(this.id, body)
+    }
+}
+
+export class ChannelJoinChange extends UtopiaEvent{
+    constructor(event, api){
+        super(event, api);
+        const data = this.data || {};
+        this.channelId = data.channelid;
+        this.joined = data.joined === true || data.joined === 'true'
+    }
+}
+
+const models = {
+    newInstantMessage: InstantMessage,
+    newOutgoingInstantMessage: InstantMessage,
+    newChannelMessage: ChannelMessage,
+    newOutgoingChannelMessage: ChannelMessage,
+    newPaymentTransfer: PaymentTransfer,
+    newEmail: EmailNotification,
+    channelJoinChanged: ChannelJoinChange,
+};
+
+/**
+ * Wraps a parsed WebSocket message into its event class, unknown types into `UtopiaEvent`
+ * @param {{type: string, data: object}} event
+ * @param {import('../index.js').default} api
+ * @param {{amounts?: 'number'|'crypton'}} [options] How amounts are represented, same as the client option
+ * @return {UtopiaEvent}
+ */
+
+export function toEventModel(event, api, options){
+    const Model = models[event.type] || UtopiaEvent;
+    return new Model(event, api, options)
+}
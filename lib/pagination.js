@@ -0,0 +1,68 @@
+/**
+ * Page walking behind the `iterate*` methods. The next page is requested only when the consumer
+ * asks for more items, items are loaded one by one, and the cursor of the last item lets a later iterator continue after it.
+ */
+
+import { InvalidArgumentError } from './errors.js';
+
+/**
+ * @template T
+ * @typedef {AsyncIterableIterator<T> & {readonly cursor: string|undefined}} PageIterator
+ * `cursor` identifies the last item returned, pass it back to resume after that item
+ */
+
+/**
+ * Creates an iterator over API items
+ * @template T
+ * @param {object} options
+ * @param {(cursor: string|undefined) => Promise<any[]>} options.fetchPage Loads items starting at the cursor item, or from the beginning without one
+ * @param {(item: any) => string|number} options.keyOf Item key the cursor is made of
+ * @param {string} [options.cursor] Resume after this item. When the API returns everything at once, the iterator throws
+ * `InvalidArgumentError` if the item is not in the list anymore
+ * @param {boolean} [options.chained] Whether the API pages, i.e. requesting from the last item may return more items.
+ * Otherwise the first response holds everything. Default false
+ * @param {(item: any) => Promise<T>} [options.load] Turns an item into what the iterator returns, e.g. loads email by ID
+ * @return {PageIterator<T>}
+ */
+
+export function createPageIterator({ fetchPage, keyOf, cursor, chained = false, load = async item => item }){
+    let pending = [], done = false, requested = cursor;
+
+    async function fill(){
+        while(!pending.length && !done){
+            const page = await fetchPage(requested) || [];
+            let start = 0;
+            if(requested !== undefined){
+                const index = page.findIndex(item => String(keyOf(item)) === String(requested));
+                // starting over would repeat everything before the cursor
+                if(index === -1 && !chained) throw new InvalidArgumentError(`Cursor ${requested} is not in the list anymore`);
+                start = index + 1
+            }
+            pending = page.slice(start);
+            if(!chained || !pending.length) done = true;
+            else requested = String(keyOf(pending[pending.length - 1]))
+        }
+    }
+
+    return {
+        get cursor(){
+            return cursor
+        },
+        async next(){
+            await fill();
+            if(!pending.length) return { value: undefined, done: true };
+            const item = pending.shift();
+            const value = await load(item);
+            cursor = String(keyOf(item));
+            return { value, done: false }
+        },
+        async return(){
+            done = true;
+            pending = [];
+            return { value: undefined, done: true }
+        },
+        [Symbol.asyncIterator](){
+            return this
+        },
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Prometheus exporter: a meter collecting the client's metrics in memory and rendering them
+ * in the Prometheus text exposition format.
+ */
+
+const secondsBuckets = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30 ];
+const bytesBuckets = [ 256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304, 16777216 ];
+
+/** Instrument name and value conversion by OpenTelemetry unit */
+const units = {
+    ms: { suffix: '_seconds', scale: 0.001, buckets: secondsBuckets },
+    By: { suffix: '_bytes', scale: 1, buckets: bytesBuckets },
+};
+
+function escapeLabel(value){
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function formatLabels(labels){
+    const entries = Object.entries(labels).filter(([ , value ]) => value !== undefined);
+    if(!entries.length) return '';
+    return `{${entries.map(([ key, value ]) => `${key.replace(/[^a-zA-Z0-9_]/g, '_')}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+function labelKey(attributes = {}){
+    return JSON.stringify(Object.keys(attributes).sort().map(key => [ key, attributes[key] ]))
+}
+
+function metricName(name, unit){
+    return name.replace(/[^a-zA-Z0-9_:]/g, '_') + (units[unit]?.suffix || '')
+}
+
+/**
+ * Creates the exporter. Pass it as the `meter` client option and `observe` the client
+ * to also export event queue depth and dropped events.
+ * @param {object} [options]
+ * @param {Object<string, number[]>} [options.buckets] Histogram bucket overrides by metric name, e.g. `{ utopia_request_duration_seconds: [ 0.1, 1, 10 ] }`
+ * @example
+ * const metrics = createPrometheusMetrics();
+ * const api = new Utopia(token, true, host, apiPort, wsPort, { meter: metrics });
+ * metrics.observe(api);
+ * serve(req => new Response(metrics.render(), { headers: { 'Content-Type': metrics.contentType } }))
+ */
+
+export function createPrometheusMetrics({ buckets = {} } = {}){
+    /** @type {Map<string, {type: string, help: string, buckets?: number[], series: Map<string, object>}>} */
+    const metrics = new Map;
+    const observed = new Set;
+
+    function register(type, name, { unit, description = '' } = {}){
+        const fullName = metricName(name, unit) + (type === 'counter' ? '_total' : '');
+        if(!metrics.has(fullName)){
+            metrics.set(fullName, {
+                type,
+                help: description,
+                buckets: type === 'histogram' ? buckets[fullName] || units[unit]?.buckets || secondsBuckets : undefined,
+                series: new Map,
+            })
+        }
+        return { metric: metrics.get(fullName), scale: units[unit]?.scale ?? 1 }
+    }
+
+    function series(metric, attributes, create){
+        const key = labelKey(attributes);
+        if(!metric.series.has(key)) metric.series.set(key, { labels: { ...attributes }, ...create() });
+        return metric.series.get(key)
+    }
+
+    function renderObserved(lines){
+        const totals = {};
+        for(const api of observed){
+            for(const [ event, stats ] of Object.entries(api.eventStats())){
+                const total = totals[event] = totals[event] || { subscribers: 0, depth: 0, dropped: 0 };
+                total.subscribers += stats.subscribers;
+                total.depth += stats.depth;
+                total.dropped += stats.dropped
+            }
+        }
+        const events = Object.entries(totals);
+        if(!events.length) return;
+        for(const [ name, type, help, field ] of [
+            [ 'utopia_event_subscribers', 'gauge', 'Event stream subscribers', 'subscribers' ],
+            [ 'utopia_event_queue_depth', 'gauge', 'Events waiting in subscriber queues', 'depth' ],
+            [ 'utopia_events_dropped_total', 'counter', 'Events dropped because of subscriber queue overflow', 'dropped' ],
+        ]){
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for(const [ event, total ] of events) lines.push(`${name}${formatLabels({ event })} ${total[field]}`)
+        }
+    }
+
+    return {
+        /** Content-Type of `render()` output */
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+        createCounter(name, options){
+            const { metric, scale } = register('counter', name, options);
+            return {
+                add(value, attributes){
+                    series(metric, attributes, () => ({ value: 0 })).value += value * scale
+                },
+            }
+        },
+        createHistogram(name, options){
+            const { metric, scale } = register('histogram', name, options);
+            return {
+                record(value, attributes){
+                    const entry = series(metric, attributes, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+                    const scaled = value * scale;
+                    metric.buckets.forEach((bound, i) => {
+                        if(scaled <= bound) entry.counts[i]++
+                    });
+                    entry.sum += scaled;
+                    entry.count++
+                },
+            }
+        },
+        /**
+         * Exports event queue depth, subscribers and dropped events of a client
+         * @param {{eventStats(): Object<string, {subscribers: number, depth: number, dropped: number}>}} api
+         * @return {() => void} Stops observing
+         */
+        observe(api){
+            observed.add(api);
+            return () => observed.delete(api)
+        },
+        /**
+         * Renders all metrics in the Prometheus text format
+         * @return {string}
+         */
+        render(){
+            const lines = [];
+            for(const [ name, metric ] of metrics){
+                lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+                for(const entry of metric.series.values()){
+                    if(metric.type !== 'histogram'){
+                        lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+                        continue
+                    }
+                    metric.buckets.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[i]}`));
+                    lines.push(
+                        `${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+                        `${name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+                        `${name}_count${formatLabels(entry.labels)} ${entry.count}`,
+                    )
+                }
+            }
+            renderObserved(lines);
+            return lines.join('\n') + '\n'
+        },
+    }
+}
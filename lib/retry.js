@@ -0,0 +1,73 @@
+/**
+ * Retry policies for API requests
+ */
+
+import { createAbortError, isRetryableError } from './errors.js';
+
+/**
+ * @typedef {object} RetryPolicy
+ * @property {number} attempts Max attempts including the first one
+ * @property {(attempt: number) => number} delay Milliseconds to wait after the failed attempt
+ * @property {(error: Error, method: string) => boolean} shouldRetry Whether the error is worth another attempt
+ */
+
+/**
+ * Creates an exponential backoff policy
+ * @param {object} [config]
+ * @param {number} [config.attempts] Max attempts including the first one, default 3
+ * @param {number} [config.minDelay] Delay after the first failure in milliseconds, default 250
+ * @param {number} [config.maxDelay] Delay cap in milliseconds, default 10000
+ * @param {number} [config.factor] Backoff multiplier, default 2
+ * @param {number} [config.jitter] Part of the delay (0..1) that is randomized, default 0.5
+ * @param {(error: Error, method: string) => boolean} [config.shouldRetry] Error filter, by default network errors, timeouts, 5xx and 429 statuses
+ * @return {RetryPolicy}
+ */
+
+export function createRetryPolicy({
+    attempts = 3,
+    minDelay = 250,
+    maxDelay = 10000,
+    factor = 2,
+    jitter = 0.5,
+    shouldRetry = isRetryableError,
+} = {}){
+    return {
+        attempts,
+        delay(attempt){
+            const base = Math.min(maxDelay, minDelay * factor ** (attempt - 1));
+            return base * (1 - jitter * Math.random())
+        },
+        shouldRetry,
+    }
+}
+
+/**
+ * Accepts both ready policies and `createRetryPolicy` configs
+ * @param {RetryPolicy|object} policy
+ * @return {RetryPolicy}
+ */
+
+export function toRetryPolicy(policy){
+    if(typeof policy?.delay === 'function' && typeof policy.shouldRetry === 'function') return policy;
+    return createRetryPolicy(policy)
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal] Rejects with AbortError when aborted
+ */
+
+export function sleep(ms, signal){
+    return new Promise((resolve, reject) => {
+        if(signal?.aborted) return reject(createAbortError());
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError())
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve()
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true })
+    })
+}
@@ -0,0 +1,115 @@
+/**
+ * Request scheduler: runs at most `maxConcurrency` tasks at once and picks
+ * queued tasks by priority lane.
+ */
+
+import { createAbortError } from './errors.js';
+
+/** @typedef {'high'|'normal'|'low'} Lane */
+
+export const lanes = ['high', 'normal', 'low'];
+
+/**
+ * Default lanes for API methods. Anything not listed goes to `normal`.
+ * @type {Object<string, Lane>}
+ */
+export const methodPriorities = {
+    getWebSocketState: 'high',
+    setWebSocketState: 'high',
+    sendInstantMessage: 'high',
+    sendInstantQuote: 'high',
+    sendInstantSticker: 'high',
+    sendInstantBuzz: 'high',
+    sendFileByMessage: 'high',
+    sendChannelMessage: 'high',
+    sendChannelPicture: 'high',
+    sendReplyEmailMessage: 'high',
+    getFinanceHistory: 'low',
+    getContactMessages: 'low',
+    getChannelMessages: 'low',
+    getEmails: 'low',
+    getEmailFolder: 'low',
+    getInvoices: 'low',
+    getMiningBlocks: 'low',
+    getTransfersFromManager: 'low',
+    getFilesFromManager: 'low',
+    getFile: 'low',
+    uploadFile: 'low',
+    summaryUnsRegisteredNames: 'low',
+};
+
+/**
+ * Creates a scheduler. Higher lanes always go first, but a waiting lower lane
+ * is let through after it has been skipped `starvationLimit` times in a row,
+ * so a busy `high` lane can't block history exports forever.
+ * @param {number} maxConcurrency Max tasks in flight
+ * @param {number} starvationLimit How many times a lane may be skipped
+ */
+
+export function createScheduler(maxConcurrency, starvationLimit = 8){
+    const queues = { high: [], normal: [], low: [] };
+    const skipped = { high: 0, normal: 0, low: 0 };
+    let running = 0;
+
+    function pickLane(){
+        const waiting = lanes.filter(lane => queues[lane].length);
+        if(!waiting.length) return;
+        const starving = waiting.slice(1).find(lane => skipped[lane] >= starvationLimit);
+        const lane = starving || waiting[0];
+        for(const other of waiting) skipped[other] = other === lane ? 0 : skipped[other] + 1;
+        return lane
+    }
+
+    function pump(){
+        while(running < maxConcurrency){
+            const lane = pickLane();
+            if(!lane) return;
+            running++;
+            queues[lane].shift()()
+        }
+    }
+
+    return {
+        /**
+         * Queues a task. The slot is released whether the task resolves or throws.
+         * A task aborted while still queued is dropped without taking a slot.
+         * @template T
+         * @param {Lane} lane
+         * @param {() => Promise<T>} task
+         * @param {AbortSignal} [signal]
+         * @return {Promise<T>}
+         */
+        run(lane, task, signal){
+            return new Promise((resolve, reject) => {
+                if(signal?.aborted) return reject(createAbortError());
+                const queue = queues[lane in queues ? lane : 'normal'];
+                const onAbort = () => {
+                    queue.splice(queue.indexOf(job), 1);
+                    reject(createAbortError())
+                };
+                const job = async () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    try{
+                        resolve(await task())
+                    } catch(e){
+                        reject(e)
+                    } finally {
+                        running--;
+                        pump()
+                    }
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
+                queue.push(job);
+                pump()
+            })
+        },
+        /** Number of tasks in flight */
+        get running(){
+            return running
+        },
+        /** Number of tasks waiting for a slot */
+        get queued(){
+            return lanes.reduce((sum, lane) => sum + queues[lane].length, 0)
+        },
+    }
+}
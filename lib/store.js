@@ -0,0 +1,77 @@
+/**
+ * Stores for state that has to survive restarts, like gateway orders. Values are plain JSON.
+ */
+
+const { readTextFile, writeTextFile, rename, errors } = Deno;
+
+/**
+ * @typedef {object} Store
+ * @property {(key: string) => Promise<any>} get Stored value, undefined when there is none
+ * @property {(key: string, value: any) => Promise<void>} set
+ * @property {(key: string) => Promise<void>} delete
+ */
+
+/**
+ * Keeps values in memory, for tests and state that may be lost
+ * @return {Store}
+ */
+
+export function createMemoryStore(){
+    const values = new Map;
+    return {
+        async get(key){
+            return values.has(key) ? structuredClone(values.get(key)) : undefined
+        },
+        async set(key, value){
+            values.set(key, structuredClone(value))
+        },
+        async delete(key){
+            values.delete(key)
+        },
+    }
+}
+
+/**
+ * Keeps all values in one JSON file. Writes go to a temporary file renamed over the old one,
+ * so a crash in the middle of a write leaves the previous state.
+ * @param {string} path
+ * @return {Store}
+ */
+
+export function createFileStore(path){
+    let values, loading;
+    let writing = Promise.resolve();
+
+    function load(){
+        loading = loading || readTextFile(path).then(JSON.parse, e => {
+            if(e instanceof errors.NotFound) return {};
+            loading = undefined;
+            throw e
+        }).then(loaded => values = loaded);
+        return loading
+    }
+
+    function save(){
+        const data = JSON.stringify(values, null, 2);
+        writing = writing.catch(() => {}).then(async () => {
+            await writeTextFile(`${path}.tmp`, data);
+            await rename(`${path}.tmp`, path)
+        });
+        return writing
+    }
+
+    return {
+        async get(key){
+            const value = (await load())[key];
+            return value === undefined ? undefined : structuredClone(value)
+        },
+        async set(key, value){
+            (await load())[key] = structuredClone(value);
+            return save()
+        },
+        async delete(key){
+            delete (await load())[key];
+            return save()
+        },
+    }
+}
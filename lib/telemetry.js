@@ -0,0 +1,126 @@
+/**
+ * Logging, tracing and metrics hooks. Tracer and meter follow the OpenTelemetry API,
+ * so `trace.getTracer()` and `metrics.getMeter()` results can be passed as is.
+ */
+
+/** @typedef {'debug'|'info'|'warn'|'error'|'silent'} LogLevel */
+
+/**
+ * @typedef {object} Logger
+ * @property {(message: string, fields?: object) => void} debug
+ * @property {(message: string, fields?: object) => void} info
+ * @property {(message: string, fields?: object) => void} warn
+ * @property {(message: string, fields?: object) => void} error
+ */
+
+/**
+ * @typedef {object} Span
+ * @property {(key: string, value: any) => Span} setAttribute
+ * @property {(status: {code: number, message?: string}) => Span} setStatus
+ * @property {(name: string, attributes?: object) => Span} addEvent
+ * @property {(error: Error) => void} recordException
+ * @property {() => void} end
+ */
+
+/**
+ * @typedef {object} Tracer
+ * @property {(name: string, options?: {attributes?: object}) => Span} startSpan
+ */
+
+/**
+ * @typedef {object} Meter
+ * @property {(name: string, options?: {unit?: string, description?: string}) => {add(value: number, attributes?: object): void}} createCounter
+ * @property {(name: string, options?: {unit?: string, description?: string}) => {record(value: number, attributes?: object): void}} createHistogram
+ */
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/** OpenTelemetry `SpanStatusCode` */
+export const SpanStatus = { UNSET: 0, OK: 1, ERROR: 2 };
+
+/**
+ * Logger writing to the console
+ * @param {LogLevel} [level] Least severe level to write, default `warn`
+ * @return {Logger}
+ */
+
+export function createConsoleLogger(level = 'warn'){
+    const logger = {};
+    for(const name of [ 'debug', 'info', 'warn', 'error' ]){
+        logger[name] = levels[name] < levels[level] ? () => {} : (message, fields) => {
+            if(fields && Object.keys(fields).length) console[name](message, fields);
+            else console[name](message)
+        }
+    }
+    return logger
+}
+
+/**
+ * Replaces the token in strings, error messages and nested objects; fields named like `token` are hidden entirely
+ * @param {any} value
+ * @param {string} token API token
+ */
+
+export function redact(value, token){
+    if(typeof value === 'string') return value.split(token).join('[REDACTED]');
+    if(value instanceof Error) return redact(value.message, token);
+    if(value instanceof Date) return value;
+    if(Array.isArray(value)) return value.map(item => redact(item, token));
+    if(value && typeof value === 'object'){
+        const result = {};
+        for(const [ key, item ] of Object.entries(value)) result[key] = /token/i.test(key) ? '[REDACTED]' : redact(item, token);
+        return result
+    }
+    return value
+}
+
+/**
+ * Wraps a logger so that the token never reaches it, neither in messages nor in fields
+ * @param {Logger} logger
+ * @param {string} token API token
+ * @return {Logger}
+ */
+
+export function redactingLogger(logger, token){
+    const wrapped = {};
+    for(const name of [ 'debug', 'info', 'warn', 'error' ]){
+        wrapped[name] = (message, fields) => {
+            try{
+                logger[name]?.(redact(message, token), fields && redact(fields, token))
+            } catch(e){}
+        }
+    }
+    return wrapped
+}
+
+const noopSpan = {
+    setAttribute(){ return this },
+    setStatus(){ return this },
+    addEvent(){ return this },
+    recordException(){},
+    end(){},
+};
+
+/** @type {Tracer} */
+export const noopTracer = { startSpan: () => noopSpan };
+
+const noopInstrument = { add(){}, record(){} };
+
+/**
+ * Creates the client's metric instruments
+ * @param {Meter} [meter]
+ */
+
+export function createInstruments(meter){
+    const counter = (name, description, unit) => meter ? meter.createCounter(name, { description, unit }) : noopInstrument;
+    const histogram = (name, description, unit) => meter ? meter.createHistogram(name, { description, unit }) : noopInstrument;
+    return {
+        requests: counter('utopia.requests', 'API requests by method and outcome'),
+        requestDuration: histogram('utopia.request.duration', 'API request latency', 'ms'),
+        requestSize: histogram('utopia.request.size', 'API request payload size', 'By'),
+        responseSize: histogram('utopia.response.size', 'API response payload size', 'By'),
+        wsStates: counter('utopia.ws.state_changes', 'WebSocket connection state changes'),
+        wsReconnects: counter('utopia.ws.reconnects', 'WebSocket reconnection attempts'),
+        wsEvents: counter('utopia.ws.events', 'WebSocket events received'),
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * Transports carry API requests and WebSocket frames between the client and Utopia
+ */
+
+import {
+    connectWebSocket,
+    createMask,
+    createWebSocket,
+    handshake,
+} from 'https://deno.land/std/ws/mod.ts';
+import { BufReader, BufWriter } from 'https://deno.land/std/io/bufio.ts';
+import { createAbortError, raceAbort } from './errors.js';
+import { createEventStream } from './events.js';
+
+const { readAll, writeAll } = Deno;
+
+/**
+ * @typedef {object} TransportRequest
+ * @property {string} method API method
+ * @property {object} params Request params
+ * @property {string} token API token
+ */
+
+/**
+ * @typedef {object} TransportResponse
+ * @property {number} status HTTP status
+ * @property {string} body Raw response body
+ */
+
+/**
+ * Async iterable of frames: strings for messages, `{ code, reason }` when closed
+ * @typedef {AsyncIterable<string|Uint8Array|{code: number, reason?: string}> & {close(code?: number, reason?: string): Promise<void>}} TransportSocket
+ */
+
+/**
+ * @typedef {object} Transport
+ * @property {(request: TransportRequest, options: {signal?: AbortSignal}) => Promise<TransportResponse>} request
+ * @property {(options: {port: string|number, token: string}) => Promise<TransportSocket>} connect
+ */
+
+/**
+ * HTTP(S) and WebSocket transport, directly to a Utopia client or through a reverse proxy
+ * @param {object} options
+ * @param {string} options.host API host
+ * @param {string|number} options.port API port
+ * @param {boolean} [options.secure] Use HTTPS and WSS. Default false
+ * @param {string} [options.pathPrefix] Prepended to `/api/1.0` and `/UtopiaWSS`, e.g. `/utopia` behind nginx
+ * @param {string|number} [options.wsPort] WebSocket port, overrides the one the client asks for, e.g. when the proxy serves both on 443
+ * @param {Object<string, string>} [options.headers] Extra headers sent with requests and the WebSocket handshake
+ * @param {typeof fetch} [options.fetch] Custom `fetch`, e.g. one using a client certificate
+ * @return {Transport}
+ */
+
+export function createHttpTransport({ host, port, secure = false, pathPrefix = '', wsPort, headers = {}, fetch = globalThis.fetch }){
+    const prefix = pathPrefix.replace(/\/+$/, '');
+    return {
+        async request(payload, { signal } = {}){
+            const res = await fetch(`${secure ? 'https' : 'http'}://${host}:${port}${prefix}/api/1.0`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(payload),
+                signal,
+            });
+            return { status: res.status, body: await res.text() }
+        },
+        connect({ port, token }){
+            return connectWebSocket(`${secure ? 'wss' : 'ws'}://${host}:${wsPort || port}${prefix}/UtopiaWSS?token=${token}`, new Headers(headers))
+        },
+    }
+}
+
+const encoder = new TextEncoder;
+const decoder = new TextDecoder;
+
+const CRLF = encoder.encode('\r\n');
+const HEADER_END = encoder.encode('\r\n\r\n');
+
+function indexOfBytes(bytes, pattern, from = 0){
+    search: for(let i = from; i <= bytes.length - pattern.length; i++){
+        for(let j = 0; j < pattern.length; j++) if(bytes[i + j] !== pattern[j]) continue search;
+        return i
+    }
+    return -1
+}
+
+/**
+ * Decodes a `Transfer-Encoding: chunked` body. Chunk sizes count bytes, so it works on the raw body
+ * @param {Uint8Array} body
+ * @return {Uint8Array}
+ */
+function dechunk(body){
+    const chunks = [];
+    let offset = 0, length = 0;
+    for(;;){
+        const eol = indexOfBytes(body, CRLF, offset);
+        const size = eol === -1 ? 0 : parseInt(decoder.decode(body.subarray(offset, eol)), 16);
+        if(!size) break;
+        chunks.push(body.subarray(eol + 2, eol + 2 + size));
+        length += size;
+        offset = eol + 4 + size
+    }
+    const result = new Uint8Array(length);
+    chunks.reduce((at, chunk) => (result.set(chunk, at), at + chunk.length), 0);
+    return result
+}
+
+/**
+ * HTTP and WebSocket over a Unix domain socket, for clients sharing the host with a proxy listening on a socket file.
+ * Every request opens its own connection.
+ * @param {object} options
+ * @param {string} options.path Socket file
+ * @param {string} [options.pathPrefix] Prepended to `/api/1.0` and `/UtopiaWSS`
+ * @param {string} [options.host] `Host` header, default `localhost`
+ * @return {Transport}
+ */
+
+export function createUnixSocketTransport({ path, pathPrefix = '', host = 'localhost' }){
+    const prefix = pathPrefix.replace(/\/+$/, '');
+    return {
+        async request(payload, { signal } = {}){
+            const conn = await Deno.connect({ transport: 'unix', path });
+            const abort = () => conn.close();
+            signal?.addEventListener('abort', abort);
+            try{
+                const body = encoder.encode(JSON.stringify(payload));
+                await writeAll(conn, encoder.encode([
+                    `POST ${prefix}/api/1.0 HTTP/1.1`,
+                    `Host: ${host}`,
+                    'Content-Type: application/json',
+                    `Content-Length: ${body.length}`,
+                    'Connection: close',
+                    '', '',
+                ].join('\r\n')));
+                await writeAll(conn, body);
+                const response = await readAll(conn);
+                if(signal?.aborted) throw createAbortError();
+                const split = indexOfBytes(response, HEADER_END);
+                const [ statusLine, ...headerLines ] = decoder.decode(response.subarray(0, split)).split('\r\n');
+                const chunked = headerLines.some(line => /^transfer-encoding:\s*chunked/i.test(line));
+                const raw = response.subarray(split + 4);
+                return { status: Number(statusLine.split(' ')[1]), body: decoder.decode(chunked ? dechunk(raw) : raw) }
+            } catch(e){
+                if(signal?.aborted) throw createAbortError();
+                throw e
+            } finally {
+                signal?.removeEventListener('abort', abort);
+                try{ conn.close() } catch(e){}
+            }
+        },
+        async connect({ token }){
+            const conn = await Deno.connect({ transport: 'unix', path });
+            const bufReader = new BufReader(conn);
+            const bufWriter = new BufWriter(conn);
+            try{
+                await handshake(new URL(`ws://${host}${prefix}/UtopiaWSS?token=${token}`), new Headers, bufReader, bufWriter)
+            } catch(e){
+                conn.close();
+                throw e
+            }
+            return createWebSocket({ conn, bufReader, bufWriter, mask: createMask() })
+        },
+    }
+}
+
+/**
+ * In-process transport for tests: calls `handle` instead of a client
+ * @param {(method: string, params: object) => any} handle Returns the API `result`, throwing makes it an API `error`
+ * @return {Transport & {emit(data: object): void, close(): void}}
+ */
+
+export function createMemoryTransport(handle){
+    const sockets = new Set;
+    return {
+        async request({ method, params }, { signal } = {}){
+            if(signal?.aborted) throw createAbortError();
+            try{
+                // a handler that never settles still has to give way to the deadline
+                const result = await raceAbort(Promise.resolve().then(() => handle(method, params || {})), signal);
+                return { status: 200, body: JSON.stringify({ result }) }
+            } catch(e){
+                if(signal?.aborted) throw createAbortError();
+                return { status: 200, body: JSON.stringify({ error: e.message }) }
+            }
+        },
+        async connect(){
+            const stream = createEventStream('memory socket', { size: Infinity });
+            const frames = stream.subscribe();
+            const socket = {
+                [Symbol.asyncIterator]: () => frames,
+                async close(code = 1000, reason = 'closed'){
+                    sockets.delete(socket);
+                    stream.push({ code, reason });
+                    stream.end()
+                },
+            };
+            socket.push = frame => stream.push(frame);
+            sockets.add(socket);
+            return socket
+        },
+        /**
+         * Sends a WebSocket event to every connected client
+         * @param {object} data Event, e.g. `{ type: 'newInstantMessage', data: { ... } }`
+         */
+        emit(data){
+            for(const socket of sockets) socket.push(JSON.stringify(data))
+        },
+        /** Closes every connection as if the client went down */
+        close(){
+            for(const socket of sockets) socket.close(1006, 'connection lost')
+        },
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Request params validation. Schemas are keyed by API method and describe
+ * params the way they are sent to the API.
+ */
+
+import { InvalidArgumentError } from './errors.js';
+import { Crypton } from './crypton.js';
+
+/** @typedef {(value: any) => string|undefined} Rule Returns a problem description for invalid values */
+
+const isEmpty = value => value === undefined || value === null || value === "";
+
+/** Marks param as mandatory. Other rules skip empty values. */
+const required = () => {};
+
+const pattern = (regexp, description) => value => regexp.test(String(value)) ? undefined : `must be ${description}`;
+
+const maxLength = max => value => String(value).length > max ? `must be at most ${max} characters long` : undefined;
+
+const oneOf = (...allowed) => value => allowed.map(String).includes(String(value)) ? undefined : `must be one of ${allowed.join(', ')}`;
+
+const pk = pattern(/^[0-9A-F]{64}$/i, 'a public key (64 hex characters)');
+
+const amount = value => {
+    // numbers like 1e-7 are amounts too, only their String() isn't
+    const str = typeof value === 'number' ? Crypton.tryFrom(value)?.toString() ?? String(value) : String(value);
+    if(!/^\d+(\.\d{1,9})?$/.test(str)) return 'must be a positive number with up to 9 decimal places';
+    if(/^[0.]+$/.test(str)) return 'must be greater than 0'
+};
+
+const color = pattern(/^#[0-9A-F]{6}$/i, 'a color in #RRGGBB format');
+
+const date = pattern(/^\d{4}-\d{2}-\d{2}$/, 'a date in yyyy-mm-dd format');
+
+const port = value => Number.isInteger(Number(value)) && value > 0 && value < 65536 ? undefined : 'must be a port number';
+
+const unsName = pattern(/^[A-Z0-9.-]{1,32}$/i, 'up to 32 characters: A-Z, 0-9, dash and period');
+
+const comment = maxLength(148);
+const folderType = oneOf(1, 2, 4, 8, 16);
+const coder = oneOf('BASE64', 'HEX');
+const imageFormat = oneOf('PNG', 'JPG');
+const channelParam = { channelid: [ required ] };
+const invoiceParam = { invoiceid: [ required ] };
+
+/** @type {Object<string, Object<string, Rule[]>>} */
+export const schemas = {
+    setWebSocketState: { port: [ port ] },
+    ucodeEncode: { hex_code: [ required, pk ], coder: [ coder ], format: [ imageFormat ] },
+    ucodeDecode: { base64_image: [ required ] },
+    setProfileStatus: {
+        status: [ required, oneOf('Available', 'Away', 'DoNotDisturb', 'Invisible', 'Offline') ],
+        mood: [ maxLength(130) ],
+    },
+    getContactsByGroup: { groupName: [ required ] },
+    renameContactGroup: { oldGroupName: [ required ], newGroupName: [ required, maxLength(32) ] },
+    deleteContactGroup: { groupName: [ required ] },
+    deleteContact: { pk: [ required, pk ] },
+    getContactAvatar: { pk: [ required, pk ], coder: [ coder ], format: [ imageFormat ] },
+    setContactGroup: { contactPublicKey: [ required, pk ], groupName: [ required, maxLength(32) ] },
+    setContactNick: { contactPublicKey: [ required, pk ], newNick: [ maxLength(32) ] },
+    sendInstantMessage: { to: [ required ], text: [ required ] },
+    sendFileByMessage: { to: [ required ], fileId: [ required ] },
+    sendInstantQuote: { to: [ required ], text: [ required ], id_message: [ required ] },
+    sendInstantSticker: { to: [ required ], collection: [ required ], name: [ required ] },
+    sendInstantBuzz: { to: [ required ] },
+    sendInstantInvitation: { to: [ required ], channelid: [ required ] },
+    removeInstantMessages: { hex_contact_public_key: [ required, pk ] },
+    getContactMessages: { pk: [ required, pk ] },
+    sendAuthorizationRequest: { pk: [ required, pk ] },
+    acceptAuthorizationRequest: { pk: [ required, pk ] },
+    rejectAuthorizationRequest: { pk: [ required, pk ] },
+    getStickerNamesByCollection: { collection_name: [ required ] },
+    getImageSticker: { collection_name: [ required ], sticker_name: [ required ], coder: [ coder ] },
+    sendEmailMessage: { to: [ required ] },
+    getEmailFolder: { folderType: [ folderType ] },
+    getEmails: { folderType: [ folderType ] },
+    getEmailById: { id: [ required ] },
+    deleteEmail: { id: [ required ] },
+    sendReplyEmailMessage: { id: [ required ] },
+    sendForwardEmailMessage: { id: [ required ], to: [ required ] },
+    sendPayment: { to: [ required ], amount: [ required, amount ], comment: [ comment ] },
+    getFinanceHistory: { fromAmount: [ amount ], toAmount: [ amount ] },
+    getTransactionIdByReferenceNumber: { referenceNumber: [ required ] },
+    addCard: {
+        name: [ required, maxLength(32) ],
+        color: [ color ],
+        preorderNumberInCard: [ pattern(/^[0-9A-F]{1,4}$/i, 'up to 4 characters: A-F and 0-9') ],
+    },
+    deleteCard: { cardid: [ required ] },
+    createVoucher: { amount: [ required, amount ] },
+    useVoucher: { voucherid: [ required ] },
+    deleteVoucher: { voucherid: [ required ] },
+    getInvoices: { pk: [ pk ] },
+    getInvoiceByReferenceNumber: { referenceNumber: [ required ] },
+    sendInvoice: { cardid: [ required ], amount: [ required, amount ], comment: [ comment ] },
+    acceptInvoice: invoiceParam,
+    declineInvoice: invoiceParam,
+    cancelInvoice: invoiceParam,
+    requestUnsTransfer: { name: [ required, unsName ], hexNewOwnerPk: [ required ] },
+    acceptUnsTransfer: { requestid: [ required ] },
+    declineUnsTransfer: { requestid: [ required ] },
+    sendChannelMessage: { channelid: [ required ], message: [ required ] },
+    sendChannelPicture: { channelid: [ required ], base64_image: [ required ] },
+    joinChannel: { ident: [ required ] },
+    leaveChannel: channelParam,
+    getChannelMessages: channelParam,
+    getChannelInfo: channelParam,
+    getChannelAvatar: { channelid: [ required ], coder: [ coder ], format: [ imageFormat ] },
+    getChannelModerators: channelParam,
+    getChannelContacts: channelParam,
+    getChannelModeratorRight: { channelid: [ required ], moderator: [ required, pk ] },
+    createChannel: { channel_name: [ required ] },
+    modifyChannel: channelParam,
+    deleteChannel: channelParam,
+    getChannelBannedConacts: channelParam,
+    applyChannelBannedConacts: channelParam,
+    unsCreateRecordRequest: { nick: [ required, unsName ], valid: [ date ] },
+    unsModifyRecordRequest: { nick: [ required, unsName ], valid: [ date ] },
+    unsDeleteRecordRequest: { nick: [ required ] },
+    summaryUnsRegisteredNames: { from_date: [ date ], to_date: [ date ] },
+    getWhoIsInfo: { owner: [ required ] },
+    createProxyMapping: {
+        srcHost: [ required ],
+        srcPort: [ required, port ],
+        dstHost: [ required ],
+        dstPort: [ required, port ],
+    },
+    enableProxyMapping: { mappingId: [ required ] },
+    disableProxyMapping: { mappingId: [ required ] },
+    removeProxyMapping: { mappingId: [ required ] },
+    abortTransfers: { transferId: [ required ] },
+    hideTransfers: { transferId: [ required ] },
+    getFile: { fileId: [ required ] },
+    deleteFile: { fileId: [ required ] },
+    uploadFile: { fileDataBase64: [ required ], fileName: [ required ] },
+};
+
+/**
+ * Checks request params against the method schema
+ * @param {string} method API method
+ * @param {object} params Request params
+ * @throws {InvalidArgumentError}
+ */
+
+export function validateParams(method, params){
+    const schema = schemas[method];
+    if(!schema) return;
+    for(const [ name, rules ] of Object.entries(schema)){
+        const value = params?.[name];
+        let problem;
+        if(isEmpty(value)){
+            if(rules.includes(required)) problem = 'is required';
+        } else {
+            for(const rule of rules) if(problem = rule(value)) break
+        }
+        if(problem) throw new InvalidArgumentError(`${method}: ${name} ${problem}`, { method, params })
+    }
+}
+
+/**
+ * Whether the argument is an options object rather than a positional value
+ * @param {any} value
+ */
+
+export function isOptions(value){
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+}
+
+/** Options of `sendRequest` that options objects of API methods may carry next to the params */
+const requestOptionKeys = [ 'signal', 'timeout', 'priority', 'retry', 'dedupKey', 'confirm', 'cache' ];
+
+/**
+ * Picks request options out of an options object, e.g. `{ to, amount, signal }`
+ * @param {any} value First argument of an API method
+ * @return {object|undefined} Undefined for positional arguments
+ */
+
+export function requestOptions(value){
+    if(!isOptions(value)) return;
+    const options = {};
+    for(const key of requestOptionKeys) if(value[key] !== undefined) options[key] = value[key];
+    return options
+}
+
+/**
+ * API flags are "true"/"false" strings: booleans are converted, and the default is used only when the value is missing
+ * @param {string|boolean} [value]
+ * @param {string} fallback
+ */
+
+export function toFlag(value, fallback){
+    if(value === undefined) return fallback;
+    return typeof value === 'boolean' ? String(value) : value
+}
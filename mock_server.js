@@ -0,0 +1,646 @@
+/*!
+ * In-process fake of Utopia client API for offline testing
+ */
+
+import { serve } from 'https://deno.land/std/http/server.ts';
+import { acceptWebSocket, acceptable } from 'https://deno.land/std/ws/mod.ts';
+
+const { readAll } = Deno;
+
+const NANOS = 1000000000n;
+
+function toNanos(amount){
+    const [ int, frac = '' ] = String(amount).split('.');
+    return BigInt(int || 0) * NANOS + BigInt(frac.padEnd(9, '0').slice(0, 9))
+}
+
+function fromNanos(nanos){
+    return Number(nanos) / 1e9
+}
+
+function randomHex(length){
+    const bytes = crypto.getRandomValues(new Uint8Array(Math.ceil(length / 2)));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').slice(0, length).toUpperCase()
+}
+
+function now(){
+    return new Date().toISOString()
+}
+
+class MockError extends Error{}
+
+/**
+ * @typedef {object} Failure
+ * @property {number} [status] Respond with this HTTP status
+ * @property {string} [error] Respond with this API error
+ * @property {number} [delay] Wait this many milliseconds before responding
+ * @property {boolean} [drop] Close the connection without responding
+ * @property {number} [times] How many requests fail, default 1. `Infinity` for every request
+ */
+
+/**
+ * Fake Utopia client: serves `/api/1.0` and `/UtopiaWSS` on localhost and keeps
+ * contacts, channels, balance, cards, vouchers and invoices in memory.
+ * @example
+ * const server = new MockUtopiaServer({ token, balance: "100" });
+ * const { apiPort, wsPort } = await server.start();
+ * const api = new Utopia(token, true, '127.0.0.1', apiPort, wsPort);
+ * server.receiveMessage(pk, "/help");
+ */
+
+export class MockUtopiaServer{
+    #token
+    #apiPort
+    #wsPort
+    #apiServer
+    #wsServer
+    #sockets = new Set
+    #failures = {}
+    #handlers = {}
+    #nextId = 1
+
+    /** Received requests: `{ method, params }`, newest last */
+    requests = []
+
+    /** In-memory model, free to be changed by tests */
+    state = {
+        ownContact: { pk: randomHex(64), nick: 'mock', status: 0, moodMessage: '' },
+        status: { status: 'Available', mood: '' },
+        /** @type {Map<string, object>} pk -> contact */
+        contacts: new Map,
+        /** @type {Map<string, object[]>} pk -> messages */
+        contactMessages: new Map,
+        /** @type {Map<string, object>} channelid -> channel */
+        channels: new Map,
+        /** @type {Map<string, object[]>} channelid -> messages */
+        channelMessages: new Map,
+        /** Main balance in nanocryptons */
+        balance: 0n,
+        /** @type {Map<string, object>} cardid -> card, balance in nanocryptons */
+        cards: new Map,
+        /** @type {Map<string, object>} voucherid -> voucher */
+        vouchers: new Map,
+        /** @type {Map<string, object>} invoice id -> invoice */
+        invoices: new Map,
+        /** Finance history, newest first */
+        history: [],
+        /** @type {object[]} */
+        emails: [],
+        /** @type {Map<string, object>} fileId -> { name, content } */
+        files: new Map,
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.token] API token clients must use, any token is accepted when empty
+     * @param {number} [options.apiPort] API port, random when empty
+     * @param {number} [options.wsPort] WebSocket port, random when empty
+     * @param {string} [options.balance] Initial balance
+     */
+
+    constructor({ token, apiPort = 0, wsPort = 0, balance = '0' } = {}){
+        this.#token = token?.toUpperCase();
+        this.#apiPort = apiPort;
+        this.#wsPort = wsPort;
+        this.state.balance = toNanos(balance)
+    }
+
+    /**
+     * Starts listening
+     * @return {Promise<{apiPort: number, wsPort: number}>}
+     */
+
+    async start(){
+        this.#apiServer = serve({ hostname: '127.0.0.1', port: this.#apiPort });
+        this.#wsServer = serve({ hostname: '127.0.0.1', port: this.#wsPort });
+        this.#apiPort = this.#apiServer.listener.addr.port;
+        this.#wsPort = this.#wsServer.listener.addr.port;
+        this.#serveApi(this.#apiServer);
+        this.#serveWs(this.#wsServer);
+        return { apiPort: this.#apiPort, wsPort: this.#wsPort }
+    }
+
+    /** Stops listening and drops WebSocket clients */
+    async stop(){
+        this.disconnectClients();
+        this.#apiServer?.close();
+        this.#wsServer?.close()
+    }
+
+    /**
+     * Replaces or adds an API method
+     * @param {string} method API method
+     * @param {(params: object, server: MockUtopiaServer) => any} handler Returns `result`, throws to respond with an error
+     */
+
+    setHandler(method, handler){
+        this.#handlers[method] = handler
+    }
+
+    /**
+     * Makes the next requests to a method fail
+     * @param {string} method API method, `*` for any method
+     * @param {Failure} failure
+     */
+
+    fail(method, failure){
+        (this.#failures[method] = this.#failures[method] || []).push({ times: 1, ...failure })
+    }
+
+    /**
+     * Sends an event to every WebSocket client
+     * @param {string} type Event type
+     * @param {object} data Event data
+     */
+
+    emit(type, data){
+        const frame = JSON.stringify({ type, data });
+        for(const socket of this.#sockets) socket.send(frame).catch(() => this.#sockets.delete(socket))
+    }
+
+    /** Closes all WebSocket connections, clients are free to reconnect */
+    disconnectClients(){
+        for(const socket of this.#sockets) socket.close(1001, 'mock disconnect').catch(() => {});
+        this.#sockets.clear()
+    }
+
+    /**
+     * Adds a contact
+     * @param {object} contact Contact fields, `pk` is random when empty
+     * @return {object} The contact
+     */
+
+    addContact(contact = {}){
+        const pk = contact.pk || randomHex(64);
+        const record = { pk, nick: pk.slice(0, 8), group: '', status: 0, authorizationStatus: 0, isFriend: true, moodMessage: '', ...contact };
+        this.state.contacts.set(pk, record);
+        return record
+    }
+
+    /**
+     * Adds a channel
+     * @param {object} channel Channel fields, `channelid` is random when empty
+     * @return {object} The channel
+     */
+
+    addChannel(channel = {}){
+        const channelid = channel.channelid || randomHex(32);
+        const record = {
+            channelid,
+            name: channelid,
+            title: channelid,
+            description: '',
+            readonly: false,
+            private: false,
+            type: 'public',
+            joined: false,
+            moderators: [],
+            ...channel,
+        };
+        this.state.channels.set(channelid, record);
+        return record
+    }
+
+    /**
+     * Simulates an incoming instant message
+     * @param {string} pk Sender
+     * @param {string} text
+     * @return {object} The message
+     */
+
+    receiveMessage(pk, text){
+        const message = this.#storeInstantMessage(pk, text, true);
+        this.emit('newInstantMessage', message);
+        return message
+    }
+
+    /**
+     * Simulates a message in a channel
+     * @param {string} channelid
+     * @param {string} pk Author
+     * @param {string} text
+     * @return {object} The message
+     */
+
+    receiveChannelMessage(channelid, pk, text){
+        const message = this.#storeChannelMessage(channelid, pk, text, true);
+        this.emit('newChannelMessage', message);
+        return message
+    }
+
+    /**
+     * Simulates an incoming transfer
+     * @param {object} transfer
+     * @param {string} transfer.pk Sender
+     * @param {string} transfer.amount
+     * @param {string} [transfer.comment]
+     * @param {string} [transfer.cardId] Receiving card, main balance when empty
+     * @return {object} The history entry
+     */
+
+    receivePayment({ pk, amount, comment = '', cardId = '' }){
+        const nanos = toNanos(amount);
+        if(cardId) this.#card(cardId).balance += nanos;
+        else this.state.balance += nanos;
+        const entry = this.#addHistory({ type: 'INCOMING_TRANSFERS', direction: 0, pk, amount: nanos, comment, cardId });
+        this.emit('newPaymentTransfer', entry);
+        return entry
+    }
+
+    /**
+     * Simulates the counterparty handling an invoice sent by us
+     * @param {string} id Invoice ID
+     * @param {'AUTHORIZED'|'DECLINED'|'EXPIRED'} status
+     */
+
+    resolveInvoice(id, status = 'AUTHORIZED'){
+        const invoice = this.state.invoices.get(id);
+        if(!invoice) throw new Error(`invoice ${id} does not exist`);
+        invoice.status = status;
+        if(status === 'AUTHORIZED'){
+            const nanos = toNanos(invoice.amount);
+            this.state.balance += nanos;
+            const entry = this.#addHistory({ type: 'INCOMING_TRANSFERS', direction: 0, pk: invoice.pk, amount: nanos, comment: invoice.comment, invoiceId: id });
+            this.emit('newPaymentTransfer', entry)
+        }
+        return invoice
+    }
+
+    /**
+     * Simulates an incoming uMail
+     * @param {string} pk Sender
+     * @param {string} subject
+     * @param {string} body
+     */
+
+    receiveEmail(pk, subject, body){
+        const email = { id: this.#nextId++, folder: 1, sender: pk, receivers: [ this.state.ownContact.pk ], subject, body, dateTime: now() };
+        this.state.emails.push(email);
+        this.emit('newEmail', email);
+        return email
+    }
+
+    // #region HTTP
+
+    async #serveApi(server){
+        for await (const req of server){
+            this.#handleApi(req).catch(() => {})
+        }
+    }
+
+    async #serveWs(server){
+        for await (const req of server){
+            if(!acceptable(req) || !this.#tokenValid(new URL(req.url, 'http://localhost').searchParams.get('token'))){
+                req.respond({ status: 401 }).catch(() => {});
+                continue
+            }
+            acceptWebSocket({ conn: req.conn, bufReader: req.r, bufWriter: req.w, headers: req.headers }).then(async socket => {
+                this.#sockets.add(socket);
+                try{
+                    for await (const _ of socket);
+                } finally {
+                    this.#sockets.delete(socket)
+                }
+            }).catch(() => {})
+        }
+    }
+
+    #tokenValid(token){
+        return !this.#token || token?.toUpperCase() === this.#token
+    }
+
+    #takeFailure(method){
+        for(const key of [ method, '*' ]){
+            const queue = this.#failures[key];
+            if(!queue?.length) continue;
+            const failure = queue[0];
+            if(--failure.times <= 0) queue.shift();
+            return failure
+        }
+    }
+
+    async #handleApi(req){
+        const respond = (status, body) => req.respond({
+            status,
+            headers: new Headers({ 'Content-Type': 'application/json' }),
+            body: body === undefined ? '' : JSON.stringify(body),
+        });
+        let request;
+        try{
+            request = JSON.parse(new TextDecoder().decode(await readAll(req.body)))
+        } catch(e){
+            return respond(400, { error: 'malformed request' })
+        }
+        const method = request.method || 'getSystemInfo';
+        const params = request.params || {};
+        this.requests.push({ method, params });
+        if(!this.#tokenValid(request.token)) return respond(200, { error: 'Invalid token' });
+
+        const failure = this.#takeFailure(method);
+        if(failure?.delay) await new Promise(resolve => setTimeout(resolve, failure.delay));
+        if(failure?.drop) return req.conn.close();
+        if(failure?.status) return respond(failure.status);
+        if(failure?.error) return respond(200, { error: failure.error, resultExtraInfo: {} });
+
+        const handler = this.#handlers[method] || this.#methods[method];
+        if(!handler) return respond(200, { error: `Unknown method ${method}` });
+        try{
+            const result = await handler.call(this, params, this);
+            return respond(200, { result, resultExtraInfo: {} })
+        } catch(e){
+            if(e instanceof MockError) return respond(200, { error: e.message, resultExtraInfo: {} });
+            return respond(500, { error: e.message })
+        }
+    }
+
+    // #endregion
+
+    // #region Model
+
+    #contact(pk){
+        const contact = this.state.contacts.get(pk) || [ ...this.state.contacts.values() ].find(c => c.nick === pk);
+        if(!contact) throw new MockError(`contact ${pk} not found`);
+        return contact
+    }
+
+    #channel(channelid){
+        const channel = this.state.channels.get(channelid);
+        if(!channel) throw new MockError(`channel ${channelid} not found`);
+        return channel
+    }
+
+    #card(cardid){
+        const card = this.state.cards.get(cardid);
+        if(!card) throw new MockError(`card ${cardid} not found`);
+        return card
+    }
+
+    #storeInstantMessage(pk, text, isIncoming){
+        const contact = this.state.contacts.get(pk);
+        const message = {
+            id: this.#nextId++,
+            dateTime: now(),
+            text,
+            messageType: 1,
+            isIncoming,
+            nick: isIncoming ? contact?.nick || '' : this.state.ownContact.nick,
+            pk,
+        };
+        if(!this.state.contactMessages.has(pk)) this.state.contactMessages.set(pk, []);
+        this.state.contactMessages.get(pk).push(message);
+        return message
+    }
+
+    #storeChannelMessage(channelid, pk, text, isIncoming){
+        const channel = this.#channel(channelid);
+        const message = {
+            id: this.#nextId++,
+            channel: channel.title,
+            channelid,
+            dateTime: now(),
+            text,
+            messageType: 1,
+            isIncoming,
+            nick: this.state.contacts.get(pk)?.nick || '',
+            pk,
+            hashedPk: pk,
+        };
+        if(!this.state.channelMessages.has(channelid)) this.state.channelMessages.set(channelid, []);
+        this.state.channelMessages.get(channelid).push(message);
+        return message
+    }
+
+    #addHistory({ amount, ...fields }){
+        const entry = {
+            id: this.#nextId++,
+            referenceNumber: randomHex(32),
+            batchId: randomHex(16),
+            created: now(),
+            status: 0,
+            fee: 0,
+            comment: '',
+            ...fields,
+            amount: fromNanos(amount),
+        };
+        this.state.history.unshift(entry);
+        return entry
+    }
+
+    #debit(amount, cardid){
+        const nanos = toNanos(amount);
+        if(nanos <= 0n) throw new MockError('amount must be greater than 0');
+        const source = cardid ? this.#card(cardid) : this.state;
+        if(source.balance < nanos) throw new MockError('insufficient funds');
+        source.balance -= nanos;
+        return nanos
+    }
+
+    #invoiceView(invoice){
+        return { ...invoice }
+    }
+
+    #methods = {
+        getSystemInfo: () => ({ build_number: 'mock', networkEnabled: true, numberOfConnections: 1, uptime: '0' }),
+        getNetworkConnections: () => [ { address: '127.0.0.1', port: 0, direction: 'outgoing' } ],
+        getWebSocketState: () => this.#wsPort,
+        setWebSocketState: () => true,
+        getProfileStatus: () => this.state.status,
+        setProfileStatus: ({ status, mood }) => {
+            this.state.status = { status, mood: mood || '' };
+            return true
+        },
+        getOwnContact: () => this.state.ownContact,
+        getContacts: ({ filter }) => {
+            if(filter === '#owner#') return [ this.state.ownContact ];
+            return [ ...this.state.contacts.values() ].filter(c => !filter || c.pk.includes(filter) || c.nick.includes(filter))
+        },
+        getContactGroups: () => [ ...new Set([ ...this.state.contacts.values() ].map(c => c.group).filter(Boolean)) ],
+        getContactsByGroup: ({ groupName }) => [ ...this.state.contacts.values() ].filter(c => c.group === groupName),
+        setContactGroup: ({ contactPublicKey, groupName }) => {
+            this.#contact(contactPublicKey).group = groupName;
+            return true
+        },
+        setContactNick: ({ contactPublicKey, newNick }) => {
+            const contact = this.#contact(contactPublicKey);
+            contact.nick = newNick || contact.pk;
+            return true
+        },
+        deleteContact: ({ pk }) => {
+            this.#contact(pk);
+            return this.state.contacts.delete(pk)
+        },
+        sendInstantMessage: ({ to, text }) => {
+            const message = this.#storeInstantMessage(this.#contact(to).pk, text, false);
+            this.emit('newOutgoingInstantMessage', message);
+            return message.id
+        },
+        sendInstantQuote: ({ to, text }) => this.#methods.sendInstantMessage({ to, text }),
+        getContactMessages: ({ pk }) => this.state.contactMessages.get(pk) || [],
+        removeInstantMessages: ({ hex_contact_public_key }) => this.state.contactMessages.delete(hex_contact_public_key),
+        getChannels: ({ filter }) => [ ...this.state.channels.values() ].filter(c => !filter || c.title.includes(filter)),
+        getChannelInfo: ({ channelid }) => this.#channel(channelid),
+        getChannelModerators: ({ channelid }) => this.#channel(channelid).moderators,
+        getChannelContacts: ({ channelid }) => this.#channel(channelid).contacts || [],
+        joinChannel: ({ ident }) => {
+            this.#channel(ident).joined = true;
+            this.emit('channelJoinChanged', { channelid: ident, joined: true });
+            return true
+        },
+        leaveChannel: ({ channelid }) => {
+            this.#channel(channelid).joined = false;
+            this.emit('channelJoinChanged', { channelid, joined: false });
+            return true
+        },
+        sendChannelMessage: ({ channelid, message }) => {
+            const record = this.#storeChannelMessage(channelid, this.state.ownContact.pk, message, false);
+            this.emit('newOutgoingChannelMessage', record);
+            return record.id
+        },
+        getChannelMessages: ({ channelid }) => this.state.channelMessages.get(channelid) || [],
+        createChannel: ({ channel_name, description, read_only, password }) => this.addChannel({
+            title: channel_name,
+            name: channel_name,
+            description,
+            readonly: read_only === 'true',
+            private: !!password,
+            joined: true,
+            moderators: [ this.state.ownContact.pk ],
+        }).channelid,
+        modifyChannel: ({ channelid, ...changes }) => {
+            const channel = this.#channel(channelid);
+            for(const [ key, value ] of Object.entries(changes)) if(value !== '') channel[key] = value;
+            return true
+        },
+        deleteChannel: ({ channelid }) => {
+            this.#channel(channelid);
+            return this.state.channels.delete(channelid)
+        },
+        getBalance: () => fromNanos(this.state.balance),
+        getFinanceSystemInformation: () => ({ maxCardsCount: 10, minPaymentAmount: 0.000000001 }),
+        sendPayment: ({ cardid, to, amount, comment }) => {
+            const nanos = this.#debit(amount, cardid);
+            const target = this.state.cards.get(to);
+            if(target) target.balance += nanos;
+            return this.#addHistory({ type: 'OUTGOING_TRANSFERS', direction: 1, pk: to, amount: nanos, comment, cardId: cardid }).referenceNumber
+        },
+        getFinanceHistory: ({ filters, referenceNumber, fromAmount, toAmount }) => {
+            const wanted = (filters || '').split(',').filter(f => f && f !== 'ALL_TRANSACTIONS');
+            let history = this.state.history;
+            if(referenceNumber){
+                const start = history.findIndex(e => e.referenceNumber === referenceNumber);
+                history = start === -1 ? [] : history.slice(start)
+            }
+            return history.filter(e =>
+                (!wanted.length || wanted.includes(e.type) || wanted.includes('ALL_TRANSFERS') && e.type.endsWith('_TRANSFERS'))
+                && (!fromAmount || e.amount >= Number(fromAmount))
+                && (!toAmount || e.amount <= Number(toAmount))
+            )
+        },
+        getTransactionIdByReferenceNumber: ({ referenceNumber }) => {
+            const entry = this.state.history.find(e => e.referenceNumber === referenceNumber);
+            if(!entry) throw new MockError('transaction not found');
+            return entry.batchId
+        },
+        getCards: () => [ ...this.state.cards.values() ].map(card => ({ ...card, balance: fromNanos(card.balance) })),
+        addCard: ({ name, color, preorderNumberInCard }) => {
+            const cardid = (preorderNumberInCard || '') + randomHex(16 - (preorderNumberInCard || '').length);
+            this.state.cards.set(cardid, { cardid, name, color: color || '#FFFFFF', balance: 0n, created: now() });
+            return cardid
+        },
+        deleteCard: ({ cardid }) => {
+            this.state.balance += this.#card(cardid).balance;
+            this.state.cards.delete(cardid);
+            return cardid
+        },
+        getVouchers: () => [ ...this.state.vouchers.values() ],
+        createVoucher: ({ amount }) => {
+            const nanos = this.#debit(amount);
+            const id = randomHex(24);
+            this.state.vouchers.set(id, { id, amount: fromNanos(nanos), created: now() });
+            this.#addHistory({ type: 'CREATED_VOUCHERS', direction: 1, amount: nanos });
+            return id
+        },
+        useVoucher: ({ voucherid }) => {
+            const voucher = this.state.vouchers.get(voucherid);
+            if(!voucher) throw new MockError('voucher not found');
+            this.state.vouchers.delete(voucherid);
+            const nanos = toNanos(voucher.amount);
+            this.state.balance += nanos;
+            this.#addHistory({ type: 'ACTIVATED_VOUCHERS', direction: 0, amount: nanos });
+            return voucherid
+        },
+        deleteVoucher: ({ voucherid }) => this.#methods.useVoucher({ voucherid }),
+        sendInvoice: ({ cardid, amount, comment }) => {
+            const id = randomHex(32);
+            this.state.invoices.set(id, {
+                id,
+                referenceNumber: randomHex(32),
+                cardId: cardid,
+                pk: '',
+                amount: Number(amount),
+                comment: comment || '',
+                created: now(),
+                direction: 'OUTGOING',
+                status: 'AWAITING',
+            });
+            return this.state.invoices.get(id).referenceNumber
+        },
+        getInvoices: ({ cardId, invoiceId, pk, status, referenceNumber }) => [ ...this.state.invoices.values() ].filter(i =>
+            (!cardId || i.cardId === cardId)
+            && (!invoiceId || i.id === invoiceId)
+            && (!pk || i.pk === pk)
+            && (!status || i.status === status)
+            && (!referenceNumber || i.referenceNumber === referenceNumber)
+        ).map(i => this.#invoiceView(i)),
+        getInvoiceByReferenceNumber: ({ referenceNumber }) => {
+            const invoice = [ ...this.state.invoices.values() ].find(i => i.referenceNumber === referenceNumber);
+            if(!invoice) throw new MockError('invoice not found');
+            return this.#invoiceView(invoice)
+        },
+        acceptInvoice: ({ invoiceid }) => {
+            const invoice = this.state.invoices.get(invoiceid);
+            if(!invoice || invoice.status !== 'AWAITING') throw new MockError('invoice is not awaiting payment');
+            const nanos = this.#debit(invoice.amount);
+            invoice.status = 'AUTHORIZED';
+            return this.#addHistory({ type: 'OUTGOING_TRANSFERS', direction: 1, pk: invoice.pk, amount: nanos, comment: invoice.comment }).referenceNumber
+        },
+        declineInvoice: ({ invoiceid }) => this.#setInvoiceStatus(invoiceid, 'DECLINED'),
+        cancelInvoice: ({ invoiceid }) => this.#setInvoiceStatus(invoiceid, 'CANCELED'),
+        getEmails: ({ folderType }) => this.state.emails.filter(e => String(e.folder) === String(folderType || 1)),
+        getEmailFolder: ({ folderType }) => this.#methods.getEmails({ folderType }).map(e => e.id),
+        getEmailById: ({ id }) => {
+            const email = this.state.emails.find(e => String(e.id) === String(id));
+            if(!email) throw new MockError('email not found');
+            return email
+        },
+        sendEmailMessage: ({ to, subject, body }) => {
+            this.state.emails.push({ id: this.#nextId++, folder: 4, sender: this.state.ownContact.pk, receivers: [ to ], subject, body, dateTime: now() });
+            return true
+        },
+        sendReplyEmailMessage: ({ id, body }) => {
+            const email = this.#methods.getEmailById({ id });
+            return this.#methods.sendEmailMessage({ to: email.sender, subject: `Re: ${email.subject}`, body })
+        },
+        uploadFile: ({ fileDataBase64, fileName }) => {
+            const id = String(this.#nextId++);
+            this.state.files.set(id, { name: fileName, content: fileDataBase64 });
+            return id
+        },
+        getFile: ({ fileId }) => {
+            const file = this.state.files.get(String(fileId));
+            if(!file) throw new MockError('file not found');
+            return { ...file, size: atob(file.content).length }
+        },
+        deleteFile: ({ fileId }) => this.state.files.delete(String(fileId)),
+    }
+
+    #setInvoiceStatus(id, status){
+        const invoice = this.state.invoices.get(id);
+        if(!invoice) throw new MockError('invoice not found');
+        if(invoice.status !== 'AWAITING') throw new MockError('invoice is not awaiting payment');
+        invoice.status = status;
+        return id
+    }
+
+    // #endregion
+}
@@ -0,0 +1,113 @@
+// Type definitions for utopia-deno pool.js
+
+import Utopia, {
+    ApiResponse,
+    BufferOptions,
+    ConnectionStateEvent,
+    EventMap,
+    EventStream,
+    HandlerOptions,
+    Logger,
+    Middleware,
+    RequestMiddleware,
+    RequestOptions,
+    UtopiaOptions,
+} from './index.js';
+
+export interface NodeConfig {
+    /** Node name, events are tagged with it */
+    name: string;
+    /** Existing client, the connection settings below are ignored then */
+    api?: Utopia;
+    token?: string;
+    host?: string;
+    apiPort?: string | number;
+    wsPort?: string | number;
+    /** Listen for events of this node, default true */
+    websocket?: boolean;
+    /** Client options, see the `Utopia` constructor */
+    options?: UtopiaOptions;
+}
+
+export interface NodeStatus {
+    name: string;
+    healthy: boolean;
+    /** Whether write calls go to this node */
+    write: boolean;
+    /** Requests routed to the node and not settled yet */
+    inFlight: number;
+    /** Last health check round trip in milliseconds */
+    latency?: number;
+    checkedAt?: Date;
+    /** Why the last health check failed */
+    error?: string;
+}
+
+export interface HealthEvent {
+    node: string;
+    healthy: boolean;
+    latency?: number;
+    error?: string;
+}
+
+export interface PoolOptions {
+    /** Name of the node for write calls, default the first one */
+    writeNode?: string;
+    /** How reads are spread, default round-robin */
+    strategy?: 'round-robin' | 'least-loaded';
+    /** Retry failed reads on other healthy nodes, default true */
+    failover?: boolean;
+    /** Milliseconds between health checks, 0 disables them. Default 30000 */
+    healthInterval?: number;
+    /** Health check deadline in milliseconds. Default 5000 */
+    healthTimeout?: number;
+    /** Default queue size and overflow policy of event subscribers */
+    eventBuffer?: BufferOptions;
+    /** Gets handler failures and health changes */
+    logger?: Logger;
+}
+
+export interface PoolRequestOptions extends RequestOptions {
+    /** Send to this node regardless of the method */
+    node?: string;
+}
+
+/** Events of the pool: every client event tagged with its node, and health changes */
+export interface PoolEventMap extends Omit<EventMap, 'connectionState'> {
+    connectionState: ConnectionStateEvent & { node: string };
+    health: HealthEvent;
+}
+
+/** API methods and event streams work on the pool as they are */
+export interface UtopiaPool extends Omit<Utopia,
+    'connection' | 'eventStats' | 'close' | 'sendRequest' | 'withOptions' | 'use' | 'on' | 'once' | 'off' | 'connectionState'> {}
+
+export class UtopiaPool {
+    constructor(nodes: NodeConfig[], options?: PoolOptions);
+
+    connectionState: EventStream<PoolEventMap['connectionState']>;
+    /** Health changes of the nodes */
+    health: EventStream<HealthEvent>;
+
+    /** Status of every node */
+    readonly nodes: NodeStatus[];
+    /** Client of a node, e.g. to call something on a particular node */
+    node(name: string): Utopia;
+    /** Checks every node now, resolves with their status */
+    checkHealth(): Promise<NodeStatus[]>;
+
+    /** Stops health checks, closes every node and finishes event iterators */
+    close(): Promise<void>;
+    sendRequest<T = unknown>(method?: string, params?: Record<string, unknown>, options?: PoolRequestOptions): Promise<ApiResponse<T>>;
+    /** View whose requests use the given options; `stateMembers` are forwarded to the pool */
+    withOptions(options: PoolRequestOptions): this;
+    /** Members that views from `withOptions` forward to the pool */
+    static readonly stateMembers: readonly string[];
+    /** Adds a middleware to every node, returns a function removing it */
+    use(middleware: Middleware | RequestMiddleware): () => void;
+
+    on<K extends keyof PoolEventMap>(event: K, handler: (event: PoolEventMap[K]) => unknown, options?: HandlerOptions<PoolEventMap[K]>): () => void;
+    once<K extends keyof PoolEventMap>(event: K, handler: (event: PoolEventMap[K]) => unknown, options?: HandlerOptions<PoolEventMap[K]>): () => void;
+    once<K extends keyof PoolEventMap>(event: K, options?: HandlerOptions<PoolEventMap[K]>): Promise<PoolEventMap[K]>;
+    off<K extends keyof PoolEventMap>(event: K, handler?: (event: PoolEventMap[K]) => unknown): void;
+}
@@ -0,0 +1,318 @@
+/*!
+ * Pool of Utopia clients with health checks, read routing and merged events
+ */
+
+import Utopia, { eventTypes, createConsoleLogger, isRetryableError, TransportError, InvalidArgumentError } from './index.js';
+import { createEventStream, matchesFilter } from './lib/events.js';
+import { readMethods } from './lib/methods.js';
+
+/**
+ * @typedef {object} NodeConfig
+ * @property {string} name Node name, events are tagged with it
+ * @property {Utopia} [api] Existing client, the connection settings below are ignored then
+ * @property {string} [token]
+ * @property {string} [host]
+ * @property {string|number} [apiPort]
+ * @property {string|number} [wsPort]
+ * @property {boolean} [websocket] Listen for events of this node, default true
+ * @property {object} [options] Client options, see the `Utopia` constructor
+ */
+
+/**
+ * @typedef {object} NodeStatus
+ * @property {string} name
+ * @property {boolean} healthy
+ * @property {boolean} write Whether write calls go to this node
+ * @property {number} inFlight Requests routed to the node and not settled yet
+ * @property {number} [latency] Last health check round trip in milliseconds
+ * @property {Date} [checkedAt]
+ * @property {string} [error] Why the last health check failed
+ */
+
+/**
+ * Routes calls between several Utopia clients. Read-only methods go to a healthy node chosen round-robin or
+ * least-loaded, and move to the next node when one is unreachable. Everything else goes to the write node,
+ * so payments and channel posts always come from the same wallet and identity. Events of all nodes are merged
+ * into the pool's event streams, each event has the `node` field with the node name.
+ * @example
+ * const pool = new UtopiaPool([
+ *     { name: 'main', token, host: '10.0.0.1' },
+ *     { name: 'replica', token: token2, host: '10.0.0.2' },
+ * ], { writeNode: 'main', strategy: 'least-loaded' });
+ * const { result } = await pool.getChannelInfo(channelId);
+ */
+
+export class UtopiaPool{
+    #nodes = []
+    #writeNode
+    #strategy
+    #next = 0
+    #failover
+    #healthInterval
+    #healthTimeout
+    #healthTimer
+    #streams = {}
+    #handlers = {}
+    #closed = false
+    #logger
+
+    /**
+     * Members that work on the pool state rather than send requests. Views from `withOptions` forward them to the pool.
+     * @type {string[]}
+     */
+    static stateMembers = [ 'on', 'once', 'off', 'use', 'close', 'checkHealth', 'nodes', 'node' ];
+
+    /** @type {import('./lib/events.js').EventStream} Health changes: `{ node, healthy, latency?, error? }` */
+    health
+
+    /**
+     * @param {NodeConfig[]} nodes
+     * @param {object} [options]
+     * @param {string} [options.writeNode] Name of the node for write calls, default the first one
+     * @param {'round-robin'|'least-loaded'} [options.strategy] How reads are spread, default round-robin
+     * @param {boolean} [options.failover] Retry failed reads on other healthy nodes, default true
+     * @param {number} [options.healthInterval] Milliseconds between health checks, 0 disables them. Default 30000
+     * @param {number} [options.healthTimeout] Health check deadline in milliseconds. Default 5000
+     * @param {import('./lib/events.js').BufferOptions} [options.eventBuffer] Default queue size and overflow policy of event subscribers
+     * @param {import('./lib/telemetry.js').Logger} [options.logger] Gets handler failures and health changes
+     */
+
+    constructor(nodes, { writeNode, strategy = 'round-robin', failover = true, healthInterval = 30000, healthTimeout = 5000, eventBuffer, logger = createConsoleLogger() } = {}){
+        if(!nodes?.length) throw new InvalidArgumentError('UtopiaPool needs at least one node');
+        if(![ 'round-robin', 'least-loaded' ].includes(strategy)) throw new InvalidArgumentError(`Unknown strategy: ${strategy}`);
+        this.#strategy = strategy;
+        this.#failover = failover;
+        this.#healthInterval = healthInterval;
+        this.#healthTimeout = healthTimeout;
+        this.#logger = logger;
+        for(const ev of [ ...eventTypes, 'health' ]){
+            this[ev] = this.#streams[ev] = createEventStream(ev, eventBuffer, logger)
+        }
+        for(const config of nodes){
+            if(!config.name) throw new InvalidArgumentError('Every pool node needs a name');
+            if(this.#nodes.some(node => node.name === config.name)) throw new InvalidArgumentError(`Duplicate node name: ${config.name}`);
+            const api = config.api || new Utopia(config.token, config.websocket ?? true, config.host, config.apiPort, config.wsPort, config.options);
+            const node = { name: config.name, api, healthy: true, inFlight: 0 };
+            this.#nodes.push(node);
+            api.on('any', event => this.#dispatch(event.with ? event.with({ node: node.name }) : { ...event, node: node.name }));
+            api.on('connectionState', event => this.#emit('connectionState', { ...event, node: node.name }))
+        }
+        this.#writeNode = writeNode === undefined ? this.#nodes[0] : this.#nodes.find(node => node.name === writeNode);
+        if(!this.#writeNode) throw new InvalidArgumentError(`Unknown write node: ${writeNode}`);
+        if(healthInterval > 0) this.#scheduleHealthCheck(0)
+    }
+
+    #scheduleHealthCheck(delay){
+        this.#healthTimer = setTimeout(async () => {
+            await this.checkHealth();
+            if(!this.#closed) this.#scheduleHealthCheck(this.#healthInterval)
+        }, delay)
+    }
+
+    async #checkNode(node){
+        const api = node.api.withOptions({ timeout: this.#healthTimeout, retry: false, priority: 'high' });
+        const started = Date.now();
+        let healthy = true, error;
+        try{
+            await api.getSystemInfo();
+            const { result } = await api.getNetworkConnections();
+            if(Array.isArray(result) && !result.length) throw new Error('no network connections');
+        } catch(e){
+            healthy = false;
+            error = e.message
+        }
+        node.latency = Date.now() - started;
+        node.checkedAt = new Date;
+        node.error = error;
+        this.#setHealth(node, healthy)
+    }
+
+    #setHealth(node, healthy){
+        if(node.healthy === healthy) return;
+        node.healthy = healthy;
+        if(healthy) this.#logger.info(`Pool node ${node.name} is healthy`, { node: node.name, latency: node.latency });
+        else this.#logger.warn(`Pool node ${node.name} is unhealthy: ${node.error}`, { node: node.name, error: node.error });
+        this.#emit('health', { node: node.name, healthy, latency: node.latency, error: node.error })
+    }
+
+    /**
+     * Checks every node now with getSystemInfo and getNetworkConnections
+     * @return {Promise<NodeStatus[]>}
+     */
+
+    async checkHealth(){
+        await Promise.all(this.#nodes.map(node => this.#checkNode(node)));
+        return this.nodes
+    }
+
+    /**
+     * Status of every node
+     * @type {NodeStatus[]}
+     */
+
+    get nodes(){
+        return this.#nodes.map(({ name, healthy, inFlight, latency, checkedAt, error }) => ({
+            name, healthy, inFlight, latency, checkedAt, error, write: this.#writeNode.name === name,
+        }))
+    }
+
+    /**
+     * Client of a node, e.g. to call something on a particular node
+     * @param {string} name
+     * @return {Utopia}
+     */
+
+    node(name){
+        return this.#findNode(name).api
+    }
+
+    #findNode(name){
+        const node = this.#nodes.find(node => node.name === name);
+        if(!node) throw new InvalidArgumentError(`Unknown node: ${name}`);
+        return node
+    }
+
+    #pickReadNode(tried){
+        const candidates = this.#nodes.filter(node => node.healthy && !tried.has(node));
+        if(!candidates.length) return tried.size ? undefined : this.#nodes[this.#next++ % this.#nodes.length];
+        if(this.#strategy === 'least-loaded'){
+            return candidates.reduce((best, node) => node.inFlight < best.inFlight
+                || node.inFlight === best.inFlight && (node.latency ?? Infinity) < (best.latency ?? Infinity) ? node : best)
+        }
+        return candidates[this.#next++ % candidates.length]
+    }
+
+    async #sendTo(node, method, params, options){
+        node.inFlight++;
+        try{
+            return await node.api.sendRequest(method, params, options)
+        } finally {
+            node.inFlight--
+        }
+    }
+
+    /**
+     * Sends a request to the node chosen for the method: reads to a healthy node, writes to the write node.
+     * Takes the `Utopia.sendRequest` options and `node` to pick the node by name.
+     * @param {string} method API method
+     * @param {object} params Request parameters
+     * @param {object} [options] Request options
+     * @param {string} [options.node] Send to this node regardless of the method
+     * @return {Promise<{result: object|number|string, resultExtraInfo: object}>}
+     */
+
+    async sendRequest(method, params, options = {}){
+        method = method || 'getSystemInfo';
+        const { node: name, ...requestOptions } = options;
+        if(name !== undefined) return this.#sendTo(this.#findNode(name), method, params, requestOptions);
+        if(!readMethods.has(method)) return this.#sendTo(this.#writeNode, method, params, requestOptions);
+
+        const tried = new Set;
+        let lastError;
+        for(;;){
+            const node = this.#pickReadNode(tried);
+            if(!node) throw new TransportError(`${method} failed on every healthy node`, { method, params, cause: lastError });
+            tried.add(node);
+            try{
+                return await this.#sendTo(node, method, params, requestOptions)
+            } catch(e){
+                if(!this.#failover || !isRetryableError(e) || requestOptions.signal?.aborted) throw e;
+                lastError = e;
+                node.error = e.message;
+                this.#setHealth(node, false)
+            }
+        }
+    }
+
+    #dispatch(event){
+        this.#emit('any', event);
+        this.#emit(event.type, event);
+        if(event.type.match(/message/i)){
+            this.#emit(event.type.match(/outgoing/i) ? 'outgoingMessage' : 'incomingMessage', event);
+            this.#emit('message', event)
+        }
+    }
+
+    #emit(type, event){
+        this.#streams[type]?.push(event);
+        for(const listener of this.#handlers[type] || []){
+            if(!matchesFilter(event, listener.filter)) continue;
+            if(listener.once) this.#handlers[type].delete(listener);
+            try{
+                Promise.resolve(listener.handler(event)).catch(e => this.#logger.warn(`${type} handler failed: ${e.message}`, { error: e }))
+            } catch(e){
+                this.#logger.warn(`${type} handler failed: ${e.message}`, { error: e })
+            }
+        }
+    }
+
+    /**
+     * Calls handler for every event of the given type from any node, see `Utopia.on`. Filter by node with `{ filter: { node } }`.
+     * @param {string} event Event type
+     * @param {(event: object) => any} handler
+     * @param {object} [options]
+     * @param {import('./lib/events.js').EventFilter} [options.filter]
+     * @return {() => void} Unsubscribes the handler
+     */
+
+    on(event, handler, options = {}){
+        const listener = { handler, filter: options.filter, once: options.once };
+        (this.#handlers[event] = this.#handlers[event] || new Set).add(listener);
+        return () => this.#handlers[event]?.delete(listener)
+    }
+
+    /**
+     * Calls handler for the next matching event only, see `Utopia.once`
+     * @param {string} event Event type
+     * @param {(event: object) => any} [handler]
+     * @param {object} [options]
+     * @return {(() => void)|Promise<object>}
+     */
+
+    once(event, handler, options = {}){
+        if(typeof handler !== 'function') return new Promise(resolve => this.on(event, resolve, { ...handler, once: true }));
+        return this.on(event, handler, { ...options, once: true })
+    }
+
+    /**
+     * Removes a handler added with `on` or `once`. Without a handler removes all handlers of the event.
+     * @param {string} event Event type
+     * @param {(event: object) => any} [handler]
+     */
+
+    off(event, handler){
+        if(!handler){
+            delete this.#handlers[event];
+            return
+        }
+        for(const listener of this.#handlers[event] || []) if(listener.handler === handler) this.#handlers[event].delete(listener)
+    }
+
+    /**
+     * Adds a middleware to every node, see `Utopia.use`
+     * @param {import('./lib/middleware.js').Middleware|Function} middleware
+     * @return {() => void} Removes the middleware from every node
+     */
+
+    use(middleware){
+        const removers = this.#nodes.map(node => node.api.use(middleware));
+        return () => removers.forEach(remove => remove())
+    }
+
+    /**
+     * Stops health checks, closes every node and finishes event iterators
+     */
+
+    async close(){
+        this.#closed = true;
+        clearTimeout(this.#healthTimer);
+        await Promise.all(this.#nodes.map(node => node.api.close()));
+        for(const stream of Object.values(this.#streams)) stream.end()
+    }
+}
+
+// API methods, iterators and `withOptions` only use `sendRequest`, so they work on the pool as they are
+for(const name of Object.getOwnPropertyNames(Utopia.prototype)){
+    if(Object.hasOwn(UtopiaPool.prototype, name) || name === 'eventStats' || name === 'connection') continue;
+    Object.defineProperty(UtopiaPool.prototype, name, Object.getOwnPropertyDescriptor(Utopia.prototype, name))
+}
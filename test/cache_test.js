@@ -0,0 +1,66 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { createCache, ApiError } from '../index.js';
+import { mockTest } from './mock.js';
+
+const sent = (server, method) => server.requests.filter(request => request.method === method).length;
+
+mockTest('reads are served from the cache as copies until refreshed', async ({ server, api }) => {
+    const cache = createCache();
+    api.use(cache);
+    server.addContact({ nick: 'alice' });
+
+    const first = await api.getContacts();
+    first.result[0].nick = 'changed by the caller';
+    assertEquals((await api.getContacts()).result[0].nick, 'alice');
+    await api.getContacts('ali');
+    assertEquals(sent(server, 'getContacts'), 2);
+
+    await api.getContacts({ cache: false });
+    assertEquals(sent(server, 'getContacts'), 3);
+    assertEquals(cache.stats(), { entries: 2, hits: 1, misses: 3 });
+});
+
+mockTest('mutations drop what they change, even when they fail', async ({ server, api }) => {
+    api.use(createCache());
+    const { pk } = server.addContact({ nick: 'alice' });
+    await api.getContacts();
+
+    await api.setContactNick(pk, 'bob');
+    assertEquals((await api.getContacts()).result[0].nick, 'bob');
+
+    server.fail('setContactNick', { error: 'busy' });
+    await assertRejects(() => api.setContactNick(pk, 'carol'), ApiError);
+    await api.getContacts();
+    assertEquals(sent(server, 'getContacts'), 3);
+});
+
+mockTest('payment events drop cached cards', async ({ server, api }) => {
+    await api.once('connectionState', { filter: event => event.state === 'open' });
+    api.use(createCache());
+    await api.getCards();
+    await api.getCards();
+    assertEquals(sent(server, 'getCards'), 1);
+
+    const payment = api.once('newPaymentTransfer');
+    server.receivePayment({ pk: server.addContact().pk, amount: '1' });
+    await payment;
+    await api.getCards();
+    assertEquals(sent(server, 'getCards'), 2);
+}, { websocket: true });
+
+mockTest('entries expire after their TTL, failures and disabled methods are not cached', async ({ server, api }) => {
+    api.use(createCache({ ttl: { getContacts: 20, getCards: 0 } }));
+    await api.getContacts();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await api.getContacts();
+    assertEquals(sent(server, 'getContacts'), 2);
+
+    await api.getCards();
+    await api.getCards();
+    assertEquals(sent(server, 'getCards'), 2);
+
+    server.fail('getOwnContact', { error: 'busy' });
+    await assertRejects(() => api.getOwnContact(), ApiError);
+    await api.getOwnContact();
+    assertEquals(sent(server, 'getOwnContact'), 2);
+});
@@ -0,0 +1,53 @@
+import { assert, assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import Utopia, { createHttpTransport, createRecordingTransport, createReplayTransport, loadCassette, TransportError } from '../index.js';
+import { mockTest, createMemoryLogger, token } from './mock.js';
+
+const logger = createMemoryLogger();
+const connected = api => api.once('connectionState', { filter: event => event.state === 'open' });
+
+mockTest('recorded calls and events replay without the client', async ({ server, apiPort, wsPort }) => {
+    const recorder = createRecordingTransport(createHttpTransport({ host: '127.0.0.1', port: apiPort }));
+    const api = new Utopia(token, true, '127.0.0.1', apiPort, wsPort, { transport: recorder, logger, reconnect: false });
+    await connected(api);
+    const received = api.once('newInstantMessage');
+    server.receiveMessage(server.addContact().pk, 'hi');
+    await received;
+    const { result: contacts } = await api.getContacts();
+    await api.close();
+
+    const path = await Deno.makeTempFile({ suffix: '.json' });
+    try{
+        await recorder.save(path);
+        assert(!(await Deno.readTextFile(path)).includes(token));
+
+        const offline = new Utopia(token, true, '127.0.0.1', apiPort, wsPort, {
+            transport: createReplayTransport(await loadCassette(path), { strict: true }),
+            logger,
+            reconnect: false,
+        });
+        const messages = offline.newInstantMessage[Symbol.asyncIterator]();
+        assertEquals((await messages.next()).value.text, 'hi');
+        assertEquals((await offline.getContacts()).result, contacts);
+        await assertRejects(() => offline.getContacts(), TransportError, 'No recorded response for getContacts');
+        await offline.close()
+    } finally {
+        await Deno.remove(path)
+    }
+});
+
+Deno.test('identical calls replay in order whatever their params order, then repeat the last response', async () => {
+    const replay = createReplayTransport({
+        version: 1,
+        sockets: [],
+        interactions: [
+            { method: 'getBalance', params: { b: 1, a: 2 }, status: 200, body: '{"result":1}' },
+            { method: 'getBalance', params: { a: 2, b: 1 }, status: 200, body: '{"result":2}' },
+        ],
+    });
+    const bodies = [];
+    for(let i = 0; i < 3; i++) bodies.push((await replay.request({ method: 'getBalance', params: { a: 2, b: 1 } })).body);
+
+    assertEquals(bodies, [ '{"result":1}', '{"result":2}', '{"result":2}' ]);
+    await assertRejects(() => replay.request({ method: 'getBalance', params: {} }), TransportError);
+    await assertRejects(() => replay.connect({}), TransportError, 'No recorded WebSocket connection left');
+});
@@ -0,0 +1,81 @@
+import { assertEquals, assertThrows } from 'https://deno.land/std/testing/asserts.ts';
+import { createCommandRouter, InvalidArgumentError } from '../index.js';
+import { mockTest, createMemoryLogger } from './mock.js';
+
+const logger = createMemoryLogger();
+const message = (pk, text) => ({ type: 'newInstantMessage', data: { id: 1, pk, nick: 'alice', text, isIncoming: true } });
+const replies = server => server.requests.filter(request => request.method.startsWith('send')).map(request => request.params.text ?? request.params.message);
+
+mockTest('commands get parsed arguments and reply where they came from', async ({ server, api }) => {
+    const router = createCommandRouter(api, { logger });
+    const calls = [];
+    router.command('pay', {
+        aliases: [ 'Send' ],
+        args: [ { name: 'to', type: 'pk', required: true }, { name: 'amount', type: 'amount', required: true }, { name: 'comment', rest: true } ],
+        handler: ({ command, args }) => (calls.push({ command, ...args }), 'Sent!'),
+    });
+    const { pk } = server.addContact();
+
+    assertEquals(await router.handle(message(pk, `/SEND ${pk.toLowerCase()} 1.5 for "the" pizza`)), true);
+    await router.handle(message(pk, '/pay nobody 1'));
+    await router.handle(message(pk, '/pay'));
+    await router.handle(message(pk, '/unknown'));
+    assertEquals(await router.handle(message(pk, 'no command')), false);
+    const { channelid } = server.addChannel();
+    await router.handle({ type: 'newChannelMessage', data: { channelid, pk, text: '/help pay' } });
+
+    assertEquals(calls, [ { command: 'pay', to: pk.toUpperCase(), amount: '1.5', comment: 'for "the" pizza' } ]);
+    assertEquals(replies(server), [
+        'Sent!',
+        'to must be a public key\nUsage: /pay <to> <amount> [comment...]',
+        'to is required\nUsage: /pay <to> <amount> [comment...]',
+        'Unknown command /unknown, try /help',
+        '/pay <to> <amount> [comment...]\nAliases: /Send',
+    ]);
+    assertEquals(server.requests.at(-1).method, 'sendChannelMessage');
+    router.stop();
+});
+
+mockTest('group permissions are checked and cached', async ({ server, api }) => {
+    const router = createCommandRouter(api, { logger });
+    const admin = server.addContact({ group: 'Admins' }), stranger = server.addContact();
+    router.command('wipe', { permissions: { groups: [ 'Admins' ] }, handler: () => 'done' });
+
+    await router.handle(message(stranger.pk, '/wipe'));
+    await router.handle(message(admin.pk, '/wipe'));
+    await router.handle(message(admin.pk, '/wipe'));
+    assertEquals(replies(server), [ 'You are not allowed to use /wipe', 'done', 'done' ]);
+    // the group list is cached
+    assertEquals(server.requests.filter(request => request.method === 'getContactsByGroup').length, 1);
+    router.stop();
+});
+
+mockTest('names and aliases must not collide', async ({ server, api }) => {
+    const router = createCommandRouter(api, { logger });
+    router.command('pay', { aliases: [ 'send' ], handler: () => 'paid' });
+
+    assertThrows(() => router.command('PAY', () => ''), InvalidArgumentError, 'pay: command is already registered');
+    assertThrows(() => router.command('send', () => ''), InvalidArgumentError, 'send: command is already registered');
+    assertThrows(() => router.command('give', { aliases: [ 'Pay' ], handler: () => '' }), InvalidArgumentError, 'give: alias pay is already registered');
+    assertThrows(() => router.command('give', { aliases: [ 'help' ], handler: () => '' }), InvalidArgumentError, 'give: alias help is already registered');
+    assertThrows(() => router.command('give', { aliases: [ 'g', 'G' ], handler: () => '' }), InvalidArgumentError, 'give: alias g is already registered');
+
+    // rejected commands leave nothing behind
+    router.command('give', { aliases: [ 'g' ], handler: () => 'given' });
+    const { pk } = server.addContact();
+    await router.handle(message(pk, '/send'));
+    await router.handle(message(pk, '/g'));
+    assertEquals(replies(server), [ 'paid', 'given' ]);
+    router.stop();
+});
+
+mockTest('commands arrive through the WebSocket', async ({ server, api }) => {
+    await api.once('connectionState', { filter: event => event.state === 'open' });
+    const router = createCommandRouter(api, { logger });
+    router.command('ping', () => 'pong');
+    const { pk } = server.addContact();
+    const replied = new Promise(resolve => server.setHandler('sendInstantMessage', ({ to, text }) => resolve({ to, text })));
+    server.receiveMessage(pk, '/ping');
+    assertEquals(await replied, { to: pk.toUpperCase(), text: 'pong' });
+    router.stop();
+}, { websocket: true });
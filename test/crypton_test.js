@@ -0,0 +1,50 @@
+import { assert, assertEquals, assertThrows } from 'https://deno.land/std/testing/asserts.ts';
+import { Crypton, InvalidArgumentError } from '../index.js';
+import { parseAmounts } from '../lib/crypton.js';
+import { mockTest } from './mock.js';
+
+Deno.test('Crypton adds decimals exactly', () => {
+    assertEquals(Crypton.from('0.1').add('0.2').toString(), '0.3');
+    assertEquals(Crypton.from('12.500000000').toString(), '12.5');
+    assertEquals(Crypton.from(0.000000001).nanos, 1n);
+    assertEquals(Crypton.sum([ '1.1', 2, Crypton.from('0.000000003') ]).toString(), '3.100000003');
+    assertEquals(Crypton.from('-1.25').toFixed(1), '-1.3');
+});
+
+Deno.test('Crypton rejects values that are not amounts', () => {
+    assertThrows(() => Crypton.from('1.0000000001'), InvalidArgumentError);
+    assertThrows(() => Crypton.from('abc'), InvalidArgumentError);
+    assertThrows(() => Crypton.from(NaN), InvalidArgumentError);
+    assertEquals(Crypton.tryFrom(''), undefined);
+    assertThrows(() => Crypton.from('1') + 1, TypeError);
+});
+
+Deno.test('parseAmounts converts amount fields of known methods only', () => {
+    const response = { result: [ { amount: 1.5, fee: 0.01, comment: '2' } ], resultExtraInfo: {} };
+    const { result: [ entry ] } = parseAmounts('getFinanceHistory', response);
+    assert(entry.amount instanceof Crypton);
+    assertEquals(entry.amount.toString(), '1.5');
+    assertEquals(entry.fee.toString(), '0.01');
+    assertEquals(entry.comment, '2');
+    assertEquals(parseAmounts('getContacts', response), response);
+});
+
+mockTest('amounts: crypton parses balances and history from the API', async ({ server, api }) => {
+    const { pk } = server.addContact();
+    server.receivePayment({ pk, amount: '0.000000007', comment: 'tip' });
+
+    const { result: balance } = await api.getBalance();
+    assert(balance instanceof Crypton);
+    assertEquals(balance.toString(), '100.123456796');
+
+    const { result: [ entry ] } = await api.getFinanceHistory({ filters: 'INCOMING_TRANSFERS' });
+    assertEquals(entry.amount.toString(), '0.000000007');
+    assertEquals(entry.comment, 'tip');
+}, { balance: '100.123456789', amounts: 'crypton' });
+
+mockTest('Crypton amounts are sent as decimal strings', async ({ server, api }) => {
+    const { pk } = server.addContact();
+    await api.sendPayment({ to: pk, amount: Crypton.from('0.1').add('0.2') });
+    assertEquals(server.requests[server.requests.length - 1].params.amount, '0.3');
+    assertEquals((await api.getBalance()).result, 9.7);
+}, { balance: '10' });
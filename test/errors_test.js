@@ -0,0 +1,52 @@
+import { assert, assertEquals, assertRejects, assertThrows } from 'https://deno.land/std/testing/asserts.ts';
+import Utopia, {
+    UtopiaError,
+    ApiError,
+    HttpStatusError,
+    InvalidArgumentError,
+    InvalidTokenError,
+    TransportError,
+} from '../index.js';
+import { mockTest } from './mock.js';
+
+mockTest('API error payloads become ApiError with the failed call', async ({ server, api }) => {
+    server.fail('getContacts', { error: 'contact list is locked' });
+    const error = await assertRejects(() => api.getContacts('alice'), ApiError);
+    assert(error instanceof UtopiaError);
+    assertEquals(error.name, 'ApiError');
+    assertEquals(error.error, 'contact list is locked');
+    assertEquals(error.method, 'getContacts');
+    assertEquals(error.params, { filter: 'alice' });
+    assertEquals(error.resultExtraInfo, {});
+});
+
+mockTest('HTTP errors keep their status', async ({ server, api }) => {
+    server.fail('getBalance', { status: 503 });
+    const error = await assertRejects(() => api.getBalance(), HttpStatusError);
+    assertEquals(error.status, 503);
+});
+
+mockTest('rejected tokens become InvalidTokenError', async ({ server, api }) => {
+    server.fail('getBalance', { status: 401 });
+    await assertRejects(() => api.getBalance(), InvalidTokenError);
+    server.fail('getBalance', { error: 'Invalid token' });
+    await assertRejects(() => api.getBalance(), InvalidTokenError);
+});
+
+mockTest('dropped connections become TransportError', async ({ server, api }) => {
+    server.fail('getBalance', { drop: true });
+    const error = await assertRejects(() => api.getBalance(), TransportError);
+    assert(error.cause);
+});
+
+mockTest('tokens in params are redacted from errors', async ({ api }) => {
+    const error = await assertRejects(() => api.sendRequest('customMethod', { srcHost: 'a', accessToken: 'secret' }), ApiError);
+    assertEquals(error.params.accessToken, '[REDACTED]');
+    assertEquals(error.params.srcHost, 'a');
+});
+
+mockTest('invalid arguments are rejected before sending', async ({ server, api }) => {
+    await assertRejects(() => api.sendPayment({ to: 'CARD', amount: 'abc' }), InvalidArgumentError);
+    assertEquals(server.requests.length, 0);
+    assertThrows(() => new Utopia('not a token'), InvalidArgumentError);
+});
@@ -0,0 +1,94 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { EventOverflowError } from '../index.js';
+import { createEventStream } from '../lib/events.js';
+import { mockTest, createMemoryLogger } from './mock.js';
+
+const quiet = createMemoryLogger();
+
+async function take(iterator, count){
+    const values = [];
+    while(values.length < count) values.push((await iterator.next()).value);
+    return values
+}
+
+Deno.test('every subscriber gets every event', async () => {
+    const stream = createEventStream('test', {}, quiet);
+    const first = stream.subscribe();
+    const second = stream.subscribe();
+    [ 1, 2, 3 ].forEach(value => stream.push(value));
+
+    assertEquals(await take(first, 3), [ 1, 2, 3 ]);
+    assertEquals(await take(second, 3), [ 1, 2, 3 ]);
+    assertEquals(stream.depth, 0);
+});
+
+Deno.test('full queues drop the oldest or the newest events', async () => {
+    const stream = createEventStream('test', { size: 2 }, quiet);
+    const oldest = stream.subscribe();
+    const newest = stream.subscribe({ overflow: 'drop-newest' });
+    [ 1, 2, 3, 4 ].forEach(value => stream.push(value));
+
+    assertEquals(await take(oldest, 2), [ 3, 4 ]);
+    assertEquals(await take(newest, 2), [ 1, 2 ]);
+    assertEquals(stream.dropped, 4);
+});
+
+Deno.test('the error policy fails the subscriber after its queued events', async () => {
+    const stream = createEventStream('test', {}, quiet);
+    const subscriber = stream.subscribe({ size: 1, overflow: 'error' });
+    stream.push(1);
+    stream.push(2);
+
+    assertEquals(await take(subscriber, 1), [ 1 ]);
+    await assertRejects(() => subscriber.next(), EventOverflowError);
+    assertEquals(stream.subscribers, 0);
+});
+
+Deno.test('subscribers only queue events matching their filter', async () => {
+    const stream = createEventStream('test', {}, quiet);
+    const subscriber = stream.subscribe({ filter: { pk: 'a'.repeat(64) } });
+    stream.push({ data: { pk: 'b'.repeat(64), n: 1 } });
+    stream.push({ data: { pk: 'A'.repeat(64), n: 2 } });
+
+    assertEquals((await subscriber.next()).value.data.n, 2);
+    assertEquals(stream.depth, 0);
+});
+
+Deno.test('ending a stream delivers queued events first', async () => {
+    const stream = createEventStream('test', {}, quiet);
+    const subscriber = stream.subscribe();
+    stream.push(1);
+    stream.end();
+    assertEquals(await subscriber.next(), { value: 1, done: false });
+    assertEquals(await subscriber.next(), { value: undefined, done: true });
+    assertEquals(await stream.subscribe().next(), { value: undefined, done: true });
+});
+
+Deno.test('ending a stream with an error rejects its subscribers', async () => {
+    const stream = createEventStream('test', {}, quiet);
+    const subscriber = stream.subscribe();
+    stream.end(new Error('gone'));
+    await assertRejects(() => subscriber.next(), Error, 'gone');
+});
+
+Deno.test('breaking out of for await unsubscribes', async () => {
+    const stream = createEventStream('test', {}, quiet);
+    setTimeout(() => stream.push(1));
+    for await (const value of stream){
+        assertEquals(value, 1);
+        break
+    }
+    assertEquals(stream.subscribers, 0);
+});
+
+mockTest('slow consumers lose the oldest events and eventStats counts them', async ({ server, api }) => {
+    await api.once('connectionState', { filter: event => event.state === 'open' });
+    const messages = api.newInstantMessage[Symbol.asyncIterator]();
+    const last = api.once('newInstantMessage', { filter: event => event.text === '3' });
+    const { pk } = server.addContact();
+    [ '1', '2', '3' ].forEach(text => server.receiveMessage(pk, text));
+    await last;
+
+    assertEquals(api.eventStats().newInstantMessage, { subscribers: 1, depth: 2, dropped: 1 });
+    assertEquals((await take(messages, 2)).map(message => message.text), [ '2', '3' ]);
+}, { websocket: true, eventBuffer: { size: 2 } });
@@ -0,0 +1,46 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { ChecksumError, TransportError } from '../index.js';
+import { mockTest } from './mock.js';
+
+const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+
+async function sha256(data){
+    return [ ...new Uint8Array(await crypto.subtle.digest('SHA-256', data)) ].map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+async function inTempDir(fn){
+    const dir = await Deno.makeTempDir();
+    try{
+        await fn(dir)
+    } finally {
+        await Deno.remove(dir, { recursive: true })
+    }
+}
+
+mockTest('binary files survive an upload and download', ({ api }) => inTempDir(async dir => {
+    const { result: fileId } = await api.uploadFile('bytes.bin', bytes);
+    const checksum = await sha256(bytes);
+    const downloaded = await api.downloadFile(fileId, `${dir}/bytes.bin`, checksum.toUpperCase());
+
+    assertEquals(downloaded, { path: `${dir}/bytes.bin`, size: 256, sha256: checksum });
+    assertEquals(await Deno.readFile(`${dir}/bytes.bin`), bytes);
+}));
+
+mockTest('files are read from disk when no data is given', ({ server, api }) => inTempDir(async dir => {
+    await Deno.writeFile(`${dir}/upload.bin`, bytes);
+    await api.uploadFile(`${dir}/upload.bin`);
+    assertEquals(server.requests[0].params.fileName, 'upload.bin');
+    assertEquals(server.requests[0].params.fileDataBase64, btoa(String.fromCharCode(...bytes)));
+}));
+
+mockTest('checksum mismatches leave nothing behind', ({ api }) => inTempDir(async dir => {
+    const { result: fileId } = await api.uploadFile({ filename: 'bytes.bin', data: new Blob([ bytes ]) });
+    await assertRejects(() => api.downloadFile(fileId, `${dir}/bytes.bin`, '00'.repeat(32)), ChecksumError);
+    assertEquals([ ...Deno.readDirSync(dir) ], []);
+}));
+
+mockTest('getFile results without content reject with TransportError', ({ server, api }) => inTempDir(async dir => {
+    server.setHandler('getFile', () => ({ name: 'bytes.bin', size: 256 }));
+    await assertRejects(() => api.downloadFile('F1', `${dir}/bytes.bin`), TransportError, 'no content');
+    assertEquals([ ...Deno.readDirSync(dir) ], []);
+}));
@@ -0,0 +1,78 @@
+import { assert, assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { createPaymentGateway, createMemoryStore, createConsoleLogger, ApiError, TimeoutError } from '../index.js';
+import { mockTest } from './mock.js';
+
+const invoiceOf = (server, order) => server.state.invoices.get(order.invoiceId);
+
+async function withGateway(api, options, fn){
+    const gateway = createPaymentGateway(api, { pollInterval: 0, logger: createConsoleLogger('silent'), ...options });
+    try{
+        await fn(gateway)
+    } finally {
+        gateway.stop()
+    }
+}
+
+mockTest('orders are paid when their invoice is authorized', ({ server, api }) => withGateway(api, {}, async gateway => {
+    const paid = [];
+    gateway.on('paid', change => paid.push(change.orderId));
+
+    const order = await gateway.createOrder('o1', { cardId: 'CARD1', amount: '2.5', comment: 'order o1' });
+    assertEquals(order.state, 'pending');
+    assertEquals(invoiceOf(server, order).referenceNumber, order.referenceNumber);
+
+    server.resolveInvoice(order.invoiceId);
+    await gateway.refresh();
+    assertEquals((await gateway.getOrder('o1')).state, 'paid');
+    assertEquals(paid, [ 'o1' ]);
+}));
+
+mockTest('overdue orders cancel their invoice', ({ server, api }) => withGateway(api, {}, async gateway => {
+    const order = await gateway.createOrder('o1', { cardId: 'CARD1', amount: '1', ttl: 0 });
+    await gateway.refresh();
+    assertEquals((await gateway.getOrder('o1')).state, 'expired');
+    assertEquals(invoiceOf(server, order).status, 'CANCELED');
+}));
+
+mockTest('orders whose invoice was not sent are removed', ({ server, api }) => withGateway(api, {}, async gateway => {
+    server.fail('sendInvoice', { error: 'card not found' });
+    await assertRejects(() => gateway.createOrder('o1', { cardId: 'CARD1', amount: '1' }), ApiError);
+    assertEquals(await gateway.getOrder('o1'), undefined);
+    assertEquals(server.state.invoices.size, 0);
+
+    const order = await gateway.createOrder('o1', { cardId: 'CARD1', amount: '1' });
+    assert(order.invoiceId);
+}));
+
+mockTest('orders whose invoice may be out stay pending until it is found', ({ server, api }) => withGateway(api.withOptions({ timeout: 20 }), {}, async gateway => {
+    server.fail('sendInvoice', { delay: 100 });
+    await assertRejects(() => gateway.createOrder('o1', { cardId: 'CARD1', amount: '1', comment: 'order o1' }), TimeoutError);
+    assertEquals((await gateway.getOrder('o1')).state, 'pending');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await gateway.refresh();
+    const order = await gateway.getOrder('o1');
+    assertEquals(order.referenceNumber, [ ...server.state.invoices.values() ][0].referenceNumber);
+}));
+
+mockTest('the invoice of an order saved before sendInvoice returned is recovered', async ({ server, api }) => {
+    const store = createMemoryStore();
+    const now = Date.now();
+    await store.set('gateway', { orders: [
+        { orderId: 'o1', state: 'pending', cardId: 'CARD1', amount: '3', comment: 'order o1', createdAt: now, expiresAt: now + 60000, updatedAt: now },
+    ] });
+    // another order's invoice on the same card must not be taken
+    await api.sendInvoice({ cardId: 'CARD1', amount: '3', comment: 'order o2' });
+    const { result: referenceNumber } = await api.sendInvoice({ cardId: 'CARD1', amount: '3', comment: 'order o1' });
+
+    await withGateway(api, { store }, async gateway => {
+        await gateway.refresh();
+        const order = await gateway.getOrder('o1');
+        assertEquals(order.referenceNumber, referenceNumber);
+        assertEquals(order.state, 'pending');
+
+        server.resolveInvoice(order.invoiceId);
+        await gateway.refresh();
+        assertEquals((await gateway.getOrder('o1')).state, 'paid');
+    });
+});
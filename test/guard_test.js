@@ -0,0 +1,97 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { createGuard, ApiError, GuardError, TimeoutError, TransportError } from '../index.js';
+import { mockTest, createMemoryLogger } from './mock.js';
+
+const sent = (server, method) => server.requests.filter(request => request.method === method).length;
+
+function addInvoice(server, { id, amount }){
+    server.state.invoices.set(id, { id, referenceNumber: `R${id}`, cardId: '', pk: '', amount, comment: '', created: new Date().toISOString(), direction: 'INCOMING', status: 'AWAITING' })
+}
+
+mockTest('spending limits stop payments over the limit', async ({ server, api }) => {
+    const guard = createGuard({ limits: { sendPayment: { hour: '5', day: '8' } } });
+    api.use(guard);
+    const { pk } = server.addContact();
+
+    await api.sendPayment({ to: pk, amount: '3' });
+    const error = await assertRejects(() => api.sendPayment({ to: pk, amount: '2.000000001' }), GuardError);
+    assertEquals(error.reason, 'limit');
+    assertEquals(sent(server, 'sendPayment'), 1);
+    assertEquals(guard.spent('sendPayment'), '3');
+});
+
+mockTest('failed payments release their reservation', async ({ server, api }) => {
+    const guard = createGuard({ limits: { sendPayment: { day: '5' } } });
+    api.use(guard);
+    const { pk } = server.addContact();
+    server.fail('sendPayment', { error: 'insufficient funds' });
+
+    await assertRejects(() => api.sendPayment({ to: pk, amount: '5' }), ApiError);
+    assertEquals(guard.spent('sendPayment'), '0');
+    await api.sendPayment({ to: pk, amount: '5' });
+    assertEquals(guard.spent('sendPayment'), '5');
+});
+
+mockTest('payments that may have gone through keep their reservation', async ({ server, api }) => {
+    const guard = createGuard({ limits: { sendPayment: { day: '5' } } });
+    api.use(guard);
+    const { pk } = server.addContact();
+    server.fail('sendPayment', { delay: 100 });
+    server.fail('sendPayment', { drop: true });
+
+    await assertRejects(() => api.sendPayment({ to: pk, amount: '2', timeout: 20 }), TimeoutError);
+    await assertRejects(() => api.sendPayment({ to: pk, amount: '2' }), TransportError);
+    assertEquals(guard.spent('sendPayment'), '4');
+    await assertRejects(() => api.sendPayment({ to: pk, amount: '2' }), GuardError);
+});
+
+mockTest('payments sharing a dedupKey are counted once', async ({ server, api }) => {
+    const guard = createGuard({ limits: { sendPayment: { day: '5' } } });
+    api.use(guard);
+    const { pk } = server.addContact();
+    const pay = dedupKey => api.withOptions({ dedupKey }).sendPayment({ to: pk, amount: '3' });
+
+    const [ first, second ] = await Promise.all([ pay('order-1'), pay('order-1') ]);
+    assertEquals(first.result, second.result);
+    assertEquals(await pay('order-1'), first);
+    assertEquals(sent(server, 'sendPayment'), 1);
+    assertEquals(guard.spent('sendPayment'), '3');
+    await assertRejects(() => pay('order-2'), GuardError);
+});
+
+mockTest('acceptInvoice is limited by the invoice amount and rejected when it is unknown', async ({ server, api }) => {
+    api.use(createGuard({ limits: { acceptInvoice: { day: '5' } } }));
+    addInvoice(server, { id: 'INV1', amount: 3 });
+    addInvoice(server, { id: 'INV2', amount: 3 });
+
+    await api.acceptInvoice({ invoiceId: 'INV1' });
+    const overLimit = await assertRejects(() => api.acceptInvoice({ invoiceId: 'INV2' }), GuardError);
+    assertEquals(overLimit.reason, 'limit');
+    const unknown = await assertRejects(() => api.acceptInvoice({ invoiceId: 'MISSING' }), GuardError);
+    assertEquals(unknown.reason, 'limit');
+    assertEquals(sent(server, 'acceptInvoice'), 1);
+});
+
+mockTest('confirmation tokens are bound to one call', async ({ server, api }) => {
+    const guard = createGuard({ confirm: [ 'sendPayment' ] });
+    api.use(guard);
+    const { pk } = server.addContact();
+
+    await assertRejects(() => api.sendPayment({ to: pk, amount: '1' }), GuardError);
+    const confirm = guard.confirm('sendPayment', { to: pk, amount: '1' });
+    await assertRejects(() => api.withOptions({ confirm }).sendPayment({ to: pk, amount: '2' }), GuardError);
+    await api.withOptions({ confirm: guard.confirm('sendPayment', { to: pk, amount: '1' }) }).sendPayment({ to: pk, amount: '1' });
+    assertEquals(sent(server, 'sendPayment'), 1);
+});
+
+const logger = createMemoryLogger();
+
+mockTest('dry run logs through the client logger and sends nothing', async ({ server, api }) => {
+    api.use(createGuard({ dryRun: true }));
+    const { pk } = server.addContact();
+
+    assertEquals(await api.sendPayment({ to: pk, amount: '1' }), { result: null, dryRun: true });
+    assertEquals((await api.getBalance()).result, 100);
+    assertEquals(sent(server, 'sendPayment'), 0);
+    assertEquals(logger.entries.filter(entry => entry.message.startsWith('[dry run] sendPayment')).length, 1);
+}, { logger });
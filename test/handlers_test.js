@@ -0,0 +1,69 @@
+import { assertEquals } from 'https://deno.land/std/testing/asserts.ts';
+import { matchesFilter } from '../lib/events.js';
+import { mockTest, createMemoryLogger } from './mock.js';
+
+const open = api => api.once('connectionState', { filter: event => event.state === 'open' });
+
+Deno.test('filters match model properties, data fields, arrays and public keys in any case', () => {
+    const pk = 'ab'.repeat(32);
+    const event = { type: 'newInstantMessage', pk: pk.toUpperCase(), data: { pk, text: 'hi', channelid: 'C1' } };
+    assertEquals(matchesFilter(event, { pk }), true);
+    assertEquals(matchesFilter(event, { text: 'hi', channelid: [ 'C0', 'C1' ] }), true);
+    assertEquals(matchesFilter(event, { channelid: 'C2' }), false);
+    assertEquals(matchesFilter(event, e => e.type === 'newInstantMessage'), true);
+    assertEquals(matchesFilter(event, { text: 'HI' }), false);
+});
+
+mockTest('on() calls handlers for matching events until unsubscribed', async ({ server, api }) => {
+    await open(api);
+    const alice = server.addContact(), bob = server.addContact();
+    const fromAlice = [], all = [];
+    const off = api.on('newInstantMessage', message => fromAlice.push(message.text), { filter: { pk: alice.pk.toLowerCase() } });
+    api.on('newInstantMessage', message => all.push(message.text));
+
+    server.receiveMessage(bob.pk, 'from bob');
+    server.receiveMessage(alice.pk, 'from alice');
+    await api.once('newInstantMessage', { filter: { text: 'from alice' } });
+    off();
+    server.receiveMessage(alice.pk, 'again');
+    await api.once('newInstantMessage', { filter: { text: 'again' } });
+
+    assertEquals(fromAlice, [ 'from alice' ]);
+    assertEquals(all, [ 'from bob', 'from alice', 'again' ]);
+}, { websocket: true });
+
+mockTest('once() handlers run for one event and off() removes handlers', async ({ server, api }) => {
+    await open(api);
+    const { pk } = server.addContact();
+    const once = [], removed = [];
+    api.once('message', message => once.push(message.text));
+    const handler = message => removed.push(message.text);
+    api.on('message', handler);
+    api.off('message', handler);
+
+    server.receiveMessage(pk, 'first');
+    server.receiveMessage(pk, 'second');
+    await api.once('message', { filter: { text: 'second' } });
+    assertEquals(once, [ 'first' ]);
+    assertEquals(removed, []);
+}, { websocket: true });
+
+const logger = createMemoryLogger();
+
+mockTest('failing handlers are logged and do not stop others', async ({ server, api }) => {
+    await open(api);
+    const { pk } = server.addContact();
+    api.on('newInstantMessage', () => {
+        throw new Error('sync failure')
+    });
+    api.on('newInstantMessage', async () => {
+        throw new Error('async failure')
+    });
+    const received = api.once('newInstantMessage');
+    server.receiveMessage(pk, 'hi');
+
+    assertEquals((await received).text, 'hi');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const warnings = logger.entries.filter(entry => entry.message.startsWith('newInstantMessage handler failed')).map(entry => entry.message);
+    assertEquals(warnings.sort(), [ 'newInstantMessage handler failed: async failure', 'newInstantMessage handler failed: sync failure' ]);
+}, { websocket: true, logger });
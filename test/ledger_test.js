@@ -0,0 +1,113 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { createLedger, createConsoleLogger } from '../index.js';
+import { mockTest } from './mock.js';
+
+async function withLedger(api, fn){
+    const ledger = createLedger(api, { logger: createConsoleLogger('silent') });
+    try{
+        await fn(ledger)
+    } finally {
+        ledger.stop()
+    }
+}
+
+mockTest('backfill matches transfers by the reference in their comment', ({ server, api }) => withLedger(api, async ledger => {
+    const { pk } = server.addContact();
+    await ledger.expect('1001', { amount: '5' });
+    server.receivePayment({ pk, amount: '5', comment: 'order 1001' });
+    server.receivePayment({ pk, amount: '5', comment: 'order 10010' });
+
+    assertEquals(await ledger.backfill(), 2);
+    const expected = await ledger.getExpected('1001');
+    assertEquals(expected.status, 'paid');
+    assertEquals(expected.received, '5');
+    assertEquals((await ledger.listTransfers('unmatched')).length, 1);
+    assertEquals(await ledger.backfill(), 0);
+}));
+
+mockTest('transfers recorded before expect() are matched by it', ({ server, api }) => withLedger(api, async ledger => {
+    const { pk } = server.addContact();
+    server.receivePayment({ pk, amount: '2', comment: 'thanks' });
+    await ledger.backfill();
+    assertEquals((await ledger.listTransfers('unmatched')).length, 1);
+
+    const expected = await ledger.expect('A', { amount: '2', pk: pk.toLowerCase() });
+    assertEquals(expected.status, 'paid');
+    assertEquals((await ledger.listTransfers('unmatched')).length, 0);
+}));
+
+mockTest('a second payment of a paid reference is a duplicate', ({ server, api }) => withLedger(api, async ledger => {
+    const { pk } = server.addContact();
+    const duplicates = [];
+    ledger.on('duplicate', change => duplicates.push(change.transfer.referenceNumber));
+    await ledger.expect('1002', { amount: '5' });
+    server.receivePayment({ pk, amount: '2', comment: '1002' });
+    server.receivePayment({ pk, amount: '3', comment: '1002' });
+    const extra = server.receivePayment({ pk, amount: '5', comment: '1002' });
+    // the history doesn't tie entries of the same millisecond to an order
+    extra.created = new Date(Date.now() + 1000).toISOString();
+
+    await ledger.backfill();
+    assertEquals((await ledger.getExpected('1002')).status, 'paid');
+    assertEquals(duplicates, [ extra.referenceNumber ]);
+}));
+
+mockTest('backfill records history entries oldest first', ({ server, api }) => withLedger(api, async ledger => {
+    const { pk } = server.addContact();
+    await ledger.expect('1003', { amount: '5' });
+    const older = server.receivePayment({ pk, amount: '5', comment: '1003' });
+    const newer = server.receivePayment({ pk, amount: '5', comment: '1003' });
+    // listed newest first, but dated the other way round
+    older.created = '2024-01-02T00:00:00.000Z';
+    newer.created = '2024-01-01T00:00:00.000Z';
+
+    await ledger.backfill();
+    const statuses = Object.fromEntries((await ledger.listTransfers()).map(transfer => [ transfer.referenceNumber, transfer.status ]));
+    assertEquals(statuses, { [newer.referenceNumber]: 'matched', [older.referenceNumber]: 'duplicate' });
+    assertEquals(ledger.cursor, older.referenceNumber);
+}));
+
+mockTest('later backfills start from the date of the cursor', ({ server, api }) => withLedger(api, async ledger => {
+    const { pk } = server.addContact();
+    const first = server.receivePayment({ pk, amount: '1' });
+    first.created = '2024-03-10T01:00:00.000Z';
+    await ledger.backfill({ fromDate: '2024-01-01' });
+    assertEquals(ledger.cursor, first.referenceNumber);
+
+    const second = server.receivePayment({ pk, amount: '2' });
+    assertEquals(await ledger.backfill({ fromDate: '2024-01-01' }), 1);
+    const dates = server.requests.filter(request => request.method === 'getFinanceHistory').map(request => request.params.fromDate);
+    // a day early, so no time zone hides transfers of the cursor's day
+    assertEquals([ dates[0], dates.at(-1) ], [ '2024-01-01', '2024-03-09' ]);
+    assertEquals(ledger.cursor, second.referenceNumber);
+}));
+
+mockTest('the cursor is saved only after the transfers up to it', async ({ server, api }) => {
+    const saved = [];
+    let failing = false;
+    const store = {
+        get: async () => undefined,
+        async set(key, value){
+            if(failing) throw new Error('disk full');
+            saved.push(structuredClone(value))
+        },
+        delete: async () => {},
+    };
+    const ledger = createLedger(api, { store, logger: createConsoleLogger('silent') });
+    try{
+        const { pk } = server.addContact();
+        const { referenceNumber } = server.receivePayment({ pk, amount: '1' });
+        await ledger.backfill();
+        assertEquals(saved.map(value => [ value.cursor, Object.keys(value.transfers) ]), [
+            [ undefined, [ referenceNumber ] ],
+            [ referenceNumber, [ referenceNumber ] ],
+        ]);
+
+        server.receivePayment({ pk, amount: '2' });
+        failing = true;
+        await assertRejects(() => ledger.backfill(), Error, 'disk full');
+        assertEquals(saved.at(-1).cursor, referenceNumber);
+    } finally {
+        ledger.stop()
+    }
+});
@@ -0,0 +1,67 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { InvalidArgumentError } from '../index.js';
+import { runChain } from '../lib/middleware.js';
+import { mockTest } from './mock.js';
+
+const open = api => api.once('connectionState', { filter: event => event.state === 'open' });
+
+Deno.test('hooks run in the order they were added and next() works once', async () => {
+    const order = [];
+    const result = await runChain([
+        { request: (value, next) => (order.push('first'), next(value + 1)) },
+        { event: () => order.push('skipped') },
+        { request: async (value, next) => (order.push('second'), await next() * 2) },
+    ], 'request', 1, value => value * 10);
+    assertEquals(result, 40);
+    assertEquals(order, [ 'first', 'second' ]);
+
+    await assertRejects(() => runChain([ { request: async (value, next) => (await next(), next()) } ], 'request', 1, value => value), Error, 'called next() more than once');
+});
+
+mockTest('request hooks change, watch and answer requests', async ({ server, api }) => {
+    const seen = [];
+    api.use(async (ctx, next) => {
+        seen.push(ctx.method);
+        return next()
+    });
+    const remove = api.use({
+        request(ctx, next){
+            if(ctx.method === 'getBalance') return { result: 'cached', resultExtraInfo: {} };
+            if(ctx.method === 'getContacts') return next({ ...ctx, params: { ...ctx.params, filter: 'bob' } });
+            return next()
+        },
+    });
+
+    assertEquals((await api.getBalance()).result, 'cached');
+    await api.getContacts();
+    assertEquals(server.requests, [ { method: 'getContacts', params: { filter: 'bob' } } ]);
+
+    remove();
+    assertEquals((await api.getBalance()).result, 100);
+    assertEquals(seen, [ 'getBalance', 'getContacts', 'getBalance' ]);
+});
+
+mockTest('changed params are still validated', async ({ server, api }) => {
+    api.use((ctx, next) => next({ ...ctx, params: { ...ctx.params, amount: '-1' } }));
+    await assertRejects(() => api.sendPayment({ to: server.addContact().pk, amount: '1' }), InvalidArgumentError);
+    assertEquals(server.requests, []);
+});
+
+mockTest('event hooks drop and replace events in order', async ({ server, api }) => {
+    await open(api);
+    const spammer = server.addContact(), friend = server.addContact();
+    api.use({
+        event(event, next){
+            if(event.data?.pk === spammer.pk) return;
+            return next({ ...event, data: { ...event.data, text: event.data.text.toUpperCase() } })
+        },
+    });
+    const texts = [];
+    api.on('newInstantMessage', message => texts.push(message.text));
+
+    server.receiveMessage(spammer.pk, 'buy now');
+    server.receiveMessage(friend.pk, 'hi');
+    server.receiveMessage(friend.pk, 'bye');
+    await api.once('newInstantMessage', { filter: { text: 'BYE' } });
+    assertEquals(texts, [ 'HI', 'BYE' ]);
+}, { websocket: true });
@@ -0,0 +1,63 @@
+/**
+ * Shared setup of the tests: a mock Utopia server and a client talking to it over HTTP
+ */
+
+import Utopia, { createConsoleLogger } from '../index.js';
+import { MockUtopiaServer } from '../mock_server.js';
+
+export const token = 'A1B2C3D4E5F60718293A4B5C6D7E8F90';
+
+/** Logger keeping what it gets, for asserting on warnings */
+export function createMemoryLogger(){
+    const entries = [];
+    const logger = { entries };
+    for(const level of [ 'debug', 'info', 'warn', 'error' ]) logger[level] = (message, fields) => entries.push({ level, message, fields });
+    return logger
+}
+
+/**
+ * Starts a mock server and a client
+ * @param {object} [options] Client options
+ * @param {string} [options.balance] Initial balance of the mock
+ * @param {boolean} [options.websocket] Listen for events, default false
+ */
+
+export async function startMock({ balance = '100', websocket = false, ...options } = {}){
+    const server = new MockUtopiaServer({ token, balance });
+    const { apiPort, wsPort } = await server.start();
+    const api = new Utopia(token, websocket, '127.0.0.1', apiPort, wsPort, { logger: createConsoleLogger('silent'), retry: false, ...options });
+    return {
+        server,
+        api,
+        apiPort,
+        wsPort,
+        async stop(){
+            await api.close();
+            await server.stop()
+        },
+    }
+}
+
+/**
+ * Registers a test getting a fresh mock server and client
+ * @param {string} name
+ * @param {(mock: {server: MockUtopiaServer, api: Utopia, apiPort: number, wsPort: number}) => Promise<void>} fn
+ * @param {object} [options] See `startMock`
+ */
+
+export function mockTest(name, fn, options){
+    Deno.test({
+        name,
+        // the server's accept loop and fetch's keep-alive connections close after the test body returns
+        sanitizeOps: false,
+        sanitizeResources: false,
+        async fn(){
+            const mock = await startMock(options);
+            try{
+                await fn(mock)
+            } finally {
+                await mock.stop()
+            }
+        },
+    })
+}
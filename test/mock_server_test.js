@@ -0,0 +1,78 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { ApiError, HttpStatusError } from '../index.js';
+import { MockUtopiaServer } from '../mock_server.js';
+import { mockTest, token } from './mock.js';
+
+async function withServer(fn){
+    const server = new MockUtopiaServer({ token });
+    const { apiPort, wsPort } = await server.start();
+    try{
+        await fn(server, { apiPort, wsPort })
+    } finally {
+        await server.stop()
+    }
+}
+
+const call = (apiPort, body) => fetch(`http://127.0.0.1:${apiPort}/api/1.0`, { method: 'POST', body: JSON.stringify(body) })
+    .then(response => response.json());
+
+Deno.test({
+    name: 'the mock checks tokens over HTTP and WebSocket',
+    sanitizeOps: false,
+    sanitizeResources: false,
+    fn: () => withServer(async (server, { apiPort, wsPort }) => {
+        assertEquals(await call(apiPort, { method: 'getBalance', token: 'WRONG' }), { error: 'Invalid token' });
+        assertEquals(await call(apiPort, { method: 'getBalance', token: token.toLowerCase() }), { result: 0, resultExtraInfo: {} });
+
+        const response = await fetch(`http://127.0.0.1:${wsPort}/UtopiaWSS?token=WRONG`);
+        await response.body?.cancel();
+        assertEquals(response.status, 401);
+    }),
+});
+
+mockTest('failures apply to the next requests of a method or of any method', async ({ server, api }) => {
+    server.fail('getBalance', { status: 503, times: 2 });
+    server.fail('*', { error: 'busy' });
+    await assertRejects(() => api.getBalance(), HttpStatusError);
+    await assertRejects(() => api.getBalance(), HttpStatusError);
+    await assertRejects(() => api.getContacts(), ApiError, 'busy');
+    assertEquals((await api.getBalance()).result, 100);
+});
+
+mockTest('handlers replace methods and every request is recorded', async ({ server, api }) => {
+    server.setHandler('getBalance', params => `balance of ${params.currency}`);
+    assertEquals((await api.sendRequest('getBalance', { currency: 'CRP' })).result, 'balance of CRP');
+    await assertRejects(() => api.sendRequest('noSuchMethod'), ApiError, 'Unknown method noSuchMethod');
+    assertEquals(server.requests, [
+        { method: 'getBalance', params: { currency: 'CRP' } },
+        { method: 'noSuchMethod', params: {} },
+    ]);
+});
+
+mockTest('payments and invoices update the balance and the history', async ({ server, api }) => {
+    const { pk } = server.addContact();
+    await api.sendPayment({ to: pk, amount: '30' });
+    server.receivePayment({ pk, amount: '5', comment: 'tip' });
+    const { result: reference } = await api.sendInvoice({ cardId: 'CARD1', amount: '20' });
+    const { result: invoice } = await api.getInvoiceByReferenceNumber(reference);
+    server.resolveInvoice(invoice.id);
+
+    assertEquals((await api.getBalance()).result, 95);
+    assertEquals(server.state.history.map(entry => [ entry.type, entry.amount ]), [
+        [ 'INCOMING_TRANSFERS', 20 ],
+        [ 'INCOMING_TRANSFERS', 5 ],
+        [ 'OUTGOING_TRANSFERS', 30 ],
+    ]);
+    await assertRejects(() => api.sendPayment({ to: pk, amount: '1000' }), ApiError);
+});
+
+mockTest('emitted events reach connected clients until they are disconnected', async ({ server, api }) => {
+    await api.once('connectionState', { filter: event => event.state === 'open' });
+    const event = api.once('newEmail');
+    server.emit('newEmail', { id: 1, subject: 'hello' });
+    assertEquals((await event).subject, 'hello');
+
+    const closed = api.once('connectionState', { filter: event => event.state === 'closed' });
+    server.disconnectClients();
+    await closed;
+}, { websocket: true, reconnect: false });
@@ -0,0 +1,71 @@
+import { assert, assertEquals } from 'https://deno.land/std/testing/asserts.ts';
+import { toEventModel, UtopiaEvent, InstantMessage, ChannelMessage, PaymentTransfer, EmailNotification, Crypton } from '../index.js';
+import { mockTest } from './mock.js';
+
+const pk = 'ab'.repeat(32);
+const open = api => api.once('connectionState', { filter: event => event.state === 'open' });
+
+Deno.test('events get their class and normalized fields, data stays as it came', () => {
+    const api = {};
+    const message = toEventModel({ type: 'newOutgoingInstantMessage', data: { id: 7, pk, text: 'hi', dateTime: '2024-05-01T10:00:00Z' } }, api);
+    assert(message instanceof InstantMessage);
+    assertEquals([ message.pk, message.incoming, message.date.toISOString(), message.data.pk ], [ pk.toUpperCase(), false, '2024-05-01T10:00:00.000Z', pk ]);
+
+    const transfer = toEventModel({ type: 'newPaymentTransfer', data: { pk, amount: 0.1 + 0.2, created: 'not a date' } }, api);
+    assertEquals([ transfer.amount, transfer.date, transfer.comment ], [ '0.3', undefined, '' ]);
+    const crypton = toEventModel({ type: 'newPaymentTransfer', data: { amount: 1.5 } }, api, { amounts: 'crypton' });
+    assert(crypton.amount instanceof Crypton && crypton.amount.toString() === '1.5');
+
+    assert(toEventModel({ type: 'newChannelMessage', data: { channelid: 'C1' } }, api) instanceof ChannelMessage);
+    assert(toEventModel({ type: 'newEmail', data: {} }, api) instanceof EmailNotification);
+    assertEquals(toEventModel({ type: 'channelJoinChanged', data: { channelid: 'C1', joined: 'true' } }, api).joined, true);
+    assertEquals(Object.getPrototypeOf(toEventModel({ type: 'somethingNew', data: {} }, api)), UtopiaEvent.prototype);
+
+    const tagged = message.with({ node: 'main' });
+    assert(tagged instanceof InstantMessage && tagged.api === api);
+    assertEquals([ tagged.node, message.node ], [ 'main', undefined ]);
+});
+
+mockTest('message events reply and quote in the same chat', async ({ server, api }) => {
+    await open(api);
+    const sender = server.addContact();
+    const received = api.once('newInstantMessage');
+    const { id } = server.receiveMessage(sender.pk, 'hello');
+    const message = await received;
+
+    await message.reply('hi');
+    await message.quote('quoted');
+    assertEquals(server.requests.slice(-2), [
+        { method: 'sendInstantMessage', params: { to: sender.pk.toUpperCase(), text: 'hi' } },
+        { method: 'sendInstantQuote', params: { to: sender.pk.toUpperCase(), text: 'quoted', id_message: id } },
+    ]);
+}, { websocket: true });
+
+mockTest('payment events refund the sender', async ({ server, api }) => {
+    await open(api);
+    const sender = server.addContact();
+    const received = api.once('newPaymentTransfer');
+    const { referenceNumber } = server.receivePayment({ pk: sender.pk, amount: '2.5', comment: 'oops' });
+    const transfer = await received;
+    assert(transfer instanceof PaymentTransfer);
+    assertEquals([ transfer.amount, transfer.comment ], [ '2.5', 'oops' ]);
+
+    await transfer.refund();
+    assertEquals(server.requests.at(-1).params, { cardid: '', to: sender.pk.toUpperCase(), amount: '2.5', comment: `Refund ${referenceNumber}` });
+}, { websocket: true });
+
+mockTest('email events load the whole email', async ({ server, api }) => {
+    await open(api);
+    const received = api.once('newEmail');
+    server.receiveEmail(server.addContact().pk, 'invoice', 'please pay');
+    assertEquals((await (await received).fetch()).body, 'please pay');
+}, { websocket: true });
+
+mockTest('eventModels: false delivers the parsed JSON', async ({ server, api }) => {
+    await open(api);
+    const received = api.once('newInstantMessage');
+    server.receiveMessage(server.addContact().pk, 'plain');
+    const event = await received;
+    assert(!(event instanceof UtopiaEvent));
+    assertEquals([ event.type, event.data.text ], [ 'newInstantMessage', 'plain' ]);
+}, { websocket: true, eventModels: false });
@@ -0,0 +1,60 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { InvalidArgumentError } from '../index.js';
+import { mockTest } from './mock.js';
+
+const pageSize = 3;
+
+/** Finance history in pages starting at `referenceNumber`, like the API with a long history */
+function pageHistory(server){
+    for(let i = 1; i <= 5; i++) server.receivePayment({ pk: 'AA'.repeat(32), amount: String(i) });
+    server.setHandler('getFinanceHistory', ({ referenceNumber }) => {
+        const start = referenceNumber ? server.state.history.findIndex(entry => entry.referenceNumber === referenceNumber) : 0;
+        return server.state.history.slice(start, start + pageSize)
+    });
+    return server.state.history.map(entry => entry.referenceNumber)
+}
+
+const historyRequests = server => server.requests.filter(request => request.method === 'getFinanceHistory').map(request => request.params.referenceNumber);
+
+mockTest('finance history is requested page by page as it is consumed', async ({ server, api }) => {
+    const references = pageHistory(server);
+    const history = api.iterateFinanceHistory();
+    const seen = [];
+    for await (const entry of history){
+        seen.push(entry.referenceNumber);
+        if(seen.length === pageSize) assertEquals(historyRequests(server), [ '' ]);
+    }
+    assertEquals(seen, references);
+    assertEquals(history.cursor, references[4]);
+    assertEquals(historyRequests(server), [ '', references[2], references[4] ]);
+});
+
+mockTest('finance history resumes after the cursor', async ({ server, api }) => {
+    const references = pageHistory(server);
+    const seen = [];
+    for await (const entry of api.iterateFinanceHistory({ cursor: references[1] })) seen.push(entry.referenceNumber);
+    assertEquals(seen, references.slice(2));
+    assertEquals(historyRequests(server)[0], references[1]);
+});
+
+mockTest('single-response lists resume after the cursor and throw when it is gone', async ({ server, api }) => {
+    for(const amount of [ '1', '2', '3' ]) await api.sendInvoice({ cardId: 'CARD1', amount });
+    const ids = [ ...server.state.invoices.keys() ];
+    const seen = [];
+    for await (const invoice of api.iterateInvoices({ cursor: ids[0] })) seen.push(invoice.id);
+    assertEquals(seen, ids.slice(1));
+
+    await assertRejects(() => api.iterateInvoices({ cursor: 'GONE' }).next(), InvalidArgumentError, 'Cursor GONE is not in the list anymore');
+});
+
+mockTest('emails are loaded one by one', async ({ server, api }) => {
+    const { pk } = server.addContact();
+    server.receiveEmail(pk, 'first', 'one');
+    server.receiveEmail(pk, 'second', 'two');
+    const emails = api.iterateEmails();
+
+    assertEquals((await emails.next()).value.subject, 'first');
+    assertEquals(server.requests.map(request => request.method), [ 'getEmailFolder', 'getEmailById' ]);
+    assertEquals((await emails.next()).value.subject, 'second');
+    assertEquals((await emails.next()).done, true);
+});
@@ -0,0 +1,87 @@
+import { assertEquals, assertRejects, assertThrows } from 'https://deno.land/std/testing/asserts.ts';
+import { UtopiaPool } from '../pool.js';
+import { InvalidArgumentError, TransportError } from '../index.js';
+import { startMock, createMemoryLogger } from './mock.js';
+
+const logger = createMemoryLogger();
+
+/**
+ * Registers a test getting a pool of two mock nodes, `main` (the write node) and `replica`
+ * @param {string} name
+ * @param {(pool: UtopiaPool, servers: {main: import('../mock_server.js').MockUtopiaServer, replica: import('../mock_server.js').MockUtopiaServer}) => Promise<void>} fn
+ * @param {object} [options] Pool options, `websocket` makes the nodes listen for events
+ */
+
+function poolTest(name, fn, { websocket = false, ...options } = {}){
+    Deno.test({
+        name,
+        sanitizeOps: false,
+        sanitizeResources: false,
+        async fn(){
+            const main = await startMock({ websocket }), replica = await startMock({ websocket });
+            const pool = new UtopiaPool([ { name: 'main', api: main.api }, { name: 'replica', api: replica.api } ], { healthInterval: 0, logger, ...options });
+            try{
+                await fn(pool, { main: main.server, replica: replica.server })
+            } finally {
+                await pool.close();
+                await main.stop();
+                await replica.stop()
+            }
+        },
+    })
+}
+
+const methods = server => server.requests.map(request => request.method);
+
+poolTest('reads are spread round-robin and writes go to the write node', async (pool, { main, replica }) => {
+    for(let i = 0; i < 4; i++) await pool.getContacts();
+    await pool.sendPayment({ to: 'CARD', amount: '1' });
+    await pool.sendRequest('getBalance', {}, { node: 'replica' });
+
+    assertEquals(methods(main), [ 'getContacts', 'getContacts', 'sendPayment' ]);
+    assertEquals(methods(replica), [ 'getContacts', 'getContacts', 'getBalance' ]);
+    assertThrows(() => pool.node('missing'), InvalidArgumentError);
+    assertEquals(pool.nodes.map(node => [ node.name, node.write ]), [ [ 'main', true ], [ 'replica', false ] ]);
+});
+
+poolTest('failed reads move to another node, which is marked unhealthy', async (pool, { main, replica }) => {
+    const health = pool.once('health');
+    main.fail('getContacts', { status: 503 });
+    await pool.getContacts();
+
+    assertEquals(await health, { node: 'main', healthy: false, latency: undefined, error: 'getContacts failed with HTTP status 503' });
+    assertEquals(methods(replica), [ 'getContacts' ]);
+    await pool.getContacts();
+    assertEquals(methods(replica), [ 'getContacts', 'getContacts' ]);
+
+    replica.fail('getContacts', { status: 503 });
+    await assertRejects(() => pool.getContacts(), TransportError, 'getContacts failed on every healthy node');
+}, { strategy: 'least-loaded' });
+
+poolTest('health checks take nodes out and bring them back', async (pool, { replica }) => {
+    replica.setHandler('getNetworkConnections', () => []);
+    assertEquals((await pool.checkHealth()).map(node => [ node.name, node.healthy, node.error ]), [
+        [ 'main', true, undefined ],
+        [ 'replica', false, 'no network connections' ],
+    ]);
+    await pool.getContacts();
+    await pool.getContacts();
+    assertEquals(methods(replica).filter(method => method === 'getContacts'), []);
+
+    replica.setHandler('getNetworkConnections', () => [ { address: '127.0.0.1' } ]);
+    const healthy = pool.once('health', { filter: { node: 'replica', healthy: true } });
+    await pool.checkHealth();
+    await healthy;
+});
+
+poolTest('events of every node are merged and tagged with the node', async (pool, { main, replica }) => {
+    // the nodes may have connected before the pool subscribed
+    await Promise.all([ 'main', 'replica' ].map(name => pool.node(name)).map(api => api.connection === 'open' || api.once('connectionState', { filter: { state: 'open' } })));
+    const messages = pool.newInstantMessage[Symbol.asyncIterator]();
+    const fromReplica = pool.once('message', { filter: { node: 'replica' } });
+
+    main.receiveMessage(main.addContact().pk, 'from main');
+    assertEquals((await messages.next()).value.node, 'main');
+    replica.receiveMessage(replica.addContact().pk, 'from replica');
+    assertEquals((await fromReplica).text, 'from replica');
+}, { websocket: true });
@@ -0,0 +1,51 @@
+import { assert, assertEquals } from 'https://deno.land/std/testing/asserts.ts';
+import { createPrometheusMetrics } from '../index.js';
+import { mockTest } from './mock.js';
+
+const metrics = createPrometheusMetrics();
+const settled = () => new Promise(resolve => setTimeout(resolve, 0));
+const linesOf = (text, name) => text.split('\n').filter(line => line.startsWith(name));
+
+Deno.test('counters and histograms render in the text format with cumulative buckets', () => {
+    const exporter = createPrometheusMetrics({ buckets: { test_latency_seconds: [ 0.1, 1 ] } });
+    const counter = exporter.createCounter('test.calls', { description: 'Calls' });
+    counter.add(1, { method: 'get"Balance"\n' });
+    counter.add(2, { method: 'get"Balance"\n' });
+    const histogram = exporter.createHistogram('test.latency', { unit: 'ms', description: 'Latency' });
+    [ 50, 500, 5000 ].forEach(value => histogram.record(value, { method: 'a' }));
+
+    assertEquals(exporter.render(), [
+        '# HELP test_calls_total Calls',
+        '# TYPE test_calls_total counter',
+        'test_calls_total{method="get\\"Balance\\"\\n"} 3',
+        '# HELP test_latency_seconds Latency',
+        '# TYPE test_latency_seconds histogram',
+        'test_latency_seconds_bucket{method="a",le="0.1"} 1',
+        'test_latency_seconds_bucket{method="a",le="1"} 2',
+        'test_latency_seconds_bucket{method="a",le="+Inf"} 3',
+        'test_latency_seconds_sum{method="a"} 5.55',
+        'test_latency_seconds_count{method="a"} 3',
+        '',
+    ].join('\n'));
+});
+
+mockTest('client requests and event queues are exported', async ({ server, api }) => {
+    const stop = metrics.observe(api);
+    await api.getBalance();
+    await api.getBalance();
+    await api.sendRequest('customMethod').catch(() => {});
+    await settled();
+
+    const text = metrics.render();
+    assertEquals(linesOf(text, 'utopia_requests_total{'), [
+        'utopia_requests_total{method="getBalance",outcome="ok"} 2',
+        'utopia_requests_total{method="customMethod",outcome="ApiError"} 1',
+    ]);
+    assert(text.includes('utopia_request_duration_seconds_count{method="getBalance",outcome="ok"} 2'));
+    assert(text.includes('# TYPE utopia_request_size_bytes histogram'));
+    assert(text.includes('utopia_event_subscribers{event="newInstantMessage"} 0'));
+
+    stop();
+    assertEquals(linesOf(metrics.render(), 'utopia_event_subscribers'), []);
+    assertEquals(server.requests.length, 3);
+}, { meter: metrics });
@@ -0,0 +1,78 @@
+import { assert, assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import Utopia, {
+    createRetryPolicy,
+    createHttpTransport,
+    createConsoleLogger,
+    isRetryableError,
+    isConnectionRefused,
+    ApiError,
+    HttpStatusError,
+    TimeoutError,
+    TransportError,
+} from '../index.js';
+import { mockTest, token } from './mock.js';
+
+const retry = { attempts: 3, minDelay: 1, jitter: 0 };
+
+Deno.test('retry delays grow exponentially up to maxDelay', () => {
+    const policy = createRetryPolicy({ minDelay: 100, maxDelay: 300, jitter: 0 });
+    assertEquals([ 1, 2, 3, 4 ].map(attempt => policy.delay(attempt)), [ 100, 200, 300, 300 ]);
+    assertEquals(policy.attempts, 3);
+});
+
+Deno.test('network errors, timeouts, 5xx and 429 are retryable', () => {
+    assert(isRetryableError(new TransportError('reset')));
+    assert(isRetryableError(new TimeoutError(10, { method: 'getBalance' })));
+    assert(isRetryableError(new HttpStatusError(503)));
+    assert(isRetryableError(new HttpStatusError(429)));
+    assert(!isRetryableError(new HttpStatusError(404)));
+    assert(!isRetryableError(new ApiError('insufficient funds')));
+});
+
+Deno.test('isConnectionRefused looks through error causes', () => {
+    const refused = new TransportError('getBalance failed', { cause: new TypeError('tcp connect error: Connection refused (os error 111)') });
+    assert(isConnectionRefused(refused));
+    assert(!isConnectionRefused(new TransportError('getBalance failed', { cause: new TypeError('connection reset') })));
+});
+
+mockTest('idempotent requests are retried on 5xx', async ({ server, api }) => {
+    server.fail('getBalance', { status: 500, times: 2 });
+    assertEquals((await api.getBalance()).result, 100);
+    assertEquals(server.requests.length, 3);
+}, { retry });
+
+mockTest('API errors are not retried', async ({ server, api }) => {
+    server.fail('getContacts', { error: 'not ready' });
+    await assertRejects(() => api.getContacts(), ApiError);
+    assertEquals(server.requests.length, 1);
+}, { retry });
+
+mockTest('payments are not retried after the request may have been handled', async ({ server, api }) => {
+    const { pk } = server.addContact();
+    server.fail('sendPayment', { status: 500 });
+    await assertRejects(() => api.sendPayment({ to: pk, amount: '1' }), HttpStatusError);
+    server.fail('sendPayment', { delay: 100 });
+    await assertRejects(() => api.sendPayment({ to: pk, amount: '1', timeout: 20 }), TimeoutError);
+    assertEquals(server.requests.length, 2);
+}, { retry });
+
+mockTest('payments with a dedupKey are retried', async ({ server, api }) => {
+    const { pk } = server.addContact();
+    server.fail('sendPayment', { status: 502 });
+    await api.sendPayment({ to: pk, amount: '1', dedupKey: 'order-1' });
+    assertEquals(server.requests.length, 2);
+    assertEquals((await api.getBalance()).result, 99);
+}, { retry });
+
+Deno.test('payments are retried when the connection was refused', async () => {
+    const listener = Deno.listen({ hostname: '127.0.0.1', port: 0 });
+    const { port } = listener.addr;
+    listener.close();
+    let attempts = 0;
+    const transport = createHttpTransport({ host: '127.0.0.1', port, fetch: (...args) => (attempts++, fetch(...args)) });
+    const api = new Utopia(token, false, '', '', '', { transport, retry, logger: createConsoleLogger('silent') });
+
+    const error = await assertRejects(() => api.sendPayment({ to: 'CARD', amount: '1' }), TransportError);
+    assert(isConnectionRefused(error));
+    assertEquals(attempts, 3);
+});
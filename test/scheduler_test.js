@@ -0,0 +1,90 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { createScheduler } from '../lib/scheduler.js';
+import { mockTest } from './mock.js';
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Task finishing when `finish` is called, recording its name when it starts */
+function gate(started, name){
+    let finish;
+    const done = new Promise(resolve => finish = resolve);
+    return { task: () => (started.push(name), done), finish }
+}
+
+Deno.test('scheduler runs up to maxConcurrency tasks at once', async () => {
+    const scheduler = createScheduler(2);
+    const started = [];
+    const gates = [ 'a', 'b', 'c' ].map(name => gate(started, name));
+    const results = gates.map(({ task }) => scheduler.run('normal', task));
+
+    assertEquals(started, [ 'a', 'b' ]);
+    assertEquals(scheduler.running, 2);
+    assertEquals(scheduler.queued, 1);
+    gates[0].finish(1);
+    await tick(0);
+    assertEquals(started, [ 'a', 'b', 'c' ]);
+    gates[1].finish(2);
+    gates[2].finish(3);
+    assertEquals(await Promise.all(results), [ 1, 2, 3 ]);
+    assertEquals(scheduler.running, 0);
+});
+
+Deno.test('scheduler picks higher lanes first and lets a starving lane through', async () => {
+    const scheduler = createScheduler(1, 2);
+    const started = [];
+    const first = gate(started, 'first');
+    const runs = [ scheduler.run('normal', first.task) ];
+    for(const [ lane, name ] of [ [ 'low', 'low' ], [ 'high', 'high1' ], [ 'high', 'high2' ], [ 'high', 'high3' ] ]){
+        runs.push(scheduler.run(lane, async () => started.push(name)))
+    }
+    first.finish();
+    await Promise.all(runs);
+    assertEquals(started, [ 'first', 'high1', 'high2', 'low', 'high3' ]);
+});
+
+Deno.test('scheduler drops tasks aborted while queued without taking a slot', async () => {
+    const scheduler = createScheduler(1);
+    const started = [];
+    const first = gate(started, 'first');
+    const running = scheduler.run('normal', first.task);
+    const controller = new AbortController;
+    const queued = scheduler.run('normal', async () => started.push('aborted'), controller.signal);
+
+    controller.abort();
+    const error = await assertRejects(() => queued);
+    assertEquals(error.name, 'AbortError');
+    assertEquals(scheduler.queued, 0);
+    first.finish();
+    await running;
+    assertEquals(started, [ 'first' ]);
+});
+
+mockTest('requests to the server are limited by maxConcurrency', async ({ server, api }) => {
+    let inFlight = 0, peak = 0;
+    server.setHandler('getContacts', async () => {
+        peak = Math.max(peak, ++inFlight);
+        await tick(20);
+        inFlight--;
+        return []
+    });
+
+    const responses = await Promise.all(Array.from({ length: 6 }, () => api.getContacts()));
+    assertEquals(responses.length, 6);
+    assertEquals(peak, 2);
+}, { maxConcurrency: 2 });
+
+mockTest('queued requests go out by priority lane', async ({ server, api }) => {
+    const { pk } = server.addContact();
+    server.fail('getBalance', { delay: 30 });
+
+    const calls = [
+        api.getBalance(),
+        api.getFinanceHistory({ filters: 'ALL_TRANSFERS' }),
+        api.getContacts(),
+        api.sendInstantMessage(pk, 'hi'),
+        api.withOptions({ priority: 'high' }).getOwnContact(),
+    ];
+    await Promise.all(calls);
+    const order = server.requests.map(request => request.method);
+    assertEquals(order, [ 'getBalance', 'sendInstantMessage', 'getOwnContact', 'getContacts', 'getFinanceHistory' ]);
+}, { maxConcurrency: 1 });
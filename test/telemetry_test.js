@@ -0,0 +1,86 @@
+import { assert, assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import { ApiError } from '../index.js';
+import { redact, redactingLogger, SpanStatus } from '../lib/telemetry.js';
+import { mockTest, createMemoryLogger, token } from './mock.js';
+
+/** Tracer and meter keeping what they get, shaped like the OpenTelemetry ones */
+function createRecorder(){
+    const spans = [], measurements = [];
+    const tracer = {
+        startSpan(name, { attributes = {} } = {}){
+            const span = { name, attributes: { ...attributes }, events: [], exceptions: [], ended: false };
+            spans.push(span);
+            return {
+                setAttribute(key, value){ span.attributes[key] = value; return this },
+                setStatus(status){ span.status = status; return this },
+                addEvent(name){ span.events.push(name); return this },
+                recordException(error){ span.exceptions.push(error.message) },
+                end(){ span.ended = true },
+            }
+        },
+    };
+    const instrument = name => ({
+        add: (value, attributes) => measurements.push({ name, value, attributes }),
+        record: (value, attributes) => measurements.push({ name, value, attributes }),
+    });
+    const meter = { createCounter: instrument, createHistogram: instrument };
+    return { spans, measurements, tracer, meter }
+}
+
+const settled = () => new Promise(resolve => setTimeout(resolve, 0));
+
+Deno.test('the token is redacted from messages, errors and nested fields', () => {
+    const logger = createMemoryLogger();
+    const redacting = redactingLogger(logger, token);
+    redacting.warn(`request to /?token=${token} failed`, { error: new Error(`bad ${token}`), nested: [ { url: `x${token}` } ], accessToken: 'secret' });
+
+    assertEquals(logger.entries, [ {
+        level: 'warn',
+        message: 'request to /?token=[REDACTED] failed',
+        fields: { error: 'bad [REDACTED]', nested: [ { url: 'x[REDACTED]' } ], accessToken: '[REDACTED]' },
+    } ]);
+    assertEquals(redact(new Date(0), token), new Date(0));
+});
+
+const recorder = createRecorder();
+
+mockTest('every request gets a span and metrics with its outcome', async ({ server, api }) => {
+    server.fail('getBalance', { status: 503 });
+    await api.getBalance();
+    server.fail('customMethod', { error: `no access for ${token}` });
+    await assertRejects(() => api.sendRequest('customMethod'), ApiError);
+    await settled();
+
+    const [ balance, custom ] = recorder.spans.filter(span => span.name.startsWith('utopia '));
+    assertEquals(balance.attributes, {
+        'utopia.method': 'getBalance',
+        'utopia.attempts': 2,
+        'utopia.request.size': 2,
+        'http.response.status_code': 200,
+        'utopia.response.size': balance.attributes['utopia.response.size'],
+        'utopia.outcome': 'ok',
+    });
+    assertEquals([ balance.status, balance.ended ], [ { code: SpanStatus.OK }, true ]);
+    assertEquals(custom.attributes['utopia.outcome'], 'ApiError');
+    assertEquals(custom.status, { code: SpanStatus.ERROR, message: 'customMethod failed: no access for [REDACTED]' });
+    assertEquals(custom.exceptions, [ 'customMethod failed: no access for [REDACTED]' ]);
+
+    const requests = recorder.measurements.filter(measurement => measurement.name === 'utopia.requests');
+    assertEquals(requests.map(measurement => measurement.attributes), [ { method: 'getBalance', outcome: 'ok' }, { method: 'customMethod', outcome: 'ApiError' } ]);
+    assert(recorder.measurements.some(measurement => measurement.name === 'utopia.request.duration' && measurement.attributes.method === 'getBalance'));
+}, { tracer: recorder.tracer, meter: recorder.meter, retry: { attempts: 2, minDelay: 1, jitter: 0 } });
+
+const wsRecorder = createRecorder();
+
+mockTest('WebSocket connections get a span per attempt', async ({ server, api }) => {
+    await api.once('connectionState', { filter: event => event.state === 'open' });
+    const closed = api.once('connectionState', { filter: event => event.state === 'closed' });
+    server.disconnectClients();
+    await closed;
+
+    const [ connection ] = wsRecorder.spans.filter(span => span.name === 'utopia.ws.connection');
+    assertEquals(connection.attributes['utopia.ws.attempt'], 0);
+    assertEquals(connection.events, [ 'open' ]);
+    assertEquals(connection.status.code, SpanStatus.ERROR);
+    assert(connection.ended);
+}, { websocket: true, reconnect: false, tracer: wsRecorder.tracer, meter: wsRecorder.meter });
@@ -0,0 +1,65 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import Utopia, { TimeoutError, createConsoleLogger } from '../index.js';
+import { mockTest, token } from './mock.js';
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+mockTest('requests slower than their timeout reject with TimeoutError', async ({ server, api }) => {
+    server.fail('getContacts', { delay: 200 });
+    const error = await assertRejects(() => api.getContacts({ timeout: 30 }), TimeoutError);
+    assertEquals(error.timeout, 30);
+    assertEquals(error.method, 'getContacts');
+}, { timeout: 1000 });
+
+mockTest('the client timeout applies when the call has none', async ({ server, api }) => {
+    server.fail('getBalance', { delay: 200 });
+    await assertRejects(() => api.getBalance(), TimeoutError);
+}, { timeout: 30 });
+
+mockTest('signals from options objects and withOptions cancel requests', async ({ server, api }) => {
+    const { pk } = server.addContact();
+    server.fail('*', { delay: 200, times: 2 });
+
+    const controller = new AbortController;
+    const message = api.sendInstantMessage({ to: pk, text: 'hi', signal: controller.signal });
+    const contacts = api.withOptions({ signal: controller.signal }).getContacts();
+    setTimeout(() => controller.abort(), 20);
+    assertEquals((await assertRejects(() => message)).name, 'AbortError');
+    assertEquals((await assertRejects(() => contacts)).name, 'AbortError');
+});
+
+mockTest('requests with an aborted signal are not sent', async ({ server, api }) => {
+    const controller = new AbortController;
+    controller.abort();
+    await assertRejects(() => api.getContacts({ signal: controller.signal }));
+    assertEquals(server.requests.length, 0);
+});
+
+Deno.test('a timed out request keeps its slot until the transport settles', async () => {
+    const pending = [];
+    // a transport that ignores the signal, like a stalled client
+    const transport = { request: () => new Promise(resolve => pending.push(resolve)), connect(){} };
+    const api = new Utopia(token, false, '', '', '', { transport, timeout: 20, retry: false, logger: createConsoleLogger('silent') });
+
+    await assertRejects(() => api.getBalance(), TimeoutError);
+    const next = api.withOptions({ timeout: 0 }).getBalance();
+    await tick(30);
+    assertEquals(pending.length, 1);
+
+    pending[0]({ status: 200, body: '{"result":1}' });
+    await tick(0);
+    assertEquals(pending.length, 2);
+    pending[1]({ status: 200, body: '{"result":2}' });
+    assertEquals((await next).result, 2);
+});
+
+mockTest('withOptions views forward state members to the client', async ({ server, api }) => {
+    const view = api.withOptions({ timeout: 1000 });
+    const off = view.on('connectionState', () => {});
+    assertEquals(view.connection, 'idle');
+    assertEquals(Object.keys(view.eventStats()), Object.keys(api.eventStats()));
+    assertEquals((await view.getBalance()).result, 100);
+    await view.close();
+    off();
+    assertEquals(server.requests.length, 1);
+});
@@ -0,0 +1,72 @@
+import { assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import Utopia, { ApiError, createHttpTransport, createMemoryTransport, createUnixSocketTransport } from '../index.js';
+import { mockTest, createMemoryLogger, token } from './mock.js';
+
+const logger = createMemoryLogger();
+
+mockTest('the HTTP transport adds the path prefix and headers and can override the WebSocket port', async ({ server, apiPort, wsPort }) => {
+    const sent = [];
+    const fetch = (url, init) => {
+        sent.push({ url, auth: init.headers.Authorization });
+        return globalThis.fetch(url, init)
+    };
+    const transport = createHttpTransport({ host: '127.0.0.1', port: apiPort, wsPort, pathPrefix: '/utopia/', headers: { Authorization: 'Basic dXNlcg==' }, fetch });
+    // the port the client asks for is the proxy's, the transport knows better
+    const api = new Utopia(token, true, '127.0.0.1', apiPort, 1, { transport, logger, reconnect: false });
+    try{
+        await api.once('connectionState', { filter: event => event.state === 'open' });
+        const received = api.once('newInstantMessage');
+        server.receiveMessage(server.addContact().pk, 'through the proxy');
+        assertEquals((await received).text, 'through the proxy');
+        assertEquals(sent[0], { url: `http://127.0.0.1:${apiPort}/utopia/api/1.0`, auth: 'Basic dXNlcg==' });
+    } finally {
+        await api.close()
+    }
+});
+
+Deno.test({
+    name: 'the Unix socket transport decodes chunked responses',
+    sanitizeResources: false,
+    async fn(){
+        const dir = await Deno.makeTempDir();
+        const path = `${dir}/utopia.sock`;
+        const listener = Deno.listen({ transport: 'unix', path });
+        const requests = [];
+        const served = (async () => {
+            const conn = await listener.accept();
+            const buffer = new Uint8Array(4096);
+            requests.push(new TextDecoder().decode(buffer.subarray(0, await conn.read(buffer))));
+            // the first chunk ends in the middle of an ü, chunk sizes count bytes
+            const bytes = new TextEncoder().encode(JSON.stringify({ result: 'ü'.repeat(10) }));
+            const text = value => new TextEncoder().encode(value);
+            for(const part of [
+                text('HTTP/1.1 200 OK\r\nContent-Type: application/json\r\nTransfer-Encoding: chunked\r\n\r\n'),
+                text('c\r\n'), bytes.subarray(0, 12), text('\r\n'),
+                text(`${(bytes.length - 12).toString(16)}\r\n`), bytes.subarray(12), text('\r\n'),
+                text('0\r\n\r\n'),
+            ]) await conn.write(part);
+            conn.close()
+        })();
+        try{
+            const transport = createUnixSocketTransport({ path, pathPrefix: '/utopia' });
+            const response = await transport.request({ method: 'getBalance', params: {}, token });
+            await served;
+            assertEquals(response, { status: 200, body: JSON.stringify({ result: 'ü'.repeat(10) }) });
+            assertEquals(requests[0].split('\r\n')[0], 'POST /utopia/api/1.0 HTTP/1.1');
+        } finally {
+            listener.close();
+            await Deno.remove(dir, { recursive: true })
+        }
+    },
+});
+
+Deno.test('the memory transport turns handler results and failures into API responses', async () => {
+    const transport = createMemoryTransport((method, params) => {
+        if(method === 'getContacts') throw new Error('no contacts today');
+        return { method, params }
+    });
+    const api = new Utopia(token, false, '', '', '', { transport, logger });
+    assertEquals((await api.getBalance()).result, { method: 'getBalance', params: {} });
+    await assertRejects(() => api.getContacts(), ApiError, 'no contacts today');
+    await api.close();
+});
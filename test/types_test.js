@@ -0,0 +1,49 @@
+import { assertEquals } from 'https://deno.land/std/testing/asserts.ts';
+import Utopia, { eventTypes } from '../index.js';
+import { UtopiaPool } from '../pool.js';
+
+const source = name => Deno.readTextFileSync(new URL(`../${name}`, import.meta.url));
+
+// members declared in the body of a class or interface of a declaration file
+function declared(file, header){
+    const text = source(file);
+    const start = text.indexOf(`${header} {`);
+    const body = text.slice(start, text.indexOf('\n}', start));
+    const names = [ ...body.matchAll(/^ {4}(?:static )?(?:readonly )?(\w+)\??[<(:]/gm) ].map(match => match[1]);
+    return [ ...new Set(names) ].filter(name => name !== 'constructor').sort()
+}
+
+const members = (instance, prototype) => [ ...Object.getOwnPropertyNames(prototype), ...Object.keys(instance) ]
+    .filter(name => name !== 'constructor')
+    .sort();
+
+Deno.test('index.d.ts declares every Utopia method and event stream', async () => {
+    const api = new Utopia('A1B2C3D4E5F60718293A4B5C6D7E8F90', false);
+    try{
+        assertEquals(declared('index.d.ts', 'export default class Utopia'), [ ...members(api, Utopia.prototype), 'stateMembers' ].sort())
+    } finally {
+        await api.close()
+    }
+});
+
+Deno.test('EventMap has an entry for every event type', () => {
+    assertEquals(declared('index.d.ts', 'export interface EventMap'), [ ...eventTypes ].sort());
+});
+
+Deno.test('pool.d.ts declares the members UtopiaPool adds', async () => {
+    const pool = new UtopiaPool([ { name: 'a', token: 'A1B2C3D4E5F60718293A4B5C6D7E8F90', websocket: false } ], { healthInterval: 0 });
+    try{
+        // the other streams and the API methods are declared through Utopia
+        const streams = Object.keys(pool).filter(name => !eventTypes.includes(name) || name === 'connectionState');
+        const methods = Object.getOwnPropertyNames(UtopiaPool.prototype).filter(name => {
+            const copied = Object.getOwnPropertyDescriptor(Utopia.prototype, name);
+            const own = Object.getOwnPropertyDescriptor(UtopiaPool.prototype, name);
+            return !copied || own.value !== copied.value || own.get !== copied.get
+        });
+        // withOptions is shared with Utopia but redeclared for the pool's request options
+        const own = [ ...methods, ...streams, 'withOptions', 'stateMembers' ];
+        assertEquals(declared('pool.d.ts', 'export class UtopiaPool'), [ ...new Set(own) ].filter(name => name !== 'constructor').sort())
+    } finally {
+        await pool.close()
+    }
+});
@@ -0,0 +1,41 @@
+import { assertEquals, assertThrows } from 'https://deno.land/std/testing/asserts.ts';
+import { Crypton, InvalidArgumentError } from '../index.js';
+import { validateParams, toFlag, requestOptions } from '../lib/validation.js';
+import { mockTest } from './mock.js';
+
+const pay = amount => validateParams('sendPayment', { to: 'CARD', amount });
+
+Deno.test('amounts are checked as decimals, whatever their type', () => {
+    for(const amount of [ '1', '0.000000001', 1e-7, 12.5, Crypton.from('0.3') ]) pay(amount);
+    assertThrows(() => pay('abc'), InvalidArgumentError, 'sendPayment: amount must be a positive number');
+    assertThrows(() => pay('0.0000000001'), InvalidArgumentError, 'must be a positive number with up to 9 decimal places');
+    assertThrows(() => pay(1e-10), InvalidArgumentError, 'must be greater than 0');
+    assertThrows(() => pay(-1), InvalidArgumentError, 'must be a positive number');
+    assertThrows(() => pay(''), InvalidArgumentError, 'amount is required');
+});
+
+Deno.test('flags keep false and fall back only when missing', () => {
+    assertEquals([ true, false, 'false', undefined ].map(value => toFlag(value, 'true')), [ 'true', 'false', 'false', 'true' ]);
+});
+
+Deno.test('request options are picked out of options objects', () => {
+    const signal = new AbortController().signal;
+    assertEquals(requestOptions({ to: 'CARD', amount: '1', signal, dedupKey: 'a' }), { signal, dedupKey: 'a' });
+    assertEquals(requestOptions('CARD'), undefined);
+});
+
+mockTest('options objects and positional arguments send the same params', async ({ server, api }) => {
+    const { pk } = server.addContact();
+    await api.sendPayment('', pk, '1', 'thanks');
+    await api.sendPayment({ to: pk, amount: '1', comment: 'thanks' });
+    assertEquals(server.requests[0].params, server.requests[1].params);
+    assertEquals(server.requests[0].params, { cardid: '', to: pk, amount: '1', comment: 'thanks' });
+});
+
+mockTest('enable flags send false instead of the default', async ({ server, api }) => {
+    server.setHandler('enableMining', () => true);
+    await api.enableMining(false);
+    await api.enableMining({ enabled: true });
+    await api.enableMining();
+    assertEquals(server.requests.map(request => request.params.enable), [ 'false', 'true', 'true' ]);
+});
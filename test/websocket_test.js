@@ -0,0 +1,85 @@
+import { assert, assertEquals, assertRejects } from 'https://deno.land/std/testing/asserts.ts';
+import Utopia, { createMemoryTransport, createPaymentGateway, createConsoleLogger, WebSocketClosedError } from '../index.js';
+import { mockTest, createMemoryLogger, token } from './mock.js';
+
+const reconnect = { minDelay: 10, maxDelay: 10, jitter: 0 };
+const connected = (api, filter = event => event.state === 'open') => api.once('connectionState', { filter });
+
+mockTest('events come through the WebSocket', async ({ server, api }) => {
+    await connected(api);
+    const messages = api.newInstantMessage[Symbol.asyncIterator]();
+    const { pk } = server.addContact();
+    server.receiveMessage(pk, 'hi');
+
+    const { value } = await messages.next();
+    assertEquals(value.text, 'hi');
+    assertEquals(value.pk, pk.toUpperCase());
+}, { websocket: true });
+
+mockTest('the listener reconnects and reports the gap', async ({ server, api }) => {
+    await connected(api);
+    const states = [];
+    api.on('connectionState', event => states.push(event.state));
+    const reopened = connected(api);
+    server.disconnectClients();
+
+    const { gap } = await reopened;
+    assert(gap.from <= gap.to);
+    assertEquals(states, [ 'reconnecting', 'open' ]);
+    assertEquals(api.connection, 'open');
+
+    const messages = api.newInstantMessage[Symbol.asyncIterator]();
+    server.receiveMessage(server.addContact().pk, 'back');
+    assertEquals((await messages.next()).value.text, 'back');
+}, { websocket: true, reconnect });
+
+mockTest('streams fail with WebSocketClosedError when reconnection is off', async ({ server, api }) => {
+    await connected(api);
+    const next = api.newInstantMessage[Symbol.asyncIterator]().next();
+    server.disconnectClients();
+    await assertRejects(() => next, WebSocketClosedError);
+    assertEquals(api.connection, 'closed');
+}, { websocket: true, reconnect: false });
+
+mockTest('close() ends the event streams', async ({ api }) => {
+    await connected(api);
+    const next = api.newInstantMessage[Symbol.asyncIterator]().next();
+    await api.close();
+    assertEquals(await next, { value: undefined, done: true });
+}, { websocket: true });
+
+mockTest('close() ends the event streams without WebSocket too', async ({ api }) => {
+    const next = api.any[Symbol.asyncIterator]().next();
+    await api.close();
+    assertEquals(await next, { value: undefined, done: true });
+});
+
+Deno.test('frames without an event type are skipped', async () => {
+    const transport = createMemoryTransport(method => method === 'getWebSocketState' ? 1 : true);
+    const logger = createMemoryLogger();
+    const api = new Utopia(token, true, '', '', '', { transport, logger, reconnect: false });
+    await connected(api);
+    const events = api.any[Symbol.asyncIterator]();
+
+    transport.emit({ data: { text: 'no type' } });
+    transport.emit({ type: 42, data: {} });
+    transport.emit({ type: 'newInstantMessage', data: { text: 'typed' } });
+    assertEquals((await events.next()).value.text, 'typed');
+    assertEquals(logger.entries.filter(entry => entry.message === 'Skipping WebSocket message without event type').length, 2);
+    await api.close();
+});
+
+mockTest('the gateway checks pending orders after a reconnect', async ({ server, api }) => {
+    await connected(api);
+    const gateway = createPaymentGateway(api, { pollInterval: 0, logger: createConsoleLogger('silent') });
+    try{
+        const order = await gateway.createOrder('o1', { cardId: 'CARD1', amount: '1' });
+        const paid = new Promise(resolve => gateway.on('paid', resolve));
+        server.disconnectClients();
+        // paid while the client is away, so its payment event is lost
+        server.resolveInvoice(order.invoiceId);
+        assertEquals((await paid).orderId, 'o1');
+    } finally {
+        gateway.stop()
+    }
+}, { websocket: true, reconnect });